@@ -3,7 +3,11 @@ const path = require('path');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 
-const DB_PATH = path.join(__dirname, '..', '..', 'data', 'visurf.db');
+// DB_PATH 可覆盖数据库文件位置，测试使用 :memory:
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', '..', 'data', 'visurf.db');
+
+// 注册 / 登录时签发的默认密钥名称
+const DEFAULT_API_KEY_NAME = 'default';
 
 let db;
 
@@ -21,6 +25,29 @@ function initDatabase() {
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
 
+  // 余额账本之前的数据库需要为已有用户记入期初余额
+  const hasLedger = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'ledger_transactions'").get();
+
+  // 迁移 invoices 时会关闭外键检查，无论迁移是否成功都要恢复
+  try {
+    createTables();
+  } finally {
+    db.pragma('legacy_alter_table = OFF');
+    db.pragma('foreign_keys = ON');
+  }
+
+  initDefaults(hasLedger);
+  return db;
+}
+
+/**
+ * 建表并迁移旧版表结构
+ */
+function createTables() {
+  // 旧版 api_keys / invoices 的约束与当前结构不兼容，先改名迁出
+  const legacyApiKeyColumns = renameLegacyApiKeys();
+  const hasLegacyInvoices = renameLegacyInvoices();
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS users (
       id TEXT PRIMARY KEY,
@@ -28,7 +55,12 @@ function initDatabase() {
       name TEXT NOT NULL,
       password TEXT NOT NULL,
       plan TEXT DEFAULT 'free',
+      role TEXT DEFAULT 'user',
       status TEXT DEFAULT 'active',
+      email_verified_at TEXT,
+      totp_secret TEXT,
+      totp_enabled_at TEXT,
+      totp_last_step INTEGER,
       trial_used INTEGER DEFAULT 0,
       company TEXT DEFAULT '',
       phone TEXT DEFAULT '',
@@ -39,21 +71,56 @@ function initDatabase() {
       updated_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- 组织共用余额、套餐和发票；plan 由管理员分配
+    CREATE TABLE IF NOT EXISTS organizations (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      plan TEXT DEFAULT 'free',
+      created_by TEXT REFERENCES users(id),
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- 成员角色：owner、admin、developer、billing
+    CREATE TABLE IF NOT EXISTS organization_members (
+      org_id TEXT NOT NULL REFERENCES organizations(id),
+      user_id TEXT NOT NULL REFERENCES users(id),
+      role TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (org_id, user_id)
+    );
+
+    -- 新密钥只保存前缀和加盐哈希；key 仅保存迁移前签发的 JWT 密钥
+    -- scopes 为 JSON 数组，NULL 表示不限制服务；org_id 非空为组织密钥，user_id 为创建者
     CREATE TABLE IF NOT EXISTS api_keys (
-      user_id TEXT PRIMARY KEY REFERENCES users(id),
-      key TEXT NOT NULL,
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      org_id TEXT REFERENCES organizations(id),
+      name TEXT NOT NULL,
+      key TEXT UNIQUE,
+      key_prefix TEXT UNIQUE,
+      key_hash TEXT,
+      key_salt TEXT,
+      scopes TEXT,
+      expires_at TEXT,
+      last_used_at TEXT,
+      revoked_at TEXT,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- 通过组织密钥的调用同时记录调用者 user_id 和 org_id
     CREATE TABLE IF NOT EXISTS usage_log (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id TEXT NOT NULL REFERENCES users(id),
+      org_id TEXT REFERENCES organizations(id),
       service TEXT NOT NULL,
       cost REAL DEFAULT 0,
       start_time TEXT,
       end_time TEXT,
       duration_ms INTEGER DEFAULT 0,
       metadata TEXT,
+      status TEXT DEFAULT 'completed',
+      request_id TEXT,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
@@ -64,6 +131,64 @@ function initDatabase() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- 网页控制台登录会话；expires_at 随刷新令牌滑动延长
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      user_agent TEXT,
+      ip TEXT,
+      expires_at TEXT,
+      revoked_at TEXT,
+      revoked_reason TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- 刷新令牌只保存哈希，每次刷新后 used_at 置位
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      token_hash TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL REFERENCES sessions(id),
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- 邮箱验证、密码重置和两步登录令牌，只保存哈希；purpose 为 email_verification / password_reset / login_challenge
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      purpose TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- 登录失败计数，key 为 account:<email> 或 ip:<address>
+    CREATE TABLE IF NOT EXISTS login_failures (
+      key TEXT PRIMARY KEY,
+      failures INTEGER DEFAULT 0,
+      last_failure_at TEXT,
+      locked_until TEXT
+    );
+
+    -- 两步验证恢复码，只保存哈希，每个只能使用一次
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      code_hash TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+
+    -- 管理员可调整的系统设置（JSON 值）
+    CREATE TABLE IF NOT EXISTS system_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS api_config (
       id TEXT PRIMARY KEY,
       name TEXT NOT NULL,
@@ -77,6 +202,63 @@ function initDatabase() {
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    -- 限流策略：plan / service / api_key_id 为空表示不限定；同一窗口取最具体的一条（密钥 > 服务 > 套餐）
+    CREATE TABLE IF NOT EXISTS rate_limit_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan TEXT,
+      service TEXT,
+      api_key_id TEXT REFERENCES api_keys(id),
+      window_seconds INTEGER NOT NULL CHECK(window_seconds > 0),
+      max_requests INTEGER NOT NULL CHECK(max_requests >= 0),
+      description TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_limit_policies_scope
+      ON rate_limit_policies(IFNULL(plan, ''), IFNULL(service, ''), IFNULL(api_key_id, ''), window_seconds);
+
+    -- 各套餐每月的免费额度，单位由服务决定（render 按次，parse / combo 按秒）
+    CREATE TABLE IF NOT EXISTS plan_allowances (
+      plan TEXT NOT NULL,
+      service TEXT NOT NULL,
+      amount REAL NOT NULL CHECK(amount >= 0),
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (plan, service)
+    );
+
+    -- 免费额度的月度用量，owner_key 为 user:<id> 或 org:<id>，period 为 YYYY-MM（UTC）
+    CREATE TABLE IF NOT EXISTS quota_usage (
+      owner_key TEXT NOT NULL,
+      service TEXT NOT NULL,
+      period TEXT NOT NULL,
+      used REAL NOT NULL DEFAULT 0,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (owner_key, service, period)
+    );
+
+    -- 额外额度（如注册试用），过期后失效，在套餐额度之后、付费之前使用
+    CREATE TABLE IF NOT EXISTS quota_grants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      source TEXT NOT NULL DEFAULT 'trial',
+      service TEXT NOT NULL,
+      amount REAL NOT NULL,
+      used REAL NOT NULL DEFAULT 0,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_quota_grants_user ON quota_grants(user_id, service, expires_at);
+
+    -- 限流和配额计数（RATE_LIMIT_STORE=sqlite 时使用），expires_at 为毫秒时间戳
+    CREATE TABLE IF NOT EXISTS counters (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS worker_nodes (
       id TEXT PRIMARY KEY,
       name TEXT NOT NULL,
@@ -97,6 +279,37 @@ function initDatabase() {
       updated_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- 节点注册时签发的密钥，用于双向 HMAC 签名；单独存放以免随节点信息返回
+    CREATE TABLE IF NOT EXISTS worker_credentials (
+      worker_id TEXT PRIMARY KEY REFERENCES worker_nodes(id),
+      secret TEXT NOT NULL,
+      enrollment_token_id TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- 节点熔断状态（closed / open / half_open），网关重启后恢复；opened_at 为毫秒时间戳
+    CREATE TABLE IF NOT EXISTS worker_circuits (
+      worker_id TEXT PRIMARY KEY REFERENCES worker_nodes(id),
+      state TEXT NOT NULL DEFAULT 'closed' CHECK(state IN ('closed', 'open', 'half_open')),
+      opened_at INTEGER,
+      reason TEXT,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- 节点注册令牌，只保存哈希；max_uses 为空表示不限次数
+    CREATE TABLE IF NOT EXISTS worker_enrollment_tokens (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT UNIQUE NOT NULL,
+      description TEXT,
+      service_type TEXT,
+      max_uses INTEGER,
+      uses INTEGER DEFAULT 0,
+      expires_at TEXT,
+      created_by TEXT,
+      revoked_at TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS worker_stats (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       worker_id TEXT NOT NULL REFERENCES worker_nodes(id),
@@ -107,12 +320,164 @@ function initDatabase() {
       timestamp TEXT DEFAULT (datetime('now'))
     );
 
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      org_id TEXT REFERENCES organizations(id),
+      type TEXT NOT NULL,
+      amount REAL NOT NULL,
+      reference TEXT,
+      description TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL REFERENCES ledger_transactions(id),
+      account TEXT NOT NULL,
+      user_id TEXT REFERENCES users(id),
+      org_id TEXT REFERENCES organizations(id),
+      debit REAL DEFAULT 0,
+      credit REAL DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS orders (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      org_id TEXT REFERENCES organizations(id),
+      amount REAL NOT NULL,
+      currency TEXT DEFAULT 'CNY',
+      payment_method TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      provider_trade_no TEXT,
+      status TEXT DEFAULT 'pending',
+      expires_at TEXT NOT NULL,
+      paid_at TEXT,
+      credited_at TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      plan TEXT NOT NULL,
+      billing_cycle TEXT NOT NULL,
+      status TEXT DEFAULT 'active',
+      current_period_start TEXT NOT NULL,
+      current_period_end TEXT NOT NULL,
+      auto_renew INTEGER DEFAULT 1,
+      pending_plan TEXT,
+      pending_cycle TEXT,
+      anchor_day INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sequence INTEGER UNIQUE NOT NULL,
+      invoice_number TEXT UNIQUE NOT NULL,
+      user_id TEXT NOT NULL REFERENCES users(id),
+      org_id TEXT REFERENCES organizations(id),
+      period_start TEXT NOT NULL,
+      period_end TEXT NOT NULL,
+      amount REAL NOT NULL,
+      currency TEXT DEFAULT 'CNY',
+      status TEXT DEFAULT 'issued',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS invoice_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+      service TEXT NOT NULL,
+      billing_mode TEXT NOT NULL,
+      quantity REAL NOT NULL,
+      unit TEXT NOT NULL,
+      unit_price REAL NOT NULL,
+      total REAL NOT NULL
+    );
+
+    -- 发票开具后不可修改或删除
+    CREATE TRIGGER IF NOT EXISTS trg_invoices_no_update BEFORE UPDATE ON invoices
+    BEGIN SELECT RAISE(ABORT, 'invoices are immutable'); END;
+    CREATE TRIGGER IF NOT EXISTS trg_invoices_no_delete BEFORE DELETE ON invoices
+    BEGIN SELECT RAISE(ABORT, 'invoices are immutable'); END;
+    CREATE TRIGGER IF NOT EXISTS trg_invoice_items_no_update BEFORE UPDATE ON invoice_items
+    BEGIN SELECT RAISE(ABORT, 'invoice items are immutable'); END;
+    CREATE TRIGGER IF NOT EXISTS trg_invoice_items_no_delete BEFORE DELETE ON invoice_items
+    BEGIN SELECT RAISE(ABORT, 'invoice items are immutable'); END;
+
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
     CREATE INDEX IF NOT EXISTS idx_usage_user ON usage_log(user_id);
     CREATE INDEX IF NOT EXISTS idx_usage_created ON usage_log(created_at);
     CREATE INDEX IF NOT EXISTS idx_revoked_expires ON revoked_tokens(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
     CREATE INDEX IF NOT EXISTS idx_worker_service ON worker_nodes(service_type);
     CREATE INDEX IF NOT EXISTS idx_worker_status ON worker_nodes(status);
     CREATE INDEX IF NOT EXISTS idx_worker_stats_worker ON worker_stats(worker_id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_tx_user ON ledger_transactions(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, user_id);
+    CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, expires_at);
+    CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_subscriptions_due ON subscriptions(status, current_period_end);
+    CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id, period_start);
+    CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id);
+  `);
+
+  // 旧版本数据库补充新增字段
+  ensureColumn('usage_log', 'status', "TEXT DEFAULT 'completed'");
+  ensureColumn('usage_log', 'request_id', 'TEXT');
+  ensureColumn('users', 'role', "TEXT DEFAULT 'user'");
+  ensureColumn('users', 'email_verified_at', 'TEXT');
+  ensureColumn('users', 'totp_secret', 'TEXT');
+  ensureColumn('users', 'totp_enabled_at', 'TEXT');
+  ensureColumn('users', 'totp_last_step', 'INTEGER');
+  ensureColumn('api_keys', 'org_id', 'TEXT REFERENCES organizations(id)');
+  ensureColumn('api_keys', 'max_concurrency', 'INTEGER');
+  ensureColumn('subscriptions', 'anchor_day', 'INTEGER');
+  ensureColumn('worker_nodes', 'health_state', 'TEXT');
+  ensureColumn('worker_nodes', 'health_failures', 'INTEGER DEFAULT 0');
+  ensureColumn('worker_nodes', 'health_successes', 'INTEGER DEFAULT 0');
+  ensureColumn('worker_nodes', 'health_checked_at', 'TEXT');
+  ensureColumn('worker_nodes', 'health_error', 'TEXT');
+  ensureColumn('usage_log', 'org_id', 'TEXT REFERENCES organizations(id)');
+  ensureColumn('ledger_transactions', 'org_id', 'TEXT REFERENCES organizations(id)');
+  ensureColumn('ledger_entries', 'org_id', 'TEXT REFERENCES organizations(id)');
+  ensureColumn('orders', 'org_id', 'TEXT REFERENCES organizations(id)');
+
+  if (legacyApiKeyColumns) {
+    copyLegacyApiKeys(legacyApiKeyColumns);
+  }
+  if (hasLegacyInvoices) {
+    copyLegacyInvoices();
+  }
+}
+
+/**
+ * 创建索引，写入默认 API 配置、免费额度和限流策略
+ */
+function initDefaults(hasLedger) {
+
+  db.exec(`
+    -- 个人密钥按用户、组织密钥按组织保证名称唯一
+    DROP INDEX IF EXISTS idx_api_keys_active_name;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_user_name ON api_keys(user_id, name) WHERE revoked_at IS NULL AND org_id IS NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_org_name ON api_keys(org_id, name) WHERE revoked_at IS NULL AND org_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_org_members_user ON organization_members(user_id);
+    CREATE INDEX IF NOT EXISTS idx_usage_org_created ON usage_log(org_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_org ON ledger_entries(account, org_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_user_period ON invoices(user_id, period_start) WHERE org_id IS NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_org_period ON invoices(org_id, period_start) WHERE org_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_usage_user_created ON usage_log(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_user_service_created ON usage_log(user_id, service, created_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_user_status_created ON usage_log(user_id, status, created_at);
   `);
 
   // 初始化默认 API 配置
@@ -164,93 +529,1268 @@ function initDatabase() {
     }
   }
 
-  return db;
-}
+  // 初始化默认免费额度（render 为次数，parse / combo 为秒数）
+  const defaultAllowances = {
+    free: { render: 50, parse: 60, combo: 30 },
+    basic: { render: 500, parse: 600, combo: 300 },
+    pro: { render: 5000, parse: 6000, combo: 3000 },
+    enterprise: { render: 50000, parse: 60000, combo: 30000 }
+  };
+
+  const checkAllowances = db.prepare('SELECT COUNT(*) as count FROM plan_allowances').get();
+  if (checkAllowances.count === 0) {
+    const insertAllowance = db.prepare('INSERT INTO plan_allowances (plan, service, amount) VALUES (?, ?, ?)');
+    for (const [plan, services] of Object.entries(defaultAllowances)) {
+      for (const [service, amount] of Object.entries(services)) {
+        insertAllowance.run(plan, service, amount);
+      }
+    }
+  }
+
+  // 初始化默认限流策略（各套餐每小时调用次数）
+  const defaultRateLimits = [
+    { plan: 'free', maxRequests: 100 },
+    { plan: 'basic', maxRequests: 1000 },
+    { plan: 'pro', maxRequests: 10000 },
+    { plan: 'enterprise', maxRequests: 100000 }
+  ];
+
+  const checkRateLimits = db.prepare('SELECT COUNT(*) as count FROM rate_limit_policies').get();
+  if (checkRateLimits.count === 0) {
+    const insertRateLimit = db.prepare(
+      'INSERT INTO rate_limit_policies (plan, window_seconds, max_requests, description) VALUES (?, 3600, ?, ?)'
+    );
+    for (const limit of defaultRateLimits) {
+      insertRateLimit.run(limit.plan, limit.maxRequests, `${limit.plan} 套餐每小时 ${limit.maxRequests} 次`);
+    }
+  }
+
+  if (!hasLedger) {
+    seedOpeningBalances();
+  }
+}
+
+/**
+ * 账本上线前注册的用户没有余额记录，记入一笔期初余额（OPENING_BALANCE，默认 ¥100），避免升级后被 402 拒绝
+ */
+function seedOpeningBalances() {
+  const amount = parseFloat(process.env.OPENING_BALANCE || '100');
+  if (!(amount > 0)) return;
+
+  const seed = db.transaction(() => {
+    for (const user of db.prepare('SELECT id FROM users').all()) {
+      postLedgerTransaction(user.id, 'opening', amount, {
+        counterAccount: LEDGER_ACCOUNTS.ADJUSTMENT,
+        description: `期初余额 ¥${amount}`
+      });
+    }
+  });
+  seed();
+}
+
+/**
+ * 为已存在的表补充字段（CREATE TABLE IF NOT EXISTS 不会修改旧表结构）
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * 旧版 api_keys（每用户单密钥，或明文 key 必填）改名为 api_keys_legacy，返回其字段列表
+ */
+function renameLegacyApiKeys() {
+  const columns = db.prepare('PRAGMA table_info(api_keys)').all().map(c => c.name);
+  if (columns.length === 0 || columns.includes('key_hash')) return null;
+
+  db.exec('ALTER TABLE api_keys RENAME TO api_keys_legacy');
+  return columns;
+}
+
+/**
+ * 旧密钥（JWT）原样迁入新表，轮换前继续可用；单密钥结构的迁移为默认密钥
+ */
+function copyLegacyApiKeys(columns) {
+  if (columns.includes('id')) {
+    db.exec(`
+      INSERT INTO api_keys (id, user_id, name, key, scopes, expires_at, last_used_at, created_at)
+      SELECT id, user_id, name, key, scopes, expires_at, last_used_at, created_at FROM api_keys_legacy;
+    `);
+  } else {
+    db.prepare(`
+      INSERT INTO api_keys (id, user_id, name, key, created_at)
+      SELECT lower(hex(randomblob(16))), user_id, ?, key, created_at FROM api_keys_legacy
+    `).run(DEFAULT_API_KEY_NAME);
+  }
+  db.exec('DROP TABLE api_keys_legacy');
+}
+
+/**
+ * 旧版 invoices 以 (user_id, period_start) 唯一，无法再为组织开票，改名迁出
+ * 触发器和索引先删除，建表时随新表重新创建
+ * 迁移期间关闭外键并启用 legacy_alter_table，避免 invoice_items 的外键被改写到旧表；两者由 initDatabase 恢复
+ */
+function renameLegacyInvoices() {
+  const columns = db.prepare('PRAGMA table_info(invoices)').all().map(c => c.name);
+  if (columns.length === 0 || columns.includes('org_id')) return false;
+
+  db.exec(`
+    PRAGMA foreign_keys = OFF;
+    DROP TRIGGER IF EXISTS trg_invoices_no_update;
+    DROP TRIGGER IF EXISTS trg_invoices_no_delete;
+    DROP INDEX IF EXISTS idx_invoices_user;
+    PRAGMA legacy_alter_table = ON;
+    ALTER TABLE invoices RENAME TO invoices_legacy;
+    PRAGMA legacy_alter_table = OFF;
+  `);
+  return true;
+}
+
+function copyLegacyInvoices() {
+  db.exec(`
+    INSERT INTO invoices (id, sequence, invoice_number, user_id, period_start, period_end, amount, currency, status, created_at)
+    SELECT id, sequence, invoice_number, user_id, period_start, period_end, amount, currency, status, created_at FROM invoices_legacy;
+    DROP TABLE invoices_legacy;
+  `);
+}
+
+/**
+ * 获取数据库实例
+ */
+function getDb() {
+  if (!db) initDatabase();
+  return db;
+}
+
+// ============ 用户操作 ============
+
+function createUser(email, name, hashedPassword) {
+  const id = uuidv4();
+  const stmt = getDb().prepare(
+    'INSERT INTO users (id, email, name, password) VALUES (?, ?, ?, ?)'
+  );
+  stmt.run(id, email, name, hashedPassword);
+  return id;
+}
+
+function findUserByEmail(email) {
+  return getDb().prepare('SELECT * FROM users WHERE email = ?').get(email);
+}
+
+function findUserById(id) {
+  return getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+/**
+ * 将指定邮箱的已注册用户设为管理员（启动时根据 ADMIN_EMAILS 执行）
+ * 只提升已验证邮箱的账户，避免他人抢先用该邮箱注册后获得管理员权限
+ */
+function promoteAdmins(emails) {
+  const stmt = getDb().prepare(
+    "UPDATE users SET role = 'admin', updated_at = datetime('now') WHERE email = ? AND role != 'admin' AND email_verified_at IS NOT NULL"
+  );
+  return emails.filter(email => stmt.run(email).changes > 0);
+}
+
+function updateUserStats(userId, costIncrement) {
+  getDb().prepare(
+    'UPDATE users SET api_calls = api_calls + 1, total_spent = total_spent + ?, updated_at = datetime(\'now\') WHERE id = ?'
+  ).run(costIncrement, userId);
+}
+
+// ============ API Key 操作 ============
+// 以下查询只返回未撤销的密钥；撤销后的记录保留用于审计
+// 按用户查询的只包含个人密钥，组织密钥见下方组织部分
+
+function parseApiKeyRow(row) {
+  if (!row) return row;
+  return { ...row, scopes: row.scopes ? JSON.parse(row.scopes) : null };
+}
+
+/**
+ * 保存新密钥；只接收前缀和加盐哈希，明文不入库
+ * scopes 为 null 表示不限制服务；orgId 非空时为组织密钥
+ */
+function createApiKey(userId, keyData) {
+  const id = uuidv4();
+  getDb().prepare(`
+    INSERT INTO api_keys (id, user_id, org_id, name, key_prefix, key_hash, key_salt, scopes, expires_at, max_concurrency)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    userId,
+    keyData.orgId || null,
+    keyData.name,
+    keyData.keyPrefix,
+    keyData.keyHash,
+    keyData.keySalt,
+    keyData.scopes ? JSON.stringify(keyData.scopes) : null,
+    keyData.expiresAt || null,
+    keyData.maxConcurrency || null
+  );
+  return parseApiKeyRow(getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+}
+
+function getApiKeyById(userId, id) {
+  return parseApiKeyRow(getDb().prepare(
+    'SELECT * FROM api_keys WHERE id = ? AND user_id = ? AND org_id IS NULL AND revoked_at IS NULL'
+  ).get(id, userId));
+}
+
+/**
+ * 按 ID 查找未撤销的密钥（个人或组织），供管理接口使用
+ */
+function findApiKeyById(id) {
+  return parseApiKeyRow(getDb().prepare('SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL').get(id));
+}
+
+/**
+ * 按前缀查找密钥（含已撤销的，由调用方区分撤销与无效）
+ */
+function findApiKeyByPrefix(keyPrefix) {
+  return parseApiKeyRow(getDb().prepare('SELECT * FROM api_keys WHERE key_prefix = ?').get(keyPrefix));
+}
+
+/**
+ * 按明文查找迁移前签发的 JWT 密钥（含已撤销的）
+ */
+function findLegacyApiKey(key) {
+  return parseApiKeyRow(getDb().prepare('SELECT * FROM api_keys WHERE key = ?').get(key));
+}
+
+function findApiKeyByName(userId, name) {
+  return parseApiKeyRow(getDb().prepare(
+    'SELECT * FROM api_keys WHERE user_id = ? AND name = ? AND org_id IS NULL AND revoked_at IS NULL'
+  ).get(userId, name));
+}
+
+function listApiKeys(userId) {
+  return getDb().prepare(
+    'SELECT * FROM api_keys WHERE user_id = ? AND org_id IS NULL AND revoked_at IS NULL ORDER BY created_at DESC'
+  ).all(userId).map(parseApiKeyRow);
+}
+
+/**
+ * 更新密钥名称或权限范围
+ */
+function updateApiKey(userId, id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.scopes !== undefined) {
+    fields.push('scopes = ?');
+    values.push(updates.scopes ? JSON.stringify(updates.scopes) : null);
+  }
+  if (updates.maxConcurrency !== undefined) {
+    fields.push('max_concurrency = ?');
+    values.push(updates.maxConcurrency);
+  }
+
+  if (fields.length > 0) {
+    getDb().prepare(
+      `UPDATE api_keys SET ${fields.join(', ')} WHERE id = ? AND user_id = ? AND org_id IS NULL AND revoked_at IS NULL`
+    ).run(...values, id, userId);
+  }
+  return getApiKeyById(userId, id);
+}
+
+/**
+ * 撤销密钥，立即生效
+ */
+function revokeApiKey(userId, id) {
+  const result = getDb().prepare(
+    "UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND user_id = ? AND org_id IS NULL AND revoked_at IS NULL"
+  ).run(id, userId);
+  return result.changes > 0;
+}
+
+function touchApiKey(id) {
+  getDb().prepare("UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?").run(id);
+}
+
+// ============ 组织 ============
+
+/**
+ * 创建组织，创建者成为 owner
+ */
+function createOrganization(name, ownerId) {
+  const db = getDb();
+  const create = db.transaction(() => {
+    const id = uuidv4();
+    db.prepare('INSERT INTO organizations (id, name, created_by) VALUES (?, ?, ?)').run(id, name, ownerId);
+    db.prepare("INSERT INTO organization_members (org_id, user_id, role) VALUES (?, ?, 'owner')").run(id, ownerId);
+    return getOrganization(id);
+  });
+  return create();
+}
+
+function getOrganization(id) {
+  return getDb().prepare('SELECT * FROM organizations WHERE id = ?').get(id);
+}
+
+/**
+ * 用户所属的组织及其在组织中的角色
+ */
+function listUserOrganizations(userId) {
+  return getDb().prepare(`
+    SELECT o.*, m.role as member_role
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.org_id
+    WHERE m.user_id = ?
+    ORDER BY o.created_at
+  `).all(userId);
+}
+
+function updateOrganization(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (['name', 'plan'].includes(key) && value !== undefined) {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (fields.length > 0) {
+    fields.push('updated_at = datetime(\'now\')');
+    getDb().prepare(`UPDATE organizations SET ${fields.join(', ')} WHERE id = ?`).run(...values, id);
+  }
+  return getOrganization(id);
+}
+
+function getOrganizationMember(orgId, userId) {
+  return getDb().prepare(
+    'SELECT * FROM organization_members WHERE org_id = ? AND user_id = ?'
+  ).get(orgId, userId);
+}
+
+function listOrganizationMembers(orgId) {
+  return getDb().prepare(`
+    SELECT m.user_id, m.role, m.created_at, u.email, u.name
+    FROM organization_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.org_id = ?
+    ORDER BY m.created_at
+  `).all(orgId);
+}
+
+function addOrganizationMember(orgId, userId, role) {
+  getDb().prepare(
+    'INSERT INTO organization_members (org_id, user_id, role) VALUES (?, ?, ?)'
+  ).run(orgId, userId, role);
+  return getOrganizationMember(orgId, userId);
+}
+
+function updateOrganizationMemberRole(orgId, userId, role) {
+  getDb().prepare(
+    'UPDATE organization_members SET role = ? WHERE org_id = ? AND user_id = ?'
+  ).run(role, orgId, userId);
+  return getOrganizationMember(orgId, userId);
+}
+
+/**
+ * 移除成员，并撤销该成员创建的组织密钥
+ */
+function removeOrganizationMember(orgId, userId) {
+  const db = getDb();
+  const remove = db.transaction(() => {
+    db.prepare(`
+      UPDATE api_keys SET revoked_at = datetime('now')
+      WHERE org_id = ? AND user_id = ? AND revoked_at IS NULL
+    `).run(orgId, userId);
+    return db.prepare(
+      'DELETE FROM organization_members WHERE org_id = ? AND user_id = ?'
+    ).run(orgId, userId).changes > 0;
+  });
+  return remove();
+}
+
+function countOrganizationOwners(orgId) {
+  return getDb().prepare(
+    "SELECT COUNT(*) as count FROM organization_members WHERE org_id = ? AND role = 'owner'"
+  ).get(orgId).count;
+}
+
+function listOrganizationApiKeys(orgId) {
+  return getDb().prepare(
+    'SELECT * FROM api_keys WHERE org_id = ? AND revoked_at IS NULL ORDER BY created_at DESC'
+  ).all(orgId).map(parseApiKeyRow);
+}
+
+function getOrganizationApiKey(orgId, id) {
+  return parseApiKeyRow(getDb().prepare(
+    'SELECT * FROM api_keys WHERE id = ? AND org_id = ? AND revoked_at IS NULL'
+  ).get(id, orgId));
+}
+
+function findOrganizationApiKeyByName(orgId, name) {
+  return parseApiKeyRow(getDb().prepare(
+    'SELECT * FROM api_keys WHERE org_id = ? AND name = ? AND revoked_at IS NULL'
+  ).get(orgId, name));
+}
+
+function revokeOrganizationApiKey(orgId, id) {
+  const result = getDb().prepare(
+    "UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND org_id = ? AND revoked_at IS NULL"
+  ).run(id, orgId);
+  return result.changes > 0;
+}
+
+/**
+ * 组织用量按成员汇总
+ * filters 同 buildUsageConditions
+ */
+function summarizeOrganizationUsageByMember(orgId, filters = {}) {
+  const { where, values } = buildUsageConditions(null, { ...filters, orgId });
+  return getDb().prepare(`
+    SELECT l.user_id, u.email, u.name, COUNT(*) as calls, COALESCE(SUM(l.cost), 0) as cost
+    FROM (SELECT user_id, cost FROM usage_log WHERE ${where}) l
+    LEFT JOIN users u ON u.id = l.user_id
+    GROUP BY l.user_id
+    ORDER BY cost DESC
+  `).all(...values);
+}
+
+// ============ 用量日志 ============
+
+function logUsage(userId, service, cost, metadata, startTime, endTime, durationMs, requestId, orgId) {
+  const result = getDb().prepare(
+    'INSERT INTO usage_log (user_id, service, cost, start_time, end_time, duration_ms, metadata, request_id, org_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  ).run(
+    userId, 
+    service, 
+    cost, 
+    startTime || new Date().toISOString(),
+    endTime || new Date().toISOString(),
+    durationMs || 0,
+    JSON.stringify(metadata || {}),
+    requestId || null,
+    orgId || null
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * 记录一次计费调用：更新用户统计、写入 usage_log 并从余额账本扣款
+ * 三者在同一个事务中完成，任何一步失败都会整体回滚
+ * orgId 非空时（组织密钥调用）从组织余额扣款，用户统计仍计入调用者
+ */
+function recordUsageCharge(userId, service, cost, metadata, startTime, endTime, durationMs, requestId, orgId) {
+  const db = getDb();
+  const charge = db.transaction(() => {
+    updateUserStats(userId, cost);
+    const usageId = logUsage(userId, service, cost, metadata, startTime, endTime, durationMs, requestId, orgId);
+    postLedgerTransaction(userId, 'usage', -cost, {
+      counterAccount: LEDGER_ACCOUNTS.REVENUE,
+      reference: `usage:${usageId}`,
+      description: `${service} 调用扣费`,
+      orgId
+    });
+    return usageId;
+  });
+  return charge();
+}
+
+/**
+ * 某服务最近若干次调用的平均执行时长（毫秒），用于预估按时计费的费用
+ */
+function getAverageDuration(service, sampleSize = 100) {
+  const row = getDb().prepare(`
+    SELECT AVG(duration_ms) as avg_ms, COUNT(*) as samples
+    FROM (
+      SELECT duration_ms FROM usage_log
+      WHERE service = ? AND status = 'completed'
+      ORDER BY id DESC
+      LIMIT ?
+    )
+  `).get(service, sampleSize);
+  return row.samples > 0 ? row.avg_ms : null;
+}
+
+/**
+ * 构建用量查询条件
+ * filters: { orgId, startTime, endTime, service, status }，时间为 SQLite datetime 格式
+ */
+function buildUsageConditions(userId, filters = {}) {
+  const conditions = [];
+  const values = [];
+
+  // userId 为 null 时查询所有用户（管理员统计）或整个组织
+  if (userId) {
+    conditions.push('user_id = ?');
+    values.push(userId);
+  }
+  if (filters.orgId) {
+    conditions.push('org_id = ?');
+    values.push(filters.orgId);
+  }
+
+  if (filters.startTime) {
+    conditions.push('created_at >= ?');
+    values.push(filters.startTime);
+  }
+  if (filters.endTime) {
+    conditions.push('created_at < ?');
+    values.push(filters.endTime);
+  }
+  if (filters.service) {
+    conditions.push('service = ?');
+    values.push(filters.service);
+  }
+  if (filters.status) {
+    conditions.push('status = ?');
+    values.push(filters.status);
+  }
+
+  return { where: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1', values };
+}
+
+/**
+ * 按 id 倒序的游标分页查询，afterId 为上一页最后一条记录的 id；offset 用于兼容旧的偏移分页
+ */
+function queryUsage(userId, filters = {}, limit = 50, afterId = null, offset = 0) {
+  const { where, values } = buildUsageConditions(userId, filters);
+  const cursorClause = afterId ? ' AND id < ?' : '';
+  const params = afterId ? [...values, afterId] : values;
+
+  return getDb().prepare(
+    `SELECT * FROM usage_log WHERE ${where}${cursorClause} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+}
+
+/**
+ * 用量汇总：总费用、总次数、按服务汇总以及执行时长 p50/p95
+ */
+function summarizeUsage(userId, filters = {}) {
+  const db = getDb();
+  const { where, values } = buildUsageConditions(userId, filters);
+
+  const totals = db.prepare(`
+    SELECT COUNT(*) as calls, COALESCE(SUM(cost), 0) as cost
+    FROM usage_log WHERE ${where}
+  `).get(...values);
+
+  const byService = {};
+  const serviceRows = db.prepare(`
+    SELECT service, COUNT(*) as calls, COALESCE(SUM(cost), 0) as cost
+    FROM usage_log WHERE ${where}
+    GROUP BY service
+  `).all(...values);
+  for (const row of serviceRows) {
+    byService[row.service] = { calls: row.calls, cost: row.cost };
+  }
+
+  // 最近秩法计算百分位
+  const percentile = (p) => {
+    if (totals.calls === 0) return null;
+    const row = db.prepare(`
+      SELECT duration_ms FROM usage_log WHERE ${where}
+      ORDER BY duration_ms LIMIT 1 OFFSET ?
+    `).get(...values, Math.max(0, Math.ceil(p * totals.calls) - 1));
+    return row ? row.duration_ms : null;
+  };
+
+  return {
+    totalCalls: totals.calls,
+    totalCost: totals.cost,
+    byService,
+    durationP50: percentile(0.5),
+    durationP95: percentile(0.95)
+  };
+}
+
+/**
+ * 按 id 正序分批读取用量记录，用于流式导出
+ */
+function getUsageBatch(userId, filters = {}, afterId = 0, batchSize = 500) {
+  const { where, values } = buildUsageConditions(userId, filters);
+  return getDb().prepare(
+    `SELECT * FROM usage_log WHERE ${where} AND id > ? ORDER BY id ASC LIMIT ?`
+  ).all(...values, afterId, batchSize);
+}
+
+// 时间桶表达式（UTC），周以周一为起点
+const USAGE_BUCKETS = {
+  hour: "strftime('%Y-%m-%d %H:00:00', created_at)",
+  day: "strftime('%Y-%m-%d', created_at)",
+  week: "date(created_at, '-6 days', 'weekday 1')",
+  month: "strftime('%Y-%m-01', created_at)"
+};
+
+/**
+ * 按时间桶和服务汇总调用次数、费用、失败次数和执行时长（平均值、p50、p95）
+ * 百分位使用窗口函数按最近秩法计算
+ */
+function getUsageTimeseries(userId, filters = {}, interval = 'day') {
+  const bucket = USAGE_BUCKETS[interval];
+  if (!bucket) throw new Error(`Invalid interval: ${interval}`);
+
+  const { where, values } = buildUsageConditions(userId, filters);
+
+  return getDb().prepare(`
+    SELECT
+      bucket,
+      service,
+      COUNT(*) as calls,
+      COALESCE(SUM(cost), 0) as cost,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as errors,
+      AVG(duration_ms) as avg_duration,
+      MAX(CASE WHEN rn = (cnt * 50 + 99) / 100 THEN duration_ms END) as p50_duration,
+      MAX(CASE WHEN rn = (cnt * 95 + 99) / 100 THEN duration_ms END) as p95_duration
+    FROM (
+      SELECT
+        bucket,
+        service,
+        cost,
+        status,
+        duration_ms,
+        ROW_NUMBER() OVER (PARTITION BY bucket, service ORDER BY duration_ms) as rn,
+        COUNT(*) OVER (PARTITION BY bucket, service) as cnt
+      FROM (
+        SELECT ${bucket} as bucket, service, cost, status, duration_ms
+        FROM usage_log
+        WHERE ${where}
+      )
+    )
+    GROUP BY bucket, service
+    ORDER BY bucket, service
+  `).all(...values);
+}
+
+/**
+ * 记录一次失败的调用（不计费，不写账本）
+ */
+function logFailedUsage(userId, service, metadata, startTime, endTime, durationMs, requestId, orgId) {
+  const result = getDb().prepare(`
+    INSERT INTO usage_log (user_id, service, cost, start_time, end_time, duration_ms, metadata, request_id, status, org_id)
+    VALUES (?, ?, 0, ?, ?, ?, ?, ?, 'failed', ?)
+  `).run(
+    userId,
+    service,
+    startTime || new Date().toISOString(),
+    endTime || new Date().toISOString(),
+    durationMs || 0,
+    JSON.stringify(metadata || {}),
+    requestId || null,
+    orgId || null
+  );
+  return result.lastInsertRowid;
+}
+
+function getUserUsage(userId, limit = 50) {
+  return getDb().prepare(
+    'SELECT * FROM usage_log WHERE user_id = ? ORDER BY created_at DESC LIMIT ?'
+  ).all(userId, limit);
+}
+
+// ============ 余额账本 ============
+
+// 复式记账科目：user_balance / org_balance 为用户或组织的预付余额（贷方增加），其余为对应的对方科目
+const LEDGER_ACCOUNTS = {
+  USER_BALANCE: 'user_balance',
+  ORG_BALANCE: 'org_balance',
+  CASH: 'cash',
+  REVENUE: 'revenue',
+  ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * 写入一笔账本交易（借贷两条分录）
+ * amount 为正表示增加余额，为负表示扣减余额
+ * options.orgId 非空时记入组织余额，userId 为经办用户
+ */
+function postLedgerTransaction(userId, type, amount, options = {}) {
+  const { counterAccount, reference = null, description = null, createdBy = null, orgId = null } = options;
+  const balanceAccount = orgId ? LEDGER_ACCOUNTS.ORG_BALANCE : LEDGER_ACCOUNTS.USER_BALANCE;
+  const db = getDb();
+
+  const post = db.transaction(() => {
+    const result = db.prepare(
+      'INSERT INTO ledger_transactions (user_id, org_id, type, amount, reference, description, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).run(userId, orgId, type, amount, reference, description, createdBy);
+    const transactionId = result.lastInsertRowid;
+    const value = Math.abs(amount);
+
+    const insertEntry = db.prepare(
+      'INSERT INTO ledger_entries (transaction_id, account, user_id, org_id, debit, credit) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    if (amount >= 0) {
+      insertEntry.run(transactionId, counterAccount, userId, orgId, value, 0);
+      insertEntry.run(transactionId, balanceAccount, userId, orgId, 0, value);
+    } else {
+      insertEntry.run(transactionId, balanceAccount, userId, orgId, value, 0);
+      insertEntry.run(transactionId, counterAccount, userId, orgId, 0, value);
+    }
+
+    return transactionId;
+  });
+
+  return post();
+}
+
+function creditRecharge(userId, amount, reference, description, orgId) {
+  return postLedgerTransaction(userId, 'recharge', amount, {
+    counterAccount: LEDGER_ACCOUNTS.CASH,
+    reference,
+    description: description || `账户充值 ¥${amount}`,
+    orgId
+  });
+}
+
+function recordAdjustment(userId, amount, reason, adminId) {
+  return postLedgerTransaction(userId, 'adjustment', amount, {
+    counterAccount: LEDGER_ACCOUNTS.ADJUSTMENT,
+    reference: null,
+    description: reason,
+    createdBy: adminId || null
+  });
+}
+
+function getBalance(userId) {
+  const row = getDb().prepare(`
+    SELECT COALESCE(SUM(credit - debit), 0) as balance
+    FROM ledger_entries
+    WHERE account = ? AND user_id = ?
+  `).get(LEDGER_ACCOUNTS.USER_BALANCE, userId);
+  return row.balance;
+}
+
+function getOrganizationBalance(orgId) {
+  const row = getDb().prepare(`
+    SELECT COALESCE(SUM(credit - debit), 0) as balance
+    FROM ledger_entries
+    WHERE account = ? AND org_id = ?
+  `).get(LEDGER_ACCOUNTS.ORG_BALANCE, orgId);
+  return row.balance;
+}
+
+function getLedgerTransactions(userId, limit = 50) {
+  return getDb().prepare(
+    'SELECT * FROM ledger_transactions WHERE user_id = ? AND org_id IS NULL ORDER BY id DESC LIMIT ?'
+  ).all(userId, limit);
+}
+
+/**
+ * 个人账单只统计个人调用，组织密钥的调用计入组织
+ */
+function billingOwnerCondition(userId, orgId) {
+  return orgId
+    ? { clause: 'org_id = ?', value: orgId }
+    : { clause: 'user_id = ? AND org_id IS NULL', value: userId };
+}
+
+/**
+ * 本月（UTC）按服务汇总的调用次数和费用；orgId 非空时统计组织
+ */
+function getMonthlyUsageByService(userId, orgId = null) {
+  const owner = billingOwnerCondition(userId, orgId);
+  return getDb().prepare(`
+    SELECT
+      service,
+      COUNT(*) as calls,
+      COALESCE(SUM(cost), 0) as cost
+    FROM usage_log
+    WHERE ${owner.clause} AND status = 'completed' AND created_at >= datetime('now', 'start of month')
+    GROUP BY service
+  `).all(owner.value);
+}
+
+// ============ 充值订单 ============
+
+function createOrder(orderData) {
+  const { id, userId, orgId = null, amount, currency = 'CNY', paymentMethod, provider, providerTradeNo = null, expiresAt } = orderData;
+  getDb().prepare(`
+    INSERT INTO orders (id, user_id, org_id, amount, currency, payment_method, provider, provider_trade_no, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, orgId, amount, currency, paymentMethod, provider, providerTradeNo, expiresAt);
+  return getOrder(id);
+}
+
+function getOrder(orderId) {
+  return getDb().prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+}
+
+/**
+ * 处理支付成功通知：pending / expired → paid → credited
+ * 渠道确认收款后照常入账，即使订单已超过支付时限（款项已到账，不能不记入余额）
+ * 整个流程在一个事务中完成，重复通知不会重复入账
+ */
+function settleOrder(orderId, providerTradeNo) {
+  const db = getDb();
+
+  const settle = db.transaction(() => {
+    const order = getOrder(orderId);
+    if (!order) return null;
+
+    const now = new Date().toISOString();
+
+    if (order.status === 'pending' || order.status === 'expired') {
+      db.prepare(`
+        UPDATE orders
+        SET status = 'paid', paid_at = ?, provider_trade_no = COALESCE(?, provider_trade_no), updated_at = datetime('now')
+        WHERE id = ? AND status IN ('pending', 'expired')
+      `).run(now, providerTradeNo, orderId);
+      order.status = 'paid';
+    }
+
+    if (order.status === 'paid') {
+      creditRecharge(order.user_id, order.amount, `order:${orderId}`, null, order.org_id);
+      db.prepare(`
+        UPDATE orders SET status = 'credited', credited_at = ?, updated_at = datetime('now') WHERE id = ? AND status = 'paid'
+      `).run(now, orderId);
+    }
+
+    return getOrder(orderId);
+  });
+
+  // IMMEDIATE 事务提前获取写锁，避免多个网关实例并发处理同一通知
+  return settle.immediate();
+}
+
+/**
+ * 将超过支付时限仍未支付的订单标记为过期
+ */
+function expirePendingOrders() {
+  const now = new Date().toISOString();
+  const expired = getDb().prepare(`
+    SELECT id, user_id FROM orders WHERE status = 'pending' AND expires_at < ?
+  `).all(now);
+
+  if (expired.length > 0) {
+    getDb().prepare(`
+      UPDATE orders SET status = 'expired', updated_at = datetime('now')
+      WHERE status = 'pending' AND expires_at < ?
+    `).run(now);
+  }
+
+  return expired;
+}
+
+// ============ 套餐订阅 ============
+
+function createSubscription(data) {
+  const id = uuidv4();
+  getDb().prepare(`
+    INSERT INTO subscriptions (id, user_id, plan, billing_cycle, status, current_period_start, current_period_end, anchor_day)
+    VALUES (?, ?, ?, ?, 'active', ?, ?, ?)
+  `).run(id, data.userId, data.plan, data.billingCycle, data.periodStart, data.periodEnd, data.anchorDay || null);
+  return getSubscription(id);
+}
+
+function getSubscription(id) {
+  return getDb().prepare('SELECT * FROM subscriptions WHERE id = ?').get(id);
+}
+
+function getActiveSubscription(userId) {
+  return getDb().prepare(`
+    SELECT * FROM subscriptions
+    WHERE user_id = ? AND status = 'active'
+    ORDER BY current_period_end DESC
+    LIMIT 1
+  `).get(userId);
+}
+
+function updateSubscription(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (['plan', 'billing_cycle', 'status', 'current_period_start', 'current_period_end', 'auto_renew', 'pending_plan', 'pending_cycle', 'anchor_day'].includes(key)) {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (fields.length === 0) return false;
+
+  fields.push('updated_at = datetime(\'now\')');
+  values.push(id);
+
+  const sql = `UPDATE subscriptions SET ${fields.join(', ')} WHERE id = ?`;
+  return getDb().prepare(sql).run(...values).changes > 0;
+}
+
+/**
+ * 已到期、等待续费或降级处理的订阅
+ */
+function getDueSubscriptions(now = new Date().toISOString()) {
+  return getDb().prepare(`
+    SELECT * FROM subscriptions
+    WHERE status = 'active' AND current_period_end <= ?
+  `).all(now);
+}
+
+/**
+ * 用户当前生效的套餐
+ * 有有效订阅时取订阅套餐，否则取 users.plan（订阅到期处理时同步为 free，也可能是管理员手动分配的套餐）
+ */
+function getEffectivePlan(userId) {
+  const now = new Date().toISOString();
+  const active = getDb().prepare(`
+    SELECT plan FROM subscriptions
+    WHERE user_id = ? AND status = 'active' AND current_period_end > ?
+    ORDER BY current_period_end DESC
+    LIMIT 1
+  `).get(userId, now);
+  if (active) return active.plan;
+
+  const user = findUserById(userId);
+  return (user && user.plan) || 'free';
+}
+
+// ============ 发票 ============
+
+/**
+ * 按服务和计费模式汇总某时间段内的用量，作为发票明细
+ * start / end 为 SQLite datetime 格式（YYYY-MM-DD HH:MM:SS）；orgId 非空时汇总组织用量
+ */
+function getUsageSummaryForPeriod(userId, start, end, orgId = null) {
+  const owner = billingOwnerCondition(userId, orgId);
+  return getDb().prepare(`
+    SELECT
+      service,
+      COALESCE(json_extract(metadata, '$.billingMode'), 'per_call') as billing_mode,
+      COUNT(*) as calls,
+      COALESCE(SUM(duration_ms), 0) as duration_ms,
+      COALESCE(SUM(cost), 0) as total
+    FROM usage_log
+    WHERE ${owner.clause} AND status = 'completed' AND created_at >= ? AND created_at < ?
+    GROUP BY service, billing_mode
+    ORDER BY service, billing_mode
+  `).all(owner.value, start, end);
+}
+
+/**
+ * 时间段内有用量、且该账期（periodStart）尚未开具发票的用户
+ */
+function getUninvoicedUsers(start, end, periodStart) {
+  return getDb().prepare(`
+    SELECT DISTINCT u.user_id FROM usage_log u
+    WHERE u.org_id IS NULL AND u.status = 'completed' AND u.created_at >= ? AND u.created_at < ?
+      AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.user_id = u.user_id AND i.org_id IS NULL AND i.period_start = ?)
+  `).all(start, end, periodStart).map(row => row.user_id);
+}
+
+function getUninvoicedOrganizations(start, end, periodStart) {
+  return getDb().prepare(`
+    SELECT DISTINCT u.org_id FROM usage_log u
+    WHERE u.org_id IS NOT NULL AND u.status = 'completed' AND u.created_at >= ? AND u.created_at < ?
+      AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.org_id = u.org_id AND i.period_start = ?)
+  `).all(start, end, periodStart).map(row => row.org_id);
+}
+
+/**
+ * 开具发票：在 IMMEDIATE 事务中分配连续的发票序号并写入明细
+ * 组织发票的 user_id 为开票时的组织所有者
+ */
+function createInvoice(invoiceData, items) {
+  const db = getDb();
+  const { userId, orgId = null, periodStart, periodEnd, amount, currency = 'CNY', numberPrefix } = invoiceData;
+  const owner = billingOwnerCondition(userId, orgId);
+
+  const issue = db.transaction(() => {
+    const existing = db.prepare(
+      `SELECT * FROM invoices WHERE ${owner.clause} AND period_start = ?`
+    ).get(owner.value, periodStart);
+    if (existing) return existing;
+
+    const { next } = db.prepare('SELECT COALESCE(MAX(sequence), 0) + 1 as next FROM invoices').get();
+    const invoiceNumber = `${numberPrefix}-${String(next).padStart(6, '0')}`;
+
+    const result = db.prepare(`
+      INSERT INTO invoices (sequence, invoice_number, user_id, org_id, period_start, period_end, amount, currency)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(next, invoiceNumber, userId, orgId, periodStart, periodEnd, amount, currency);
+
+    const insertItem = db.prepare(`
+      INSERT INTO invoice_items (invoice_id, service, billing_mode, quantity, unit, unit_price, total)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const item of items) {
+      insertItem.run(result.lastInsertRowid, item.service, item.billingMode, item.quantity, item.unit, item.unitPrice, item.total);
+    }
+
+    return db.prepare('SELECT * FROM invoices WHERE id = ?').get(result.lastInsertRowid);
+  });
+
+  return issue.immediate();
+}
+
+function getInvoiceByNumber(invoiceNumber) {
+  return getDb().prepare('SELECT * FROM invoices WHERE invoice_number = ?').get(invoiceNumber);
+}
+
+function getInvoiceItems(invoiceId) {
+  return getDb().prepare('SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id').all(invoiceId);
+}
+
+/**
+ * filters.orgId 非空时列出组织发票，否则列出个人发票
+ */
+function listInvoices(userId, filters = {}) {
+  const { orgId = null, status, startDate, endDate, limit = 20, offset = 0 } = filters;
+  const owner = billingOwnerCondition(userId, orgId);
+  const conditions = [owner.clause];
+  const values = [owner.value];
+
+  if (status) {
+    conditions.push('status = ?');
+    values.push(status);
+  }
+  if (startDate) {
+    conditions.push('period_start >= ?');
+    values.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('period_start <= ?');
+    values.push(endDate);
+  }
+
+  const where = conditions.join(' AND ');
+  const { total } = getDb().prepare(`SELECT COUNT(*) as total FROM invoices WHERE ${where}`).get(...values);
+  const invoices = getDb().prepare(
+    `SELECT * FROM invoices WHERE ${where} ORDER BY period_start DESC LIMIT ? OFFSET ?`
+  ).all(...values, limit, offset);
 
-/**
- * 获取数据库实例
- */
-function getDb() {
-  if (!db) initDatabase();
-  return db;
+  return { invoices, total };
 }
 
-// ============ 用户操作 ============
+// ============ 撤销令牌操作 ============
 
-function createUser(email, name, hashedPassword) {
-  const id = uuidv4();
-  const stmt = getDb().prepare(
-    'INSERT INTO users (id, email, name, password) VALUES (?, ?, ?, ?)'
-  );
-  stmt.run(id, email, name, hashedPassword);
-  return id;
+function revokeToken(token, userId, expiresAt) {
+  getDb().prepare(
+    'INSERT OR REPLACE INTO revoked_tokens (token, user_id, expires_at) VALUES (?, ?, ?)'
+  ).run(token, userId, expiresAt);
 }
 
-function findUserByEmail(email) {
-  return getDb().prepare('SELECT * FROM users WHERE email = ?').get(email);
+function isTokenRevoked(token) {
+  const row = getDb().prepare('SELECT 1 FROM revoked_tokens WHERE token = ?').get(token);
+  return !!row;
 }
 
-function findUserById(id) {
-  return getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+function cleanExpiredTokens() {
+  const now = new Date().toISOString();
+  getDb().prepare('DELETE FROM revoked_tokens WHERE expires_at < ?').run(now);
 }
 
-function updateUserStats(userId, costIncrement) {
+// ============ 登录会话 ============
+
+function createSession(sessionData) {
   getDb().prepare(
-    'UPDATE users SET api_calls = api_calls + 1, total_spent = total_spent + ?, updated_at = datetime(\'now\') WHERE id = ?'
-  ).run(costIncrement, userId);
+    'INSERT INTO sessions (id, user_id, user_agent, ip) VALUES (?, ?, ?, ?)'
+  ).run(sessionData.id, sessionData.userId, sessionData.userAgent || null, sessionData.ip || null);
 }
 
-// ============ API Key 操作 ============
+function getSession(id) {
+  return getDb().prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+}
+
+function extendSession(id, expiresAt) {
+  getDb().prepare('UPDATE sessions SET expires_at = ? WHERE id = ?').run(expiresAt, id);
+}
 
-function saveApiKey(userId, key) {
+function revokeSession(id, reason) {
   getDb().prepare(
-    'INSERT OR REPLACE INTO api_keys (user_id, key) VALUES (?, ?)'
-  ).run(userId, key);
+    "UPDATE sessions SET revoked_at = datetime('now'), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL"
+  ).run(reason, id);
 }
 
-function getApiKey(userId) {
-  const row = getDb().prepare('SELECT key FROM api_keys WHERE user_id = ?').get(userId);
-  return row ? row.key : null;
+function saveRefreshToken(tokenHash, sessionId, expiresAt) {
+  getDb().prepare(
+    'INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, ?)'
+  ).run(tokenHash, sessionId, expiresAt);
 }
 
-// ============ 用量日志 ============
+function findRefreshToken(tokenHash) {
+  return getDb().prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(tokenHash);
+}
+
+/**
+ * 标记刷新令牌已使用；并发刷新时只有一个请求能成功
+ */
+function markRefreshTokenUsed(tokenHash) {
+  const result = getDb().prepare(
+    "UPDATE refresh_tokens SET used_at = datetime('now') WHERE token_hash = ? AND used_at IS NULL"
+  ).run(tokenHash);
+  return result.changes > 0;
+}
 
-function logUsage(userId, service, cost, metadata, startTime, endTime, durationMs) {
+/**
+ * 清理已过期的会话及其刷新令牌
+ */
+function cleanExpiredSessions() {
+  const now = new Date().toISOString();
+  const clean = getDb().transaction(() => {
+    getDb().prepare(
+      'DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM sessions WHERE expires_at < ?)'
+    ).run(now);
+    getDb().prepare('DELETE FROM sessions WHERE expires_at < ?').run(now);
+  });
+  clean();
+}
+
+/**
+ * 撤销用户的所有会话（修改或重置密码后），exceptSessionId 为保留的当前会话
+ */
+function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  return getDb().prepare(`
+    UPDATE sessions SET revoked_at = datetime('now'), revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `).run(reason, userId, exceptSessionId).changes;
+}
+
+// ============ 账户安全 ============
+
+function createAuthToken(tokenHash, userId, purpose, expiresAt) {
   getDb().prepare(
-    'INSERT INTO usage_log (user_id, service, cost, start_time, end_time, duration_ms, metadata) VALUES (?, ?, ?, ?, ?, ?, ?)'
-  ).run(
-    userId, 
-    service, 
-    cost, 
-    startTime || new Date().toISOString(),
-    endTime || new Date().toISOString(),
-    durationMs || 0,
-    JSON.stringify(metadata || {})
-  );
+    'INSERT INTO auth_tokens (token_hash, user_id, purpose, expires_at) VALUES (?, ?, ?, ?)'
+  ).run(tokenHash, userId, purpose, expiresAt);
 }
 
-function getUserUsage(userId, limit = 50) {
+function findAuthToken(tokenHash, purpose) {
   return getDb().prepare(
-    'SELECT * FROM usage_log WHERE user_id = ? ORDER BY created_at DESC LIMIT ?'
-  ).all(userId, limit);
+    'SELECT * FROM auth_tokens WHERE token_hash = ? AND purpose = ?'
+  ).get(tokenHash, purpose);
 }
 
-// ============ 撤销令牌操作 ============
+/**
+ * 标记令牌已使用；并发请求时只有一个能成功
+ */
+function markAuthTokenUsed(tokenHash) {
+  const result = getDb().prepare(
+    "UPDATE auth_tokens SET used_at = datetime('now') WHERE token_hash = ? AND used_at IS NULL"
+  ).run(tokenHash);
+  return result.changes > 0;
+}
 
-function revokeToken(token, userId, expiresAt) {
+/**
+ * 作废用户某类尚未使用的令牌（重新发送或使用后）
+ */
+function invalidateAuthTokens(userId, purpose) {
   getDb().prepare(
-    'INSERT OR REPLACE INTO revoked_tokens (token, user_id, expires_at) VALUES (?, ?, ?)'
-  ).run(token, userId, expiresAt);
+    "UPDATE auth_tokens SET used_at = datetime('now') WHERE user_id = ? AND purpose = ? AND used_at IS NULL"
+  ).run(userId, purpose);
 }
 
-function isTokenRevoked(token) {
-  const row = getDb().prepare('SELECT 1 FROM revoked_tokens WHERE token = ?').get(token);
-  return !!row;
+function getLoginFailure(key) {
+  return getDb().prepare('SELECT * FROM login_failures WHERE key = ?').get(key);
 }
 
-function cleanExpiredTokens() {
+function saveLoginFailure(key, failures, lastFailureAt, lockedUntil) {
+  getDb().prepare(`
+    INSERT INTO login_failures (key, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      failures = excluded.failures,
+      last_failure_at = excluded.last_failure_at,
+      locked_until = excluded.locked_until
+  `).run(key, failures, lastFailureAt, lockedUntil);
+}
+
+function clearLoginFailures(key) {
+  getDb().prepare('DELETE FROM login_failures WHERE key = ?').run(key);
+}
+
+/**
+ * 清理过期的验证/重置令牌和早已失效的登录失败记录
+ */
+function cleanExpiredAuthTokens(failureWindowMs) {
   const now = new Date().toISOString();
-  getDb().prepare('DELETE FROM revoked_tokens WHERE expires_at < ?').run(now);
+  const cutoff = new Date(Date.now() - failureWindowMs).toISOString();
+  getDb().prepare('DELETE FROM auth_tokens WHERE expires_at < ?').run(now);
+  getDb().prepare(
+    'DELETE FROM login_failures WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until < ?)'
+  ).run(cutoff, now);
+}
+
+// ============ 两步验证 ============
+
+/**
+ * 保存待确认的 TOTP 密钥；确认前不生效
+ */
+function setPendingTotpSecret(userId, secret) {
+  getDb().prepare(`
+    UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(secret, userId);
+}
+
+function enableTotp(userId, step) {
+  getDb().prepare(`
+    UPDATE users SET totp_enabled_at = datetime('now'), totp_last_step = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(step, userId);
+}
+
+/**
+ * 记录已使用的时间步，只接受比上次更新的时间步，防止验证码重放
+ */
+function advanceTotpStep(userId, step) {
+  return getDb().prepare(`
+    UPDATE users SET totp_last_step = ?
+    WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `).run(step, userId, step).changes > 0;
+}
+
+function disableTotp(userId) {
+  const disable = getDb().transaction(() => {
+    getDb().prepare(`
+      UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(userId);
+    getDb().prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+  });
+  disable();
+}
+
+/**
+ * 替换用户的全部恢复码
+ */
+function replaceRecoveryCodes(userId, codeHashes) {
+  const replace = getDb().transaction(() => {
+    getDb().prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    const insert = getDb().prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    for (const codeHash of codeHashes) {
+      insert.run(userId, codeHash);
+    }
+  });
+  replace();
+}
+
+/**
+ * 使用恢复码，成功返回 true；已使用的恢复码不能再次使用
+ */
+function useRecoveryCode(userId, codeHash) {
+  return getDb().prepare(`
+    UPDATE recovery_codes SET used_at = datetime('now')
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(userId, codeHash).changes > 0;
+}
+
+function countRecoveryCodes(userId) {
+  return getDb().prepare(
+    'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL'
+  ).get(userId).count;
+}
+
+// ============ 系统设置 ============
+
+function getSetting(key, defaultValue = null) {
+  const row = getDb().prepare('SELECT value FROM system_settings WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+function setSetting(key, value, updatedBy = null) {
+  getDb().prepare(`
+    INSERT INTO system_settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+  `).run(key, JSON.stringify(value), updatedBy);
 }
 
 // ============ 用户更新操作 ============
@@ -304,6 +1844,154 @@ function updateApiConfig(id, updates) {
   return result.changes > 0;
 }
 
+// ============ 限流策略 ============
+
+function listRateLimitPolicies(filters = {}) {
+  const conditions = [];
+  const params = [];
+  for (const [field, column] of [['plan', 'plan'], ['service', 'service'], ['apiKeyId', 'api_key_id']]) {
+    if (filters[field]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[field]);
+    }
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDb().prepare(`
+    SELECT * FROM rate_limit_policies ${where}
+    ORDER BY api_key_id IS NOT NULL, service IS NOT NULL, plan, service, window_seconds
+  `).all(...params);
+}
+
+function getActiveRateLimitPolicies() {
+  return getDb().prepare('SELECT * FROM rate_limit_policies WHERE enabled = 1').all();
+}
+
+function getRateLimitPolicy(id) {
+  return getDb().prepare('SELECT * FROM rate_limit_policies WHERE id = ?').get(id);
+}
+
+function createRateLimitPolicy(policy) {
+  const result = getDb().prepare(`
+    INSERT INTO rate_limit_policies (plan, service, api_key_id, window_seconds, max_requests, description, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    policy.plan || null,
+    policy.service || null,
+    policy.apiKeyId || null,
+    policy.windowSeconds,
+    policy.maxRequests,
+    policy.description || null,
+    policy.enabled === false ? 0 : 1
+  );
+  return getRateLimitPolicy(result.lastInsertRowid);
+}
+
+function updateRateLimitPolicy(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (['window_seconds', 'max_requests', 'description', 'enabled'].includes(key)) {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (fields.length === 0) return false;
+
+  fields.push('updated_at = datetime(\'now\')');
+  values.push(id);
+
+  return getDb().prepare(`UPDATE rate_limit_policies SET ${fields.join(', ')} WHERE id = ?`).run(...values).changes > 0;
+}
+
+function deleteRateLimitPolicy(id) {
+  return getDb().prepare('DELETE FROM rate_limit_policies WHERE id = ?').run(id).changes > 0;
+}
+
+// ============ 免费额度 ============
+
+function listPlanAllowances() {
+  return getDb().prepare('SELECT * FROM plan_allowances ORDER BY plan, service').all();
+}
+
+function getPlanAllowance(plan, service) {
+  const row = getDb().prepare('SELECT amount FROM plan_allowances WHERE plan = ? AND service = ?').get(plan, service);
+  return row ? row.amount : 0;
+}
+
+function setPlanAllowance(plan, service, amount) {
+  getDb().prepare(`
+    INSERT INTO plan_allowances (plan, service, amount, updated_at) VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(plan, service) DO UPDATE SET amount = excluded.amount, updated_at = excluded.updated_at
+  `).run(plan, service, amount);
+}
+
+function getQuotaUsage(ownerKey, service, period) {
+  const row = getDb().prepare(
+    'SELECT used FROM quota_usage WHERE owner_key = ? AND service = ? AND period = ?'
+  ).get(ownerKey, service, period);
+  return row ? row.used : 0;
+}
+
+function addQuotaUsage(ownerKey, service, period, amount) {
+  getDb().prepare(`
+    INSERT INTO quota_usage (owner_key, service, period, used, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(owner_key, service, period) DO UPDATE SET used = used + excluded.used, updated_at = excluded.updated_at
+  `).run(ownerKey, service, period, amount);
+}
+
+function createQuotaGrant(userId, grant) {
+  getDb().prepare(`
+    INSERT INTO quota_grants (user_id, source, service, amount, expires_at) VALUES (?, ?, ?, ?, ?)
+  `).run(userId, grant.source || 'trial', grant.service, grant.amount, grant.expiresAt);
+}
+
+/**
+ * 用户未过期的额外额度（含已用完的），先到期的在前
+ */
+function getActiveQuotaGrants(userId, service = null) {
+  const params = [userId, new Date().toISOString()];
+  let serviceCondition = '';
+  if (service) {
+    serviceCondition = 'AND service = ?';
+    params.push(service);
+  }
+  return getDb().prepare(`
+    SELECT * FROM quota_grants
+    WHERE user_id = ? AND expires_at > ? ${serviceCondition}
+    ORDER BY expires_at, id
+  `).all(...params);
+}
+
+function useQuotaGrant(id, amount) {
+  getDb().prepare('UPDATE quota_grants SET used = MIN(amount, used + ?) WHERE id = ?').run(amount, id);
+}
+
+// ============ 计数器 ============
+
+/**
+ * 计数器加减并返回新值；已过期的计数从零开始，未过期的计数过期时间只延长不缩短
+ */
+function incrementCounter(key, amount, expiresAt, now = Date.now()) {
+  return getDb().prepare(`
+    INSERT INTO counters (key, count, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      count = CASE WHEN counters.expires_at <= ? THEN excluded.count ELSE counters.count + excluded.count END,
+      expires_at = CASE WHEN counters.expires_at <= ? THEN excluded.expires_at ELSE MAX(counters.expires_at, excluded.expires_at) END
+    RETURNING count
+  `).get(key, amount, expiresAt, now, now).count;
+}
+
+function getCounter(key, now = Date.now()) {
+  const row = getDb().prepare('SELECT count FROM counters WHERE key = ? AND expires_at > ?').get(key, now);
+  return row ? row.count : 0;
+}
+
+function cleanExpiredCounters(now = Date.now()) {
+  return getDb().prepare('DELETE FROM counters WHERE expires_at <= ?').run(now).changes;
+}
+
 function updateLastLogin(userId) {
   getDb().prepare(
     'UPDATE users SET last_login = datetime(\'now\') WHERE id = ?'
@@ -328,7 +2016,7 @@ function getUserStats(userId) {
       COUNT(*) as count,
       SUM(cost) as total_cost
     FROM usage_log 
-    WHERE user_id = ?
+    WHERE user_id = ? AND status = 'completed'
     GROUP BY service
   `).all(userId);
   
@@ -361,6 +2049,27 @@ function registerWorker(workerData) {
   return { id, name, host, port, serviceType, weight };
 }
 
+/**
+ * 已注册节点重启后重新上线：更新地址和权重，保留节点 ID、密钥和统计，健康状态重新开始检查
+ */
+function reregisterWorker(workerId, workerData) {
+  const { name, host, port, serviceType, weight = 1 } = workerData;
+  const now = new Date().toISOString();
+
+  getDb().prepare(`
+    UPDATE worker_nodes
+    SET name = ?, host = ?, port = ?, weight = ?, status = 'online', last_heartbeat = ?, current_connections = 0,
+        health_state = NULL, health_failures = 0, health_successes = 0, health_error = NULL,
+        updated_at = datetime('now')
+    WHERE id = ?
+  `).run(name, host, port, weight, now, workerId);
+
+  return { id: workerId, name, host, port, serviceType, weight };
+}
+
+/**
+ * 记录心跳；主动健康检查判定为 degraded / unhealthy 的节点，状态由健康检查恢复，心跳不覆盖
+ */
 function updateWorkerHeartbeat(workerId, stats = {}) {
   const now = new Date().toISOString();
   const { currentConnections, cpuUsage, memoryUsage, status = 'online' } = stats;
@@ -371,20 +2080,33 @@ function updateWorkerHeartbeat(workerId, stats = {}) {
         current_connections = COALESCE(?, current_connections),
         cpu_usage = COALESCE(?, cpu_usage),
         memory_usage = COALESCE(?, memory_usage),
-        status = ?,
+        status = CASE WHEN health_state IN ('degraded', 'unhealthy') THEN status ELSE ? END,
         updated_at = datetime('now')
     WHERE id = ?
   `).run(now, currentConnections, cpuUsage, memoryUsage, status, workerId);
 }
 
 function getWorkersByService(serviceType) {
+  // 没有密钥的节点（升级前注册的）无法校验请求，不参与调度；degraded 节点由调度器在没有 online 节点时使用
   return getDb().prepare(`
     SELECT * FROM worker_nodes 
-    WHERE service_type = ? AND status = 'online'
+    WHERE service_type = ? AND status IN ('online', 'degraded')
+    AND id IN (SELECT worker_id FROM worker_credentials)
     ORDER BY current_connections ASC, avg_response_time ASC
   `).all(serviceType);
 }
 
+/**
+ * 服务是否有已注册的节点（不论当前状态），只有从未注册或已删除节点的服务才允许在网关本地执行
+ */
+function hasRegisteredWorkers(serviceType) {
+  return !!getDb().prepare(`
+    SELECT 1 FROM worker_nodes
+    WHERE service_type = ? AND id IN (SELECT worker_id FROM worker_credentials)
+    LIMIT 1
+  `).get(serviceType);
+}
+
 function getAllWorkers() {
   return getDb().prepare('SELECT * FROM worker_nodes ORDER BY service_type, name').all();
 }
@@ -439,7 +2161,12 @@ function markWorkerOffline(workerId) {
 }
 
 function removeWorker(workerId) {
-  getDb().prepare('DELETE FROM worker_nodes WHERE id = ?').run(workerId);
+  const remove = getDb().transaction(() => {
+    getDb().prepare('DELETE FROM worker_credentials WHERE worker_id = ?').run(workerId);
+    getDb().prepare('DELETE FROM worker_circuits WHERE worker_id = ?').run(workerId);
+    getDb().prepare('DELETE FROM worker_nodes WHERE id = ?').run(workerId);
+  });
+  remove();
 }
 
 function getWorkerStats(workerId, limit = 100) {
@@ -451,12 +2178,137 @@ function getWorkerStats(workerId, limit = 100) {
   `).all(workerId, limit);
 }
 
+// ============ 节点健康检查 ============
+
+/**
+ * 需要主动探测的节点：在线、降级，以及被健康检查判定下线（等待恢复）的节点
+ */
+function getWorkersForHealthCheck() {
+  return getDb().prepare(`
+    SELECT * FROM worker_nodes
+    WHERE status IN ('online', 'degraded') OR (status = 'offline' AND health_state = 'unhealthy')
+  `).all();
+}
+
+/**
+ * 写入健康检查结果；探测期间节点状态已被其他操作修改（重新注册、手动下线）时不覆盖，返回 false
+ */
+function updateWorkerHealth(workerId, expectedStatus, health) {
+  return getDb().prepare(`
+    UPDATE worker_nodes
+    SET status = ?,
+        health_state = ?,
+        health_failures = ?,
+        health_successes = ?,
+        health_error = ?,
+        health_checked_at = ?,
+        updated_at = datetime('now')
+    WHERE id = ? AND status = ?
+  `).run(
+    health.status,
+    health.state,
+    health.failures,
+    health.successes,
+    health.error || null,
+    new Date().toISOString(),
+    workerId,
+    expectedStatus
+  ).changes > 0;
+}
+
+// ============ 节点熔断状态 ============
+
+function listWorkerCircuits() {
+  return getDb().prepare('SELECT * FROM worker_circuits').all();
+}
+
+/**
+ * 保存熔断状态；回到 closed 时删除记录
+ */
+function saveWorkerCircuit(workerId, state, openedAt = null, reason = null) {
+  if (state === 'closed') {
+    getDb().prepare('DELETE FROM worker_circuits WHERE worker_id = ?').run(workerId);
+    return;
+  }
+  getDb().prepare(`
+    INSERT INTO worker_circuits (worker_id, state, opened_at, reason, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(worker_id) DO UPDATE SET
+      state = excluded.state, opened_at = excluded.opened_at, reason = excluded.reason, updated_at = excluded.updated_at
+  `).run(workerId, state, openedAt, reason);
+}
+
+// ============ 节点认证 ============
+
+function saveWorkerSecret(workerId, secret, enrollmentTokenId) {
+  getDb().prepare(
+    'INSERT OR REPLACE INTO worker_credentials (worker_id, secret, enrollment_token_id) VALUES (?, ?, ?)'
+  ).run(workerId, secret, enrollmentTokenId || null);
+}
+
+function getWorkerSecret(workerId) {
+  const row = getDb().prepare('SELECT secret FROM worker_credentials WHERE worker_id = ?').get(workerId);
+  return row ? row.secret : null;
+}
+
+function createEnrollmentToken(tokenData) {
+  const id = uuidv4();
+  getDb().prepare(`
+    INSERT INTO worker_enrollment_tokens (id, token_hash, description, service_type, max_uses, expires_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    tokenData.tokenHash,
+    tokenData.description || null,
+    tokenData.serviceType || null,
+    tokenData.maxUses || null,
+    tokenData.expiresAt || null,
+    tokenData.createdBy || null
+  );
+  return getEnrollmentToken(id);
+}
+
+function getEnrollmentToken(id) {
+  return getDb().prepare('SELECT * FROM worker_enrollment_tokens WHERE id = ?').get(id);
+}
+
+function listEnrollmentTokens() {
+  return getDb().prepare('SELECT * FROM worker_enrollment_tokens ORDER BY created_at DESC').all();
+}
+
+function revokeEnrollmentToken(id) {
+  const result = getDb().prepare(
+    "UPDATE worker_enrollment_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL"
+  ).run(id);
+  return result.changes > 0;
+}
+
+/**
+ * 使用一次注册令牌；令牌无效、过期、次数用尽或服务类型不符时返回 null
+ */
+function consumeEnrollmentToken(tokenHash, serviceType) {
+  const consume = getDb().transaction(() => {
+    const token = getDb().prepare(`
+      SELECT * FROM worker_enrollment_tokens
+      WHERE token_hash = ?
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > ?)
+      AND (max_uses IS NULL OR uses < max_uses)
+      AND (service_type IS NULL OR service_type = ?)
+    `).get(tokenHash, new Date().toISOString(), serviceType);
+    if (!token) return null;
+
+    getDb().prepare('UPDATE worker_enrollment_tokens SET uses = uses + 1 WHERE id = ?').run(token.id);
+    return token;
+  });
+  return consume.immediate();
+}
+
 function checkStaleWorkers(timeoutMs = 60000) {
   const cutoffTime = new Date(Date.now() - timeoutMs).toISOString();
   
   const staleWorkers = getDb().prepare(`
     SELECT id, name FROM worker_nodes 
-    WHERE status = 'online' 
+    WHERE status IN ('online', 'degraded') 
     AND (last_heartbeat IS NULL OR last_heartbeat < ?)
   `).all(cutoffTime);
   
@@ -465,7 +2317,7 @@ function checkStaleWorkers(timeoutMs = 60000) {
       UPDATE worker_nodes 
       SET status = 'offline',
           updated_at = datetime('now')
-      WHERE status = 'online' 
+      WHERE status IN ('online', 'degraded') 
       AND (last_heartbeat IS NULL OR last_heartbeat < ?)
     `).run(cutoffTime);
   }
@@ -480,24 +2332,139 @@ module.exports = {
   findUserByEmail,
   findUserById,
   updateUserStats,
+  promoteAdmins,
   updateUser,
   updateLastLogin,
   markTrialUsed,
-  saveApiKey,
-  getApiKey,
+  // API Key
+  DEFAULT_API_KEY_NAME,
+  createApiKey,
+  getApiKeyById,
+  findApiKeyById,
+  findApiKeyByPrefix,
+  findLegacyApiKey,
+  findApiKeyByName,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  touchApiKey,
+  // 组织
+  createOrganization,
+  getOrganization,
+  listUserOrganizations,
+  updateOrganization,
+  getOrganizationMember,
+  listOrganizationMembers,
+  addOrganizationMember,
+  updateOrganizationMemberRole,
+  removeOrganizationMember,
+  countOrganizationOwners,
+  listOrganizationApiKeys,
+  getOrganizationApiKey,
+  findOrganizationApiKeyByName,
+  revokeOrganizationApiKey,
+  summarizeOrganizationUsageByMember,
   logUsage,
+  recordUsageCharge,
+  getAverageDuration,
   getUserUsage,
+  queryUsage,
+  summarizeUsage,
+  getUsageBatch,
+  getUsageTimeseries,
+  logFailedUsage,
+  // 余额账本
+  LEDGER_ACCOUNTS,
+  postLedgerTransaction,
+  creditRecharge,
+  recordAdjustment,
+  getBalance,
+  getOrganizationBalance,
+  getLedgerTransactions,
+  getMonthlyUsageByService,
+  // 充值订单
+  createOrder,
+  getOrder,
+  settleOrder,
+  expirePendingOrders,
+  // 套餐订阅
+  createSubscription,
+  getSubscription,
+  getActiveSubscription,
+  updateSubscription,
+  getDueSubscriptions,
+  getEffectivePlan,
+  // 发票
+  getUsageSummaryForPeriod,
+  getUninvoicedUsers,
+  getUninvoicedOrganizations,
+  createInvoice,
+  getInvoiceByNumber,
+  getInvoiceItems,
+  listInvoices,
   getUserStats,
   revokeToken,
   isTokenRevoked,
   cleanExpiredTokens,
+  // 登录会话
+  createSession,
+  getSession,
+  extendSession,
+  revokeSession,
+  saveRefreshToken,
+  findRefreshToken,
+  markRefreshTokenUsed,
+  cleanExpiredSessions,
+  revokeUserSessions,
+  // 账户安全
+  createAuthToken,
+  findAuthToken,
+  markAuthTokenUsed,
+  invalidateAuthTokens,
+  getLoginFailure,
+  saveLoginFailure,
+  clearLoginFailures,
+  cleanExpiredAuthTokens,
+  // 两步验证
+  setPendingTotpSecret,
+  enableTotp,
+  advanceTotpStep,
+  disableTotp,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  // 系统设置
+  getSetting,
+  setSetting,
   getAllApiConfigs,
   getApiConfig,
   updateApiConfig,
+  // 限流策略
+  listRateLimitPolicies,
+  getActiveRateLimitPolicies,
+  getRateLimitPolicy,
+  createRateLimitPolicy,
+  updateRateLimitPolicy,
+  deleteRateLimitPolicy,
+  // 免费额度
+  listPlanAllowances,
+  getPlanAllowance,
+  setPlanAllowance,
+  getQuotaUsage,
+  addQuotaUsage,
+  createQuotaGrant,
+  getActiveQuotaGrants,
+  useQuotaGrant,
+  // 计数器
+  incrementCounter,
+  getCounter,
+  cleanExpiredCounters,
   // 工作节点管理
   registerWorker,
+  reregisterWorker,
   updateWorkerHeartbeat,
   getWorkersByService,
+  hasRegisteredWorkers,
   getAllWorkers,
   getWorkerById,
   updateWorkerConnections,
@@ -505,5 +2472,19 @@ module.exports = {
   markWorkerOffline,
   removeWorker,
   getWorkerStats,
-  checkStaleWorkers
+  checkStaleWorkers,
+  // 节点健康检查
+  getWorkersForHealthCheck,
+  updateWorkerHealth,
+  // 节点熔断状态
+  listWorkerCircuits,
+  saveWorkerCircuit,
+  // 节点认证
+  saveWorkerSecret,
+  getWorkerSecret,
+  createEnrollmentToken,
+  getEnrollmentToken,
+  listEnrollmentTokens,
+  revokeEnrollmentToken,
+  consumeEnrollmentToken
 };
@@ -13,7 +13,9 @@ const { v4: uuidv4 } = require('uuid');
 const authRoutes = require('./routes/auth');
 const billingRoutes = require('./routes/billing');
 const apiRoutes = require('./routes/api');
-const { authenticateToken, checkRateLimit } = require('./middleware/auth');
+const { authenticateToken } = require('./middleware/auth');
+const { checkRateLimit } = require('./middleware/rateLimit');
+const { limitConcurrency } = require('./middleware/concurrency');
 const { errorHandler } = require('./middleware/error');
 
 const app = express();
@@ -127,7 +129,7 @@ app.get('/health', (req, res) => {
 // API路由
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/billing', authenticateToken, billingRoutes);
-app.use('/api/v1', authenticateToken, checkRateLimit, apiRoutes);
+app.use('/api/v1', authenticateToken, checkRateLimit(), limitConcurrency(), apiRoutes);
 
 // 代理服务配置
 const serviceProxies = {
@@ -1,18 +1,60 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../db/sqlite');
+const { SESSION_TOKEN_TYPE, isSessionActive } = require('../services/sessionService');
+const { LOCKOUT_POLICY } = require('../services/accountService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
 
 // 定期清理过期令牌（每小时）
 setInterval(() => {
   try {
     db.cleanExpiredTokens();
+    db.cleanExpiredSessions();
+    db.cleanExpiredAuthTokens(LOCKOUT_POLICY.failureWindowMs);
   } catch (error) {
     console.error('清理过期令牌错误:', error);
   }
 }, 60 * 60 * 1000);
 
+// 用户角色：admin 拥有全部权限，operator 管理工作节点，finance 处理计费
+const USER_ROLES = ['user', 'operator', 'admin', 'finance'];
+
+// API Key 可授权的服务范围
+const API_KEY_SCOPES = ['render', 'parse', 'combo', 'stats', 'billing'];
+
+// 不透明密钥格式：vsk_live_ + 随机串，前 8 位随机字符与固定前缀一起作为查找前缀
+const API_KEY_PREFIX = 'vsk_live_';
+const API_KEY_LOOKUP_LENGTH = 8;
+
+const getApiKeyPrefix = (key) => key.slice(0, API_KEY_PREFIX.length + API_KEY_LOOKUP_LENGTH);
+
+const hashApiKey = (key, salt) => {
+  return crypto.createHash('sha256').update(`${salt}:${key}`).digest('hex');
+};
+
+/**
+ * 按前缀查找不透明密钥并校验哈希
+ */
+const findOpaqueApiKey = (key) => {
+  const record = db.findApiKeyByPrefix(getApiKeyPrefix(key));
+  if (!record || !record.key_hash) return null;
+
+  const expected = Buffer.from(record.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key, record.key_salt), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? record : null;
+};
+
+/**
+ * 根据挂载路径（/api/v1/{service}）确定请求所需的权限范围
+ */
+const getRequestScope = (req) => {
+  const segment = (req.baseUrl || '').split('/')[3];
+  return API_KEY_SCOPES.includes(segment) ? segment : null;
+};
+
 /**
- * JWT认证中间件
+ * 认证中间件：支持 API 密钥和网页控制台的会话令牌
  */
 const authenticateToken = (req, res, next) => {
   try {
@@ -37,25 +79,77 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
-    // 验证JWT令牌
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    // 检查令牌是否被撤销
-    if (db.isTokenRevoked(token)) {
-      return res.status(401).json({
-        success: false,
-        code: 401,
-        message: 'Token has been revoked',
-        error: {
-          type: 'TOKEN_REVOKED',
-          details: 'This API key has been revoked. Please contact support.'
-        },
-        requestId: req.id
-      });
+    const isOpaqueKey = token.startsWith(API_KEY_PREFIX);
+
+    // 会话令牌和迁移前签发的密钥都是 JWT，签名无效或过期时由 catch 处理
+    const decoded = isOpaqueKey ? null : jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    let apiKeyRecord = null;
+    let userId;
+
+    if (decoded && decoded.type === SESSION_TOKEN_TYPE) {
+      // 网页控制台会话：退出登录或刷新令牌被重用后立即失效
+      if (!isSessionActive(decoded)) {
+        return res.status(401).json({
+          success: false,
+          code: 401,
+          message: 'Session revoked',
+          error: {
+            type: 'SESSION_REVOKED',
+            details: 'This session has been signed out. Please log in again.'
+          },
+          requestId: req.id
+        });
+      }
+      userId = decoded.userId;
+    } else {
+      apiKeyRecord = isOpaqueKey ? findOpaqueApiKey(token) : db.findLegacyApiKey(token);
+
+      if (!apiKeyRecord) {
+        return res.status(401).json({
+          success: false,
+          code: 401,
+          message: 'Invalid token',
+          error: {
+            type: 'INVALID_TOKEN',
+            details: 'The provided API key is invalid'
+          },
+          requestId: req.id
+        });
+      }
+
+      // 检查密钥是否被撤销
+      if (apiKeyRecord.revoked_at || (!isOpaqueKey && db.isTokenRevoked(token))) {
+        return res.status(401).json({
+          success: false,
+          code: 401,
+          message: 'Token has been revoked',
+          error: {
+            type: 'TOKEN_REVOKED',
+            details: 'This API key has been revoked. Please contact support.'
+          },
+          requestId: req.id
+        });
+      }
+
+      // 检查有效期
+      if (apiKeyRecord.expires_at && new Date(apiKeyRecord.expires_at) <= new Date()) {
+        return res.status(401).json({
+          success: false,
+          code: 401,
+          message: 'Token expired',
+          error: {
+            type: 'TOKEN_EXPIRED',
+            details: `API key "${apiKeyRecord.name}" has expired. Please create a new one.`
+          },
+          requestId: req.id
+        });
+      }
+      userId = apiKeyRecord.user_id;
     }
 
     // 获取用户信息
-    const user = db.findUserById(decoded.userId);
+    const user = db.findUserById(userId);
     
     if (!user) {
       return res.status(401).json({
@@ -84,15 +178,64 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
+    // 组织密钥：创建者仍须是组织成员，调用按组织计费
+    let organization = null;
+    let membership = null;
+    if (apiKeyRecord && apiKeyRecord.org_id) {
+      organization = db.getOrganization(apiKeyRecord.org_id);
+      membership = organization && db.getOrganizationMember(organization.id, user.id);
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          code: 403,
+          message: 'Organization access revoked',
+          error: {
+            type: 'ORG_ACCESS_REVOKED',
+            details: `API key "${apiKeyRecord.name}" belongs to an organization you are no longer a member of`
+          },
+          requestId: req.id
+        });
+      }
+    }
+
+    // 检查密钥权限范围（会话令牌不受限制）
+    if (apiKeyRecord) {
+      const scope = getRequestScope(req);
+      if (scope && apiKeyRecord.scopes && !apiKeyRecord.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          code: 403,
+          message: 'Insufficient scope',
+          error: {
+            type: 'INSUFFICIENT_SCOPE',
+            details: `API key "${apiKeyRecord.name}" is not allowed to access the ${scope} service`,
+            requiredScope: scope,
+            scopes: apiKeyRecord.scopes
+          },
+          requestId: req.id
+        });
+      }
+
+      db.touchApiKey(apiKeyRecord.id);
+    }
+
     // 设置用户信息
     req.user = {
       id: user.id,
       email: user.email,
       name: user.name,
-      plan: user.plan || 'free',
+      plan: organization ? organization.plan || 'free' : db.getEffectivePlan(user.id),
       trialUsed: user.trial_used === 1,
       createdAt: user.created_at,
-      apiKey: token
+      role: user.role || 'user',
+      twoFactorEnabled: !!user.totp_enabled_at,
+      authType: apiKeyRecord ? 'api_key' : 'session',
+      sessionId: apiKeyRecord ? null : decoded.sid,
+      apiKeyId: apiKeyRecord ? apiKeyRecord.id : null,
+      apiKeyScopes: apiKeyRecord ? apiKeyRecord.scopes : null,
+      apiKeyMaxConcurrency: apiKeyRecord ? apiKeyRecord.max_concurrency : null,
+      orgId: organization ? organization.id : null,
+      orgRole: membership ? membership.role : null
     };
 
     next();
@@ -124,7 +267,7 @@ const authenticateToken = (req, res, next) => {
         message: 'Token expired',
         error: {
           type: 'TOKEN_EXPIRED',
-          details: 'This API key has expired. Please generate a new one.'
+          details: 'This token has expired. Please refresh your session or generate a new API key.'
         },
         requestId: req.id
       });
@@ -144,152 +287,109 @@ const authenticateToken = (req, res, next) => {
 };
 
 /**
- * 限流中间件（简化版，基于内存）
- * 生产环境建议使用 Redis 或其他分布式缓存
+ * 角色检查中间件，需在 authenticateToken 之后使用；admin 始终放行
+ * 受限范围的 API 密钥不能访问管理接口，策略要求两步验证的角色未启用时拒绝，且只接受控制台会话
  */
-const rateLimitStore = new Map();
-
-// 定期清理过期的限流记录
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of rateLimitStore.entries()) {
-    if (value.resetAt < now) {
-      rateLimitStore.delete(key);
-    }
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      code: 401,
+      message: 'Authentication required',
+      error: {
+        type: 'UNAUTHORIZED',
+        details: 'Please provide a valid API key or session token in the Authorization header'
+      },
+      requestId: req.id
+    });
   }
-}, 60 * 1000); // 每分钟清理一次
-
-const checkRateLimit = (req, res, next) => {
-  try {
-    const userId = req.user.id;
-    const plan = req.user.plan;
-    const service = req.path.split('/')[3]; // /api/v1/{service}
-    
-    // 限流配置
-    const rateLimits = {
-      free: { requests: 100, window: 3600 },     // 100次/小时
-      basic: { requests: 1000, window: 3600 },   // 1000次/小时
-      pro: { requests: 10000, window: 3600 },    // 10000次/小时
-      enterprise: { requests: 100000, window: 3600 } // 100000次/小时
-    };
-
-    const limit = rateLimits[plan] || rateLimits.free;
-    const window = limit.window * 1000; // 转换为毫秒
-    const maxRequests = limit.requests;
-
-    // 生成限流键
-    const now = Date.now();
-    const windowStart = Math.floor(now / window) * window;
-    const rateLimitKey = `${userId}:${service}:${windowStart}`;
-    
-    // 获取或创建计数器
-    let record = rateLimitStore.get(rateLimitKey);
-    if (!record) {
-      record = { count: 0, resetAt: windowStart + window };
-      rateLimitStore.set(rateLimitKey, record);
-    }
-    
-    record.count++;
-
-    // 检查是否超限
-    if (record.count > maxRequests) {
-      const resetIn = Math.ceil((record.resetAt - now) / 1000);
-      
-      return res.status(429).json({
-        success: false,
-        code: 429,
-        message: 'Rate limit exceeded',
-        error: {
-          type: 'RATE_LIMIT_EXCEEDED',
-          details: `Rate limit exceeded for ${service} service. Try again in ${resetIn} seconds.`,
-          limit: maxRequests,
-          current: record.count,
-          resetIn: resetIn
-        },
-        requestId: req.id
-      });
-    }
 
-    // 设置响应头
-    res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', Math.max(0, maxRequests - record.count));
-    res.setHeader('X-RateLimit-Reset', Math.floor(record.resetAt / 1000));
+  if (req.user.apiKeyScopes || req.user.orgId) {
+    return res.status(403).json({
+      success: false,
+      code: 403,
+      message: 'Insufficient scope',
+      error: {
+        type: 'INSUFFICIENT_SCOPE',
+        details: 'Restricted and organization API keys cannot access management endpoints',
+        scopes: req.user.apiKeyScopes
+      },
+      requestId: req.id
+    });
+  }
 
-    next();
-  } catch (error) {
-    console.error('限流错误:', error);
-    
-    // 限流错误不应该阻止请求，记录错误但继续处理
-    next();
+  if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      code: 403,
+      message: 'Permission denied',
+      error: {
+        type: 'FORBIDDEN',
+        details: `This action requires one of the roles: ${['admin', ...roles.filter(role => role !== 'admin')].join(', ')}`,
+        role: req.user.role
+      },
+      requestId: req.id
+    });
   }
-};
 
-/**
- * 试用检查中间件
- */
-const checkTrialUsage = (req, res, next) => {
-  try {
-    const user = req.user;
-    
-    // 检查是否已使用过试用
-    if (user.trialUsed) {
-      return res.status(403).json({
-        success: false,
-        code: 403,
-        message: 'Trial already used',
-        error: {
-          type: 'TRIAL_USED',
-          details: 'You have already used your free trial. Please upgrade to a paid plan.'
-        },
-        requestId: req.id
-      });
-    }
+  // 策略要求的角色必须先启用两步验证
+  if (!req.user.twoFactorEnabled && isTwoFactorRequired(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      code: 403,
+      message: 'Two-factor authentication required',
+      error: {
+        type: 'TWO_FACTOR_REQUIRED',
+        details: `Enable two-factor authentication via /api/v1/auth/2fa/setup to use ${req.user.role} privileges`
+      },
+      requestId: req.id
+    });
+  }
 
-    next();
-  } catch (error) {
-    console.error('试用检查错误:', error);
-    next();
+  // API 密钥不经过两步验证，策略要求两步验证的角色只能通过控制台会话使用管理接口
+  if (req.user.authType !== 'session' && isTwoFactorRequired(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      code: 403,
+      message: 'Session required',
+      error: {
+        type: 'SESSION_REQUIRED',
+        details: `${req.user.role} privileges require a two-factor verified console session; API keys are not accepted`
+      },
+      requestId: req.id
+    });
   }
-};
 
-/**
- * 生成API密钥
- */
-const generateApiKey = (userId, expiresIn = '365d') => {
-  return jwt.sign(
-    { 
-      userId,
-      type: 'api_key',
-      iat: Math.floor(Date.now() / 1000),
-      jti: uuidv4()
-    },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn }
-  );
+  next();
 };
 
 /**
- * 撤销API密钥
+ * 签发不透明API密钥，只保存前缀和加盐哈希；明文仅在返回值中出现一次
+ * options: { name, scopes, expiresAt, orgId }，expiresAt 为空表示不过期，orgId 非空时签发组织密钥
  */
-const revokeApiKey = (token) => {
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const expiresAt = new Date(decoded.exp * 1000).toISOString();
-    
-    // 将令牌加入撤销列表
-    db.revokeToken(token, decoded.userId, expiresAt);
-    
-    return true;
-  } catch (error) {
-    console.error('撤销令牌错误:', error);
-    return false;
-  }
+const issueApiKey = (userId, { name, scopes = null, expiresAt = null, orgId = null, maxConcurrency = null }) => {
+  const apiKey = API_KEY_PREFIX + crypto.randomBytes(30).toString('base64url');
+  const keySalt = crypto.randomBytes(16).toString('hex');
+
+  const record = db.createApiKey(userId, {
+    name,
+    keyPrefix: getApiKeyPrefix(apiKey),
+    keyHash: hashApiKey(apiKey, keySalt),
+    keySalt,
+    scopes,
+    expiresAt,
+    orgId,
+    maxConcurrency
+  });
+
+  return { apiKey, record };
 };
 
 module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  USER_ROLES,
   authenticateToken,
-  checkRateLimit,
-  checkTrialUsage,
-  generateApiKey,
-  revokeApiKey
+  requireRole,
+  issueApiKey
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db/sqlite');
+const { estimateUnits, getQuotaStatus } = require('../services/quotaService');
+
+// 各套餐默认允许透支的额度（元）
+const DEFAULT_OVERDRAFT = {
+  free: 0,
+  basic: 10,
+  pro: 50,
+  enterprise: 200
+};
+
+/**
+ * 解析透支额度配置
+ * 格式: OVERDRAFT_ALLOWANCES=free:0,basic:10,pro:50,enterprise:200
+ */
+const parseOverdraftConfig = (value) => {
+  const limits = { ...DEFAULT_OVERDRAFT };
+  if (!value) return limits;
+
+  for (const pair of value.split(',')) {
+    const [plan, amount] = pair.split(':').map(part => part && part.trim());
+    const parsed = parseFloat(amount);
+    if (plan && !isNaN(parsed) && parsed >= 0) {
+      limits[plan] = parsed;
+    }
+  }
+  return limits;
+};
+
+const overdraftLimits = parseOverdraftConfig(process.env.OVERDRAFT_ALLOWANCES);
+
+const getOverdraftLimit = (plan) => {
+  return overdraftLimits[plan] !== undefined ? overdraftLimits[plan] : overdraftLimits.free;
+};
+
+/**
+ * 预估一次调用的费用
+ * 按次计费直接取单价；按时计费用最近调用的平均时长估算，且不低于按次单价
+ */
+const estimateCost = (service) => {
+  const apiConfig = db.getApiConfig(service);
+  if (!apiConfig) return 0;
+
+  if (apiConfig.billing_mode === 'per_time') {
+    const avgMs = db.getAverageDuration(service);
+    const estimated = avgMs !== null ? (apiConfig.time_unit_price || 0) * (avgMs / 1000) : 0;
+    return Math.max(estimated, apiConfig.cost || 0);
+  }
+
+  return apiConfig.cost || 0;
+};
+
+/**
+ * 余额预检中间件
+ * 在分发到 Worker 或调用 Claude 之前检查余额，余额（含透支额度）不足时返回 402；
+ * 免费额度足以覆盖预估用量时放行，否则只按额度覆盖不了的部分预估费用（与 chargeUsage 的按比例计费一致）
+ */
+const checkBalance = (service) => {
+  return (req, res, next) => {
+    try {
+      if (!req.id) {
+        req.id = uuidv4();
+      }
+
+      if (!req.user) {
+        return next();
+      }
+
+      const quotaRemaining = getQuotaStatus(req.user, service).remaining;
+      const estimatedUnits = estimateUnits(service);
+      if (quotaRemaining >= estimatedUnits) {
+        return next();
+      }
+
+      // 组织密钥使用组织的共享余额和套餐
+      const balance = req.user.orgId ? db.getOrganizationBalance(req.user.orgId) : db.getBalance(req.user.id);
+      const estimatedCost = estimateCost(service) * (estimatedUnits - quotaRemaining) / estimatedUnits;
+      const overdraftLimit = getOverdraftLimit(req.user.plan);
+
+      if (balance - estimatedCost < -overdraftLimit) {
+        return res.status(402).json({
+          success: false,
+          code: 402,
+          message: 'Insufficient balance',
+          error: {
+            type: 'INSUFFICIENT_BALANCE',
+            details: `Your balance is not sufficient for the ${service} service. Please recharge your account.`,
+            balance,
+            estimatedCost,
+            quotaRemaining,
+            overdraftLimit
+          },
+          requestId: req.id
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('余额检查错误:', error);
+
+      res.status(500).json({
+        success: false,
+        code: 500,
+        message: 'Balance check failed',
+        error: {
+          type: 'BILLING_ERROR',
+          details: 'An error occurred while checking the account balance'
+        },
+        requestId: req.id
+      });
+    }
+  };
+};
+
+module.exports = {
+  checkBalance,
+  estimateCost,
+  getOverdraftLimit
+};
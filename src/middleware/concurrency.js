@@ -0,0 +1,63 @@
+const { v4: uuidv4 } = require('uuid');
+const { acquire } = require('../services/concurrencyService');
+
+/**
+ * 并发控制中间件，需在 authenticateToken 之后使用
+ * 占用的槽位在响应结束或客户端断开时释放；排队超时返回 429 和 Retry-After
+ * service 只用于错误信息，省略时取挂载路径之后的第一段（/api/v1/{service}）
+ */
+const limitConcurrency = (service) => {
+  return async (req, res, next) => {
+    let result;
+    let closed = false;
+    try {
+      if (!req.id) {
+        req.id = uuidv4();
+      }
+
+      res.once('close', () => { closed = true; });
+
+      result = await acquire(req.user, () => closed);
+    } catch (error) {
+      console.error('并发控制错误:', error);
+
+      // 并发控制出错不应阻止请求，记录错误后放行
+      return next();
+    }
+
+    if (!result.acquired) {
+      const { exceeded } = result;
+      const target = exceeded.scope === 'api_key' ? 'this API key' : `your ${req.user.plan} plan`;
+      res.setHeader('Retry-After', 1);
+      return res.status(429).json({
+        success: false,
+        code: 429,
+        message: 'Too many concurrent requests',
+        error: {
+          type: 'CONCURRENCY_LIMIT',
+          details: `${service || req.path.split('/')[1]} request rejected: ${target} allows ${exceeded.limit} concurrent requests. Wait for running requests to finish and retry.`,
+          scope: exceeded.scope,
+          limit: exceeded.limit,
+          retryAfter: 1
+        },
+        requestId: req.id
+      });
+    }
+
+    const release = () => {
+      result.release().catch(error => console.error('释放并发槽位错误:', error));
+    };
+    // 排队期间客户端已断开，不再处理
+    if (closed) {
+      return release();
+    }
+    res.once('finish', release);
+    res.once('close', release);
+
+    next();
+  };
+};
+
+module.exports = {
+  limitConcurrency
+};
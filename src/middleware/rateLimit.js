@@ -0,0 +1,60 @@
+const { v4: uuidv4 } = require('uuid');
+const { consume } = require('../services/rateLimitService');
+
+/**
+ * 限流中间件，需在 authenticateToken 之后使用
+ * 策略来自 rate_limit_policies 表；超限返回 429 和 Retry-After
+ * service 省略时取挂载路径之后的第一段（/api/v1/{service}）
+ */
+const checkRateLimit = (service) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.id) {
+        req.id = uuidv4();
+      }
+
+      const result = await consume({
+        userId: req.user.id,
+        orgId: req.user.orgId,
+        plan: req.user.plan,
+        apiKeyId: req.user.apiKeyId,
+        service: service || req.path.split('/')[1]
+      });
+
+      if (result.binding) {
+        res.setHeader('X-RateLimit-Limit', result.binding.limit);
+        res.setHeader('X-RateLimit-Remaining', result.binding.remaining);
+        res.setHeader('X-RateLimit-Reset', Math.ceil(result.binding.resetAt / 1000));
+      }
+
+      if (!result.allowed) {
+        const { exceeded } = result;
+        res.setHeader('Retry-After', exceeded.retryAfter);
+        return res.status(429).json({
+          success: false,
+          code: 429,
+          message: 'Rate limit exceeded',
+          error: {
+            type: 'RATE_LIMIT_EXCEEDED',
+            details: `Rate limit of ${exceeded.limit} requests per ${exceeded.windowSeconds} seconds exceeded. Try again in ${exceeded.retryAfter} seconds.`,
+            limit: exceeded.limit,
+            windowSeconds: exceeded.windowSeconds,
+            retryAfter: exceeded.retryAfter
+          },
+          requestId: req.id
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('限流错误:', error);
+
+      // 限流出错不应阻止请求，记录错误后放行
+      next();
+    }
+  };
+};
+
+module.exports = {
+  checkRateLimit
+};
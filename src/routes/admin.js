@@ -1,14 +1,50 @@
 /**
- * 管理员路由 - API 配置管理
+ * 管理员路由 - API 配置管理、限流策略、免费额度、账户余额调整、全局用量统计、用户角色、两步验证策略、组织套餐、节点注册令牌、节点熔断、负载均衡策略
+ * 路由内统一认证（不依赖挂载时的中间件，避免余额调整等接口被匿名访问），各路由按角色授权
  */
 const express = require('express');
 const router = express.Router();
-const { getAllApiConfigs, getApiConfig, updateApiConfig } = require('../db/sqlite');
+const {
+  getAllApiConfigs,
+  getApiConfig,
+  updateApiConfig,
+  listRateLimitPolicies,
+  getRateLimitPolicy,
+  createRateLimitPolicy,
+  updateRateLimitPolicy,
+  deleteRateLimitPolicy,
+  listPlanAllowances,
+  setPlanAllowance,
+  findApiKeyById,
+  findUserById,
+  updateUser,
+  disableTotp,
+  revokeUserSessions,
+  recordAdjustment,
+  getBalance,
+  getOrganization,
+  updateOrganization,
+  createEnrollmentToken,
+  listEnrollmentTokens,
+  revokeEnrollmentToken,
+  getWorkerById
+} = require('../db/sqlite');
+const { getTimeseries } = require('../services/usageService');
+const { generateEnrollmentToken, hashToken } = require('../services/workerAuth');
+const { USER_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { PLAN_HIERARCHY } = require('../services/subscriptionService');
+const { RATE_LIMITED_SERVICES, invalidatePolicies, formatPolicy } = require('../services/rateLimitService');
+const { QUOTA_UNITS } = require('../services/quotaService');
+const { ELEVATED_ROLES, TwoFactorError, getRequiredRoles, setRequiredRoles } = require('../services/twoFactorService');
+const { CircuitBreakerError, getPolicies: getCircuitPolicies, setPolicy: setCircuitPolicy } = require('../services/circuitBreaker');
+const { LOAD_BALANCED_SERVICES, LOAD_BALANCER_STRATEGIES, HASH_KEYS, getLoadBalancer } = require('../services/loadBalancer');
+
+router.use(authenticateToken);
 
 /**
  * 获取所有 API 配置
  */
-router.get('/configs', (req, res) => {
+router.get('/configs', requireRole('operator', 'finance'), (req, res) => {
   try {
     const configs = getAllApiConfigs();
     
@@ -40,7 +76,7 @@ router.get('/configs', (req, res) => {
 /**
  * 获取单个 API 配置
  */
-router.get('/configs/:id', (req, res) => {
+router.get('/configs/:id', requireRole('operator', 'finance'), (req, res) => {
   try {
     const { id } = req.params;
     const config = getApiConfig(id);
@@ -79,7 +115,7 @@ router.get('/configs/:id', (req, res) => {
 /**
  * 更新 API 配置
  */
-router.put('/configs/:id', (req, res) => {
+router.put('/configs/:id', requireRole('admin'), (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -150,4 +186,1081 @@ router.put('/configs/:id', (req, res) => {
   }
 });
 
+// ============ 限流策略 ============
+
+/**
+ * 校验限流策略的窗口和次数，返回错误信息或 null
+ */
+const validateRateLimitValues = (values) => {
+  if (values.windowSeconds !== undefined &&
+      (!Number.isInteger(values.windowSeconds) || values.windowSeconds <= 0)) {
+    return 'windowSeconds must be a positive integer';
+  }
+  if (values.maxRequests !== undefined &&
+      (!Number.isInteger(values.maxRequests) || values.maxRequests < 0)) {
+    return 'maxRequests must be a non-negative integer';
+  }
+  return null;
+};
+
+/**
+ * 获取限流策略（可按 plan、service、apiKeyId 过滤）
+ */
+router.get('/rate-limits', requireRole('operator'), (req, res) => {
+  try {
+    const { plan, service, apiKeyId } = req.query;
+    const policies = listRateLimitPolicies({ plan, service, apiKeyId });
+
+    res.json({
+      success: true,
+      code: 200,
+      data: policies.map(formatPolicy),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Get rate limits error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to get rate limit policies',
+      error: {
+        type: 'RATE_LIMIT_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 创建限流策略；plan、service、apiKeyId 均可省略，省略表示不限定
+ */
+router.post('/rate-limits', requireRole('operator'), (req, res) => {
+  try {
+    const { plan, service, apiKeyId, windowSeconds, maxRequests, description, enabled } = req.body;
+
+    if (windowSeconds === undefined || maxRequests === undefined) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'windowSeconds and maxRequests are required',
+        requestId: req.id
+      });
+    }
+
+    const invalid = validateRateLimitValues({ windowSeconds, maxRequests });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: invalid,
+        requestId: req.id
+      });
+    }
+
+    if (plan && !PLAN_HIERARCHY.includes(plan)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid plan. Must be one of: ${PLAN_HIERARCHY.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (service && !RATE_LIMITED_SERVICES.includes(service)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid service. Must be one of: ${RATE_LIMITED_SERVICES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (apiKeyId && !findApiKeyById(apiKeyId)) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'API key not found',
+        requestId: req.id
+      });
+    }
+
+    let policy;
+    try {
+      policy = createRateLimitPolicy({ plan, service, apiKeyId, windowSeconds, maxRequests, description, enabled });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return res.status(409).json({
+          success: false,
+          code: 409,
+          message: 'A policy for this plan, service, API key and window already exists',
+          requestId: req.id
+        });
+      }
+      throw error;
+    }
+    invalidatePolicies();
+
+    res.status(201).json({
+      success: true,
+      code: 201,
+      message: 'Rate limit policy created successfully',
+      data: formatPolicy(policy),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Create rate limit error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to create rate limit policy',
+      error: {
+        type: 'RATE_LIMIT_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 更新限流策略（windowSeconds、maxRequests、description、enabled）
+ */
+router.put('/rate-limits/:id', requireRole('operator'), (req, res) => {
+  try {
+    const policy = getRateLimitPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Rate limit policy not found',
+        requestId: req.id
+      });
+    }
+
+    const { windowSeconds, maxRequests, description, enabled } = req.body;
+    const invalid = validateRateLimitValues({ windowSeconds, maxRequests });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: invalid,
+        requestId: req.id
+      });
+    }
+
+    const updates = {};
+    if (windowSeconds !== undefined) updates.window_seconds = windowSeconds;
+    if (maxRequests !== undefined) updates.max_requests = maxRequests;
+    if (description !== undefined) updates.description = description;
+    if (enabled !== undefined) updates.enabled = enabled ? 1 : 0;
+
+    let success;
+    try {
+      success = updateRateLimitPolicy(policy.id, updates);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return res.status(409).json({
+          success: false,
+          code: 409,
+          message: 'A policy for this plan, service, API key and window already exists',
+          requestId: req.id
+        });
+      }
+      throw error;
+    }
+
+    if (!success) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'No valid fields to update',
+        requestId: req.id
+      });
+    }
+    invalidatePolicies();
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Rate limit policy updated successfully',
+      data: formatPolicy(getRateLimitPolicy(policy.id)),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Update rate limit error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update rate limit policy',
+      error: {
+        type: 'RATE_LIMIT_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 删除限流策略
+ */
+router.delete('/rate-limits/:id', requireRole('operator'), (req, res) => {
+  try {
+    if (!deleteRateLimitPolicy(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Rate limit policy not found',
+        requestId: req.id
+      });
+    }
+    invalidatePolicies();
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Rate limit policy deleted successfully',
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Delete rate limit error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to delete rate limit policy',
+      error: {
+        type: 'RATE_LIMIT_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+// ============ 免费额度 ============
+
+/**
+ * 获取各套餐每月免费额度
+ */
+router.get('/allowances', requireRole('finance'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      data: listPlanAllowances().map(allowance => ({
+        plan: allowance.plan,
+        service: allowance.service,
+        unit: QUOTA_UNITS[allowance.service],
+        amount: allowance.amount,
+        updatedAt: allowance.updated_at
+      })),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Get allowances error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to get allowances',
+      error: {
+        type: 'ALLOWANCE_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 设置套餐某服务的每月免费额度（render 为次数，parse / combo 为秒数），从当月起生效
+ */
+router.put('/allowances/:plan/:service', requireRole('finance'), (req, res) => {
+  try {
+    const { plan, service } = req.params;
+    const amount = parseFloat(req.body.amount);
+
+    if (!PLAN_HIERARCHY.includes(plan)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid plan. Must be one of: ${PLAN_HIERARCHY.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (!QUOTA_UNITS[service]) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid service. Must be one of: ${Object.keys(QUOTA_UNITS).join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (isNaN(amount) || amount < 0) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'amount must be a non-negative number',
+        requestId: req.id
+      });
+    }
+
+    setPlanAllowance(plan, service, amount);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Allowance updated successfully',
+      data: {
+        plan,
+        service,
+        unit: QUOTA_UNITS[service],
+        amount
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Update allowance error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update allowance',
+      error: {
+        type: 'ALLOWANCE_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 调整用户余额（正数为补偿/赠送，负数为扣减）
+ */
+router.post('/users/:id/adjustments', requireRole('finance'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    const user = findUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'User not found',
+        requestId: req.id
+      });
+    }
+
+    if (isNaN(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Invalid amount value',
+        requestId: req.id
+      });
+    }
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'reason is required',
+        requestId: req.id
+      });
+    }
+
+    const transactionId = recordAdjustment(id, amount, reason, req.user.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Balance adjusted successfully',
+      data: {
+        transactionId,
+        userId: id,
+        amount,
+        balance: getBalance(id)
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Adjust balance error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to adjust balance',
+      error: {
+        type: 'ADJUSTMENT_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 全部用户的用量时间序列（可用 userId 过滤单个用户）
+ */
+router.get('/stats/timeseries', requireRole('operator', 'finance'), (req, res) => {
+  try {
+    const result = getTimeseries(req.query.userId || null, req.query);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Usage timeseries retrieved successfully',
+      data: result,
+      requestId: req.id
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: error.message,
+        requestId: req.id
+      });
+    }
+
+    console.error('Get timeseries error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve usage timeseries',
+      error: {
+        type: 'STATS_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 修改用户角色
+ */
+router.put('/users/:id/role', requireRole('admin'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const user = findUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'User not found',
+        requestId: req.id
+      });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    // 防止管理员误操作后系统中没有可用的管理员
+    if (id === req.user.id && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'You cannot remove your own admin role',
+        requestId: req.id
+      });
+    }
+
+    updateUser(id, { role });
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'User role updated successfully',
+      data: {
+        userId: id,
+        previousRole: user.role,
+        role
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update user role',
+      error: {
+        type: 'ROLE_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 查询两步验证策略：哪些角色必须启用两步验证
+ */
+router.get('/security/two-factor', requireRole('admin'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      data: {
+        requiredRoles: getRequiredRoles(),
+        availableRoles: ELEVATED_ROLES
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to get two-factor policy',
+      error: {
+        type: 'POLICY_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 设置两步验证策略；未启用的用户在启用前不能使用对应角色的权限
+ */
+router.put('/security/two-factor', requireRole('admin'), (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'requiredRoles must be an array',
+        requestId: req.id
+      });
+    }
+
+    // 防止管理员在自己未启用时把自己锁在管理接口之外
+    if (requiredRoles.includes(req.user.role) && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Enable two-factor authentication on your own account before requiring it for your role',
+        requestId: req.id
+      });
+    }
+
+    const roles = setRequiredRoles(requiredRoles, req.user.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Two-factor policy updated successfully',
+      data: {
+        requiredRoles: roles
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.status,
+        message: error.message,
+        requestId: req.id
+      });
+    }
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update two-factor policy',
+      error: {
+        type: 'POLICY_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 重置用户的两步验证（丢失认证器和恢复码时），用户所有会话同时失效
+ */
+router.delete('/users/:id/two-factor', requireRole('admin'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = findUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'User not found',
+        requestId: req.id
+      });
+    }
+
+    disableTotp(id);
+    const revokedSessions = revokeUserSessions(id, 'two_factor_reset');
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Two-factor authentication reset successfully',
+      data: {
+        userId: id,
+        revokedSessions
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to reset two-factor authentication',
+      error: {
+        type: 'TWO_FACTOR_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 为组织分配套餐，组织密钥的调用使用该套餐
+ */
+router.put('/organizations/:id/plan', requireRole('finance'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { plan } = req.body;
+
+    const organization = getOrganization(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Organization not found',
+        requestId: req.id
+      });
+    }
+
+    if (!PLAN_HIERARCHY.includes(plan)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid plan. Must be one of: ${PLAN_HIERARCHY.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    updateOrganization(id, { plan });
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Organization plan updated successfully',
+      data: {
+        orgId: id,
+        previousPlan: organization.plan,
+        plan
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Update organization plan error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update organization plan',
+      error: {
+        type: 'ORG_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+// ============ 节点注册令牌 ============
+
+const VALID_SERVICE_TYPES = ['render', 'parse', 'combo'];
+
+function formatEnrollmentToken(token) {
+  return {
+    id: token.id,
+    description: token.description,
+    serviceType: token.service_type,
+    maxUses: token.max_uses,
+    uses: token.uses,
+    expiresAt: token.expires_at,
+    revokedAt: token.revoked_at,
+    createdBy: token.created_by,
+    createdAt: token.created_at
+  };
+}
+
+/**
+ * 创建节点注册令牌
+ * body: { description?, serviceType?, maxUses?, expiresInHours? (默认 24) }
+ */
+router.post('/worker-enrollment-tokens', requireRole('operator'), (req, res) => {
+  try {
+    const { description, serviceType } = req.body;
+    const maxUses = req.body.maxUses !== undefined ? parseInt(req.body.maxUses) : 1;
+    const expiresInHours = req.body.expiresInHours !== undefined ? parseFloat(req.body.expiresInHours) : 24;
+
+    if (serviceType && !VALID_SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid serviceType. Must be one of: ${VALID_SERVICE_TYPES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (req.body.maxUses !== null && (isNaN(maxUses) || maxUses < 1)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'maxUses must be a positive integer or null for unlimited',
+        requestId: req.id
+      });
+    }
+
+    if (req.body.expiresInHours !== null && (isNaN(expiresInHours) || expiresInHours <= 0)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'expiresInHours must be a positive number or null for no expiry',
+        requestId: req.id
+      });
+    }
+
+    const token = generateEnrollmentToken();
+    const record = createEnrollmentToken({
+      tokenHash: hashToken(token),
+      description,
+      serviceType,
+      maxUses: req.body.maxUses === null ? null : maxUses,
+      expiresAt: req.body.expiresInHours === null
+        ? null
+        : new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      code: 201,
+      message: 'Enrollment token created successfully',
+      data: {
+        ...formatEnrollmentToken(record),
+        token // 只在创建时返回一次
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Create enrollment token error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to create enrollment token',
+      error: {
+        type: 'ENROLLMENT_TOKEN_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 列出节点注册令牌
+ */
+router.get('/worker-enrollment-tokens', requireRole('operator'), (req, res) => {
+  try {
+    const tokens = listEnrollmentTokens().map(formatEnrollmentToken);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Enrollment tokens retrieved successfully',
+      data: {
+        tokens,
+        count: tokens.length
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('List enrollment tokens error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve enrollment tokens',
+      error: {
+        type: 'ENROLLMENT_TOKEN_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 撤销节点注册令牌（已注册的节点不受影响）
+ */
+router.delete('/worker-enrollment-tokens/:id', requireRole('operator'), (req, res) => {
+  try {
+    if (!revokeEnrollmentToken(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Enrollment token not found or already revoked',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Enrollment token revoked successfully',
+      data: { id: req.params.id },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Revoke enrollment token error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to revoke enrollment token',
+      error: {
+        type: 'ENROLLMENT_TOKEN_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 查询节点熔断状态和各服务的熔断策略
+ */
+router.get('/circuit-breakers', requireRole('operator'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      data: {
+        policies: getCircuitPolicies(),
+        circuits: getLoadBalancer().getStats().circuitBreakers
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Get circuit breakers error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to get circuit breakers',
+      error: {
+        type: 'CIRCUIT_BREAKER_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 修改服务的熔断策略（windowSeconds、minimumRequests、failureRateThreshold、openSeconds、halfOpenRequests）
+ */
+router.put('/circuit-breakers/policies/:service', requireRole('operator'), (req, res) => {
+  try {
+    const policy = setCircuitPolicy(req.params.service, req.body || {}, req.user.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Circuit breaker policy updated successfully',
+      data: {
+        service: req.params.service,
+        ...policy
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    if (error instanceof CircuitBreakerError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.status,
+        message: error.message,
+        error: {
+          type: error.type,
+          details: error.message
+        },
+        requestId: req.id
+      });
+    }
+    console.error('Update circuit breaker policy error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update circuit breaker policy',
+      error: {
+        type: 'CIRCUIT_BREAKER_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 手动恢复熔断的节点
+ */
+router.post('/circuit-breakers/:workerId/reset', requireRole('operator'), (req, res) => {
+  try {
+    const worker = getWorkerById(req.params.workerId);
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Worker not found',
+        requestId: req.id
+      });
+    }
+
+    const loadBalancer = getLoadBalancer();
+    loadBalancer.resetCircuit(worker.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Circuit breaker reset successfully',
+      data: loadBalancer.circuitBreaker.describe(worker),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Reset circuit breaker error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to reset circuit breaker',
+      error: {
+        type: 'CIRCUIT_BREAKER_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 查询负载均衡策略：全局策略和各服务的策略
+ */
+router.get('/load-balancer', requireRole('operator'), (req, res) => {
+  try {
+    const { strategy, strategies } = getLoadBalancer().getStats();
+
+    res.json({
+      success: true,
+      code: 200,
+      data: {
+        defaultStrategy: strategy,
+        services: strategies,
+        availableStrategies: LOAD_BALANCER_STRATEGIES,
+        hashKeys: HASH_KEYS
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Get load balancer strategies error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to get load balancer strategies',
+      error: {
+        type: 'LOAD_BALANCER_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 设置服务的负载均衡策略；consistent-hash 可指定 hashKey（content 或 user，默认 content）
+ */
+router.put('/load-balancer/strategies/:service', requireRole('operator'), (req, res) => {
+  try {
+    const { service } = req.params;
+    const { strategy, hashKey = 'content' } = req.body;
+
+    if (!LOAD_BALANCED_SERVICES.includes(service)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid service. Must be one of: ${LOAD_BALANCED_SERVICES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (!LOAD_BALANCER_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid strategy. Must be one of: ${LOAD_BALANCER_STRATEGIES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    if (!HASH_KEYS.includes(hashKey)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `Invalid hashKey. Must be one of: ${HASH_KEYS.join(', ')}`,
+        requestId: req.id
+      });
+    }
+
+    const loadBalancer = getLoadBalancer();
+    loadBalancer.setStrategy(strategy, service, { hashKey, updatedBy: req.user.id });
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Load balancing strategy updated successfully',
+      data: {
+        service,
+        ...loadBalancer.getStats().strategies[service]
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('Update load balancer strategy error:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update load balancing strategy',
+      error: {
+        type: 'LOAD_BALANCER_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,21 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const db = require('../db/sqlite');
-const { generateApiKey, revokeApiKey, authenticateToken } = require('../middleware/auth');
+const {
+  API_KEY_SCOPES,
+  issueApiKey,
+  authenticateToken
+} = require('../middleware/auth');
+const { SessionError, createSession, refreshSession, revokeSessionByRefreshToken } = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+const { grantTrial } = require('../services/quotaService');
+
+const { AccountError } = accountService;
+const { TwoFactorError } = twoFactorService;
+
+// 为 true 时未验证邮箱的账户不能登录控制台
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
 
 const router = express.Router();
 
@@ -57,11 +71,21 @@ router.post('/register', [
       db.updateUser(userId, { company, phone });
     }
     
-    // 生成API密钥
-    const apiKey = generateApiKey(userId);
-    
-    // 保存API密钥
-    db.saveApiKey(userId, apiKey);
+    // 生成默认API密钥
+    const { apiKey } = issueApiKey(userId, { name: db.DEFAULT_API_KEY_NAME });
+
+    // 发放试用额度
+    const trial = grantTrial(userId);
+
+    // 发送验证邮件失败不影响注册，用户可以稍后重新发送
+    try {
+      await accountService.sendEmailVerification(db.findUserById(userId));
+    } catch (mailError) {
+      // 未配置邮件通道的情况启动时已经警告过，不再逐次记录
+      if (mailError.type !== 'MAIL_UNAVAILABLE') {
+        console.error('发送验证邮件错误:', mailError);
+      }
+    }
 
     res.status(201).json({
       success: true,
@@ -73,7 +97,8 @@ router.post('/register', [
         name,
         plan: 'free',
         apiKey,
-        trialAvailable: true
+        emailVerified: false,
+        trial
       },
       requestId: req.id
     });
@@ -96,6 +121,60 @@ router.post('/register', [
 /**
  * 用户登录
  */
+const sendLoginLocked = (req, res, lock) => {
+  res.setHeader('Retry-After', lock.retryAfterSeconds);
+  return res.status(429).json({
+    success: false,
+    code: 429,
+    message: 'Too many failed login attempts',
+    error: {
+      type: lock.scope === 'account' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+      details: `Too many failed login attempts. Please try again in ${lock.retryAfterSeconds} seconds.`,
+      retryAfter: lock.retryAfterSeconds
+    },
+    requestId: req.id
+  });
+};
+
+/**
+ * 登录完成：签发会话并清零失败计数
+ */
+const sendLoginSuccess = (req, res, user) => {
+  accountService.recordLoginSuccess(user.email);
+
+  // 登录只签发短期会话令牌，API 密钥通过 /auth/keys 管理
+  const tokens = createSession(user.id, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  // 记录登录时间
+  db.updateLastLogin(user.id);
+
+  res.json({
+    success: true,
+    code: 200,
+    message: 'Login successful',
+    data: {
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      plan: user.plan,
+      role: user.role,
+      company: user.company,
+      emailVerified: !!user.email_verified_at,
+      twoFactorEnabled: !!user.totp_enabled_at,
+      // 策略要求启用两步验证但尚未启用时，管理接口返回 TWO_FACTOR_REQUIRED
+      twoFactorSetupRequired: !user.totp_enabled_at && twoFactorService.isTwoFactorRequired(user.role),
+      ...tokens,
+      trialUsed: user.trial_used === 1,
+      apiCalls: user.api_calls || 0,
+      totalSpent: user.total_spent || 0
+    },
+    requestId: req.id
+  });
+};
+
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
   body('password').exists().withMessage('Password is required')
@@ -116,11 +195,18 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+
+    // 连续失败后按账户和 IP 逐步锁定
+    const lock = accountService.getLoginLock(email, req.ip);
+    if (lock) {
+      return sendLoginLocked(req, res, lock);
+    }
     
     // 查找用户
     const user = db.findUserByEmail(email);
     
     if (!user) {
+      accountService.recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         code: 401,
@@ -136,6 +222,7 @@ router.post('/login', [
     // 验证密码
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      accountService.recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         code: 401,
@@ -162,44 +249,215 @@ router.post('/login', [
       });
     }
 
-    // 获取API密钥
-    let apiKey = db.getApiKey(user.id);
-    if (!apiKey) {
-      // 生成新的API密钥
-      apiKey = generateApiKey(user.id);
-      db.saveApiKey(user.id, apiKey);
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({
+        success: false,
+        code: 403,
+        message: 'Email not verified',
+        error: {
+          type: 'EMAIL_NOT_VERIFIED',
+          details: 'Please verify your email address before logging in'
+        },
+        requestId: req.id
+      });
+    }
+
+    // 已启用两步验证：先签发登录挑战，凭验证码在 /login/2fa 完成登录
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        code: 200,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          ...twoFactorService.startLoginChallenge(user.id)
+        },
+        requestId: req.id
+      });
+    }
+
+    sendLoginSuccess(req, res, user);
+
+  } catch (error) {
+    console.error('登录错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Login failed',
+      error: {
+        type: 'LOGIN_ERROR',
+        details: 'An error occurred during login'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+const sendTwoFactorError = (req, res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    code: error.status,
+    message: error.message,
+    error: {
+      type: error.type,
+      details: error.message
+    },
+    requestId: req.id
+  });
+};
+
+/**
+ * 两步登录：提交登录挑战令牌和验证码（或恢复码），输错计入登录失败次数
+ */
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('challengeToken is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return sendValidationError(req, res, [{ msg: 'code or recoveryCode is required' }]);
     }
 
-    // 记录登录时间
-    db.updateLastLogin(user.id);
+    let user;
+    try {
+      user = twoFactorService.getLoginChallengeUser(challengeToken);
+
+      const lock = accountService.getLoginLock(user.email, req.ip);
+      if (lock) {
+        return sendLoginLocked(req, res, lock);
+      }
+
+      if (!twoFactorService.verifySecondFactor(user, { code, recoveryCode })) {
+        accountService.recordLoginFailure(user.email, req.ip);
+        throw new TwoFactorError('INVALID_CODE', 'The verification code is incorrect', 401);
+      }
+
+      twoFactorService.finishLoginChallenge(challengeToken);
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return sendTwoFactorError(req, res, error);
+      }
+      throw error;
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        code: 403,
+        message: 'Account suspended',
+        error: {
+          type: 'ACCOUNT_SUSPENDED',
+          details: 'Your account has been suspended. Please contact support.'
+        },
+        requestId: req.id
+      });
+    }
+
+    sendLoginSuccess(req, res, user);
+  } catch (error) {
+    console.error('两步登录错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Login failed',
+      error: {
+        type: 'LOGIN_ERROR',
+        details: 'An error occurred during login'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 刷新会话：用刷新令牌换取新的访问令牌和刷新令牌
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const { userId, ...tokens } = refreshSession(req.body.refreshToken);
 
     res.json({
       success: true,
       code: 200,
-      message: 'Login successful',
+      message: 'Session refreshed successfully',
       data: {
-        userId: user.id,
-        email: user.email,
-        name: user.name,
-        plan: user.plan,
-        company: user.company,
-        apiKey,
-        trialUsed: user.trial_used === 1,
-        apiCalls: user.api_calls || 0,
-        totalSpent: user.total_spent || 0
+        userId,
+        ...tokens
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({
+        success: false,
+        code: 401,
+        message: error.message,
+        error: {
+          type: error.type,
+          details: error.message
+        },
+        requestId: req.id
+      });
+    }
+
+    console.error('刷新会话错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to refresh session',
+      error: {
+        type: 'REFRESH_ERROR',
+        details: 'An error occurred while refreshing the session'
       },
       requestId: req.id
     });
+  }
+});
 
+/**
+ * 退出登录：撤销刷新令牌所属的会话
+ */
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    // 无论令牌是否有效都返回成功，避免探测
+    revokeSessionByRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Logged out successfully',
+      requestId: req.id
+    });
   } catch (error) {
-    console.error('登录错误:', error);
+    console.error('退出登录错误:', error);
     res.status(500).json({
       success: false,
       code: 500,
-      message: 'Login failed',
+      message: 'Logout failed',
       error: {
-        type: 'LOGIN_ERROR',
-        details: 'An error occurred during login'
+        type: 'LOGOUT_ERROR',
+        details: 'An error occurred during logout'
       },
       requestId: req.id
     });
@@ -212,28 +470,31 @@ router.post('/login', [
 router.post('/refresh-apikey', authenticateToken, (req, res) => {
   try {
     const userId = req.user.id;
-    
-    // 获取旧的API密钥
-    const oldApiKey = db.getApiKey(userId);
-    
-    // 生成新的API密钥
-    const newApiKey = generateApiKey(userId);
-    
-    // 撤销旧的API密钥（如果存在）
-    if (oldApiKey) {
-      revokeApiKey(oldApiKey);
+
+    // 默认密钥不受范围限制，受限密钥和组织密钥不能用来轮换它
+    if (req.user.apiKeyScopes || req.user.orgId) {
+      return sendScopeEscalation(req, res);
     }
     
-    // 保存新的API密钥
-    db.saveApiKey(userId, newApiKey);
+    // 撤销旧的默认密钥并签发新密钥（旧的 JWT 密钥也在此时被替换）
+    const rotate = db.getDb().transaction(() => {
+      const oldKey = db.findApiKeyByName(userId, db.DEFAULT_API_KEY_NAME);
+      if (oldKey) {
+        db.revokeApiKey(userId, oldKey.id);
+      }
+      return issueApiKey(userId, { name: db.DEFAULT_API_KEY_NAME });
+    });
+
+    const { apiKey, record } = rotate();
     
     res.json({
       success: true,
       code: 200,
       message: 'API key refreshed successfully',
       data: {
-        apiKey: newApiKey,
-        expiresIn: '365 days'
+        apiKey,
+        apiKeyPreview: formatApiKey(record).keyPreview,
+        expiresAt: null
       },
       requestId: req.id
     });
@@ -253,6 +514,711 @@ router.post('/refresh-apikey', authenticateToken, (req, res) => {
   }
 });
 
+// ============ 命名 API Key 管理 ============
+
+const sendValidationError = (req, res, details) => {
+  return res.status(400).json({
+    success: false,
+    code: 400,
+    message: 'Validation error',
+    error: {
+      type: 'VALIDATION_ERROR',
+      details
+    },
+    requestId: req.id
+  });
+};
+
+const sendKeyNotFound = (req, res) => {
+  return res.status(404).json({
+    success: false,
+    code: 404,
+    message: 'API key not found',
+    error: {
+      type: 'API_KEY_NOT_FOUND',
+      details: `API key ${req.params.id} does not exist`
+    },
+    requestId: req.id
+  });
+};
+
+/**
+ * 受限密钥不能创建或授予超出自身范围的权限，也不能修改或撤销范围更大的密钥
+ */
+const exceedsCallerScopes = (req, scopes) => {
+  const callerScopes = req.user.apiKeyScopes;
+  if (!callerScopes) return false;
+  if (!scopes) return true;
+  return scopes.some(scope => !callerScopes.includes(scope));
+};
+
+/**
+ * 组织密钥属于组织，不能管理调用者的个人密钥
+ */
+const rejectOrganizationKey = (req, res, next) => {
+  if (!req.user.orgId) return next();
+
+  return res.status(403).json({
+    success: false,
+    code: 403,
+    message: 'Insufficient scope',
+    error: {
+      type: 'INSUFFICIENT_SCOPE',
+      details: 'Organization API keys cannot manage personal API keys'
+    },
+    requestId: req.id
+  });
+};
+
+const sendScopeEscalation = (req, res, details = 'An API key cannot grant scopes beyond its own') => {
+  return res.status(403).json({
+    success: false,
+    code: 403,
+    message: 'Insufficient scope',
+    error: {
+      type: 'INSUFFICIENT_SCOPE',
+      details,
+      scopes: req.user.apiKeyScopes
+    },
+    requestId: req.id
+  });
+};
+
+const scopesValidator = body('scopes')
+  .optional({ nullable: true })
+  .isArray({ min: 1 }).withMessage('scopes must be a non-empty array')
+  .custom(scopes => scopes.every(scope => API_KEY_SCOPES.includes(scope)))
+  .withMessage(`scopes may only contain: ${API_KEY_SCOPES.join(', ')}`);
+
+// 密钥自身的并发上限，只能比套餐上限更严格；null 表示只受套餐上限约束
+const maxConcurrencyValidator = body('maxConcurrency')
+  .optional({ nullable: true })
+  .isInt({ min: 1 }).withMessage('maxConcurrency must be a positive integer')
+  .toInt();
+
+const formatApiKey = (record, currentKeyId) => ({
+  id: record.id,
+  name: record.name,
+  keyPreview: record.key_prefix ? `${record.key_prefix}...` : `...${record.key.slice(-6)}`,
+  legacy: !record.key_hash,
+  scopes: record.scopes || API_KEY_SCOPES,
+  restricted: !!record.scopes,
+  maxConcurrency: record.max_concurrency || null,
+  expiresAt: record.expires_at,
+  lastUsedAt: record.last_used_at,
+  createdAt: record.created_at,
+  current: record.id === currentKeyId
+});
+
+/**
+ * 列出当前用户的所有密钥
+ */
+router.get('/keys', authenticateToken, rejectOrganizationKey, (req, res) => {
+  try {
+    const keys = db.listApiKeys(req.user.id).map(record => formatApiKey(record, req.user.apiKeyId));
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'API keys retrieved successfully',
+      data: {
+        keys,
+        count: keys.length,
+        availableScopes: API_KEY_SCOPES
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取API密钥列表错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve API keys',
+      error: {
+        type: 'API_KEY_ERROR',
+        details: 'An error occurred while retrieving API keys'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 创建命名密钥
+ * body: { name, scopes?, expiresAt? }，密钥明文只在创建时返回一次
+ */
+router.post('/keys', authenticateToken, rejectOrganizationKey, [
+  body('name').trim().isLength({ min: 1, max: 64 }).withMessage('Name must be 1-64 characters'),
+  scopesValidator,
+  maxConcurrencyValidator,
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const { name, scopes = null, expiresAt = null, maxConcurrency = null } = req.body;
+
+    if (exceedsCallerScopes(req, scopes)) {
+      return sendScopeEscalation(req, res);
+    }
+
+    if (db.findApiKeyByName(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        code: 409,
+        message: 'API key name already exists',
+        error: {
+          type: 'API_KEY_NAME_EXISTS',
+          details: `You already have an API key named "${name}"`
+        },
+        requestId: req.id
+      });
+    }
+
+    const { apiKey, record } = issueApiKey(req.user.id, {
+      name,
+      scopes: scopes ? [...new Set(scopes)] : null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      maxConcurrency
+    });
+
+    res.status(201).json({
+      success: true,
+      code: 201,
+      message: 'API key created successfully',
+      data: {
+        ...formatApiKey(record, req.user.apiKeyId),
+        apiKey
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('创建API密钥错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to create API key',
+      error: {
+        type: 'API_KEY_ERROR',
+        details: 'An error occurred while creating the API key'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 获取单个密钥
+ */
+router.get('/keys/:id', authenticateToken, rejectOrganizationKey, (req, res) => {
+  try {
+    const record = db.getApiKeyById(req.user.id, req.params.id);
+    if (!record) {
+      return sendKeyNotFound(req, res);
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'API key retrieved successfully',
+      data: formatApiKey(record, req.user.apiKeyId),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取API密钥错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve API key',
+      error: {
+        type: 'API_KEY_ERROR',
+        details: 'An error occurred while retrieving the API key'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 修改密钥名称或权限范围
+ * body: { name?, scopes? }，scopes 为 null 表示不限制
+ */
+router.patch('/keys/:id', authenticateToken, rejectOrganizationKey, [
+  body('name').optional().trim().isLength({ min: 1, max: 64 }).withMessage('Name must be 1-64 characters'),
+  scopesValidator,
+  maxConcurrencyValidator
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const record = db.getApiKeyById(req.user.id, req.params.id);
+    if (!record) {
+      return sendKeyNotFound(req, res);
+    }
+
+    if (exceedsCallerScopes(req, record.scopes)) {
+      return sendScopeEscalation(req, res, 'An API key cannot modify keys with scopes beyond its own');
+    }
+
+    const { name, scopes, maxConcurrency } = req.body;
+
+    if (scopes !== undefined && exceedsCallerScopes(req, scopes)) {
+      return sendScopeEscalation(req, res);
+    }
+
+    if (name !== undefined && name !== record.name) {
+      if (record.name === db.DEFAULT_API_KEY_NAME) {
+        return sendValidationError(req, res, 'The default API key cannot be renamed');
+      }
+      if (db.findApiKeyByName(req.user.id, name)) {
+        return res.status(409).json({
+          success: false,
+          code: 409,
+          message: 'API key name already exists',
+          error: {
+            type: 'API_KEY_NAME_EXISTS',
+            details: `You already have an API key named "${name}"`
+          },
+          requestId: req.id
+        });
+      }
+    }
+
+    const updated = db.updateApiKey(req.user.id, record.id, {
+      name,
+      scopes: scopes === undefined ? undefined : scopes && [...new Set(scopes)],
+      maxConcurrency
+    });
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'API key updated successfully',
+      data: formatApiKey(updated, req.user.apiKeyId),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('更新API密钥错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to update API key',
+      error: {
+        type: 'API_KEY_ERROR',
+        details: 'An error occurred while updating the API key'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 撤销密钥，立即生效
+ */
+router.delete('/keys/:id', authenticateToken, rejectOrganizationKey, (req, res) => {
+  try {
+    const record = db.getApiKeyById(req.user.id, req.params.id);
+    if (!record) {
+      return sendKeyNotFound(req, res);
+    }
+
+    if (exceedsCallerScopes(req, record.scopes)) {
+      return sendScopeEscalation(req, res, 'An API key cannot revoke keys with scopes beyond its own');
+    }
+
+    db.revokeApiKey(req.user.id, record.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'API key revoked successfully',
+      data: {
+        id: record.id,
+        name: record.name
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('撤销API密钥错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to revoke API key',
+      error: {
+        type: 'API_KEY_ERROR',
+        details: 'An error occurred while revoking the API key'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+// ============ 邮箱验证与密码 ============
+
+const sendAccountError = (req, res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    code: error.status,
+    message: error.message,
+    error: {
+      type: error.type,
+      details: error.message
+    },
+    requestId: req.id
+  });
+};
+
+/**
+ * 密码和两步验证只能在控制台会话中修改，API 密钥不行
+ */
+const requireSession = (req, res, next) => {
+  if (req.user.authType !== 'session') {
+    return res.status(403).json({
+      success: false,
+      code: 403,
+      message: 'Session required',
+      error: {
+        type: 'SESSION_REQUIRED',
+        details: 'This action is only available from a logged-in console session'
+      },
+      requestId: req.id
+    });
+  }
+  next();
+};
+
+/**
+ * 重新发送验证邮件
+ */
+router.post('/verify-email/request', authenticateToken, async (req, res) => {
+  try {
+    try {
+      await accountService.sendEmailVerification(db.findUserById(req.user.id));
+    } catch (error) {
+      if (error instanceof AccountError) {
+        return sendAccountError(req, res, error);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Verification email sent',
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('发送验证邮件错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to send verification email',
+      error: {
+        type: 'MAIL_ERROR',
+        details: 'An error occurred while sending the verification email'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 使用邮件中的令牌验证邮箱
+ */
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('token is required')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    let user;
+    try {
+      user = accountService.verifyEmail(req.body.token);
+    } catch (error) {
+      if (error instanceof AccountError) {
+        return sendAccountError(req, res, error);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Email verified successfully',
+      data: {
+        userId: user.id,
+        email: user.email,
+        emailVerified: true
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('验证邮箱错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Email verification failed',
+      error: {
+        type: 'VERIFICATION_ERROR',
+        details: 'An error occurred while verifying the email address'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 申请重置密码；无论邮箱是否注册都返回成功
+ */
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    try {
+      await accountService.requestPasswordReset(req.body.email);
+    } catch (error) {
+      if (error instanceof AccountError) {
+        return sendAccountError(req, res, error);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'If the email is registered, a password reset link has been sent',
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('申请重置密码错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to request password reset',
+      error: {
+        type: 'PASSWORD_RESET_ERROR',
+        details: 'An error occurred while requesting a password reset'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 使用重置令牌设置新密码，所有会话随之失效
+ */
+router.post('/password/reset', [
+  body('token').isString().notEmpty().withMessage('token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    try {
+      await accountService.resetPassword(req.body.token, req.body.password);
+    } catch (error) {
+      if (error instanceof AccountError) {
+        return sendAccountError(req, res, error);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Password reset successfully. Please log in again.',
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('重置密码错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to reset password',
+      error: {
+        type: 'PASSWORD_RESET_ERROR',
+        details: 'An error occurred while resetting the password'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 修改密码（仅限控制台会话），其他会话全部失效
+ */
+router.post('/password/change', authenticateToken, requireSession, [
+  body('currentPassword').isString().notEmpty().withMessage('currentPassword is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    let revokedSessions;
+    try {
+      revokedSessions = await accountService.changePassword(
+        req.user.id,
+        req.body.currentPassword,
+        req.body.newPassword,
+        req.user.sessionId
+      );
+    } catch (error) {
+      if (error instanceof AccountError) {
+        return sendAccountError(req, res, error);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('修改密码错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to change password',
+      error: {
+        type: 'PASSWORD_CHANGE_ERROR',
+        details: 'An error occurred while changing the password'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+// ============ 两步验证 ============
+
+const handleTwoFactorRoute = (label, handler) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+    await handler(req, res, db.findUserById(req.user.id));
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(req, res, error);
+    }
+    console.error(`${label}错误:`, error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Two-factor authentication request failed',
+      error: {
+        type: 'TWO_FACTOR_ERROR',
+        details: `An error occurred during ${label}`
+      },
+      requestId: req.id
+    });
+  }
+};
+
+/**
+ * 两步验证状态
+ */
+router.get('/2fa', authenticateToken, handleTwoFactorRoute('查询两步验证', (req, res, user) => {
+  res.json({
+    success: true,
+    code: 200,
+    data: twoFactorService.getStatus(user),
+    requestId: req.id
+  });
+}));
+
+/**
+ * 开始启用：返回密钥和 otpauth URI（用于生成二维码）
+ */
+router.post('/2fa/setup', authenticateToken, requireSession, handleTwoFactorRoute('启用两步验证', (req, res, user) => {
+  res.json({
+    success: true,
+    code: 200,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: twoFactorService.beginSetup(user),
+    requestId: req.id
+  });
+}));
+
+/**
+ * 确认启用：返回恢复码（只显示一次），其他会话失效
+ */
+router.post('/2fa/enable', authenticateToken, requireSession, [
+  body('code').isString().notEmpty().withMessage('code is required')
+], handleTwoFactorRoute('确认两步验证', (req, res, user) => {
+  const result = twoFactorService.confirmSetup(user, req.body.code, req.user.sessionId);
+  res.json({
+    success: true,
+    code: 200,
+    message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+    data: result,
+    requestId: req.id
+  });
+}));
+
+/**
+ * 重新生成恢复码，旧恢复码全部作废
+ */
+router.post('/2fa/recovery-codes', authenticateToken, requireSession, [
+  body('code').isString().notEmpty().withMessage('code is required')
+], handleTwoFactorRoute('生成恢复码', (req, res, user) => {
+  res.json({
+    success: true,
+    code: 200,
+    message: 'Recovery codes regenerated',
+    data: {
+      recoveryCodes: twoFactorService.regenerateRecoveryCodes(user, req.body.code)
+    },
+    requestId: req.id
+  });
+}));
+
+/**
+ * 停用：需要密码和验证码（或恢复码）
+ */
+router.post('/2fa/disable', authenticateToken, requireSession, [
+  body('password').isString().notEmpty().withMessage('password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], handleTwoFactorRoute('停用两步验证', async (req, res, user) => {
+  const { password, code, recoveryCode } = req.body;
+  await twoFactorService.disable(user, password, { code, recoveryCode });
+  res.json({
+    success: true,
+    code: 200,
+    message: 'Two-factor authentication disabled',
+    requestId: req.id
+  });
+}));
+
 /**
  * 获取用户信息
  */
@@ -300,7 +1266,10 @@ router.get('/profile', authenticateToken, (req, res) => {
         company: user.company,
         phone: user.phone,
         plan: user.plan,
+        role: user.role,
         status: user.status,
+        emailVerified: !!user.email_verified_at,
+        twoFactorEnabled: !!user.totp_enabled_at,
         trialUsed: user.trial_used === 1,
         createdAt: user.created_at,
         lastLogin: user.last_login,
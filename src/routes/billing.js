@@ -1,5 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const db = require('../db/sqlite');
+const { ORDER_TTL_MS, MOCK_PAYMENT_ENABLED, getProviderForMethod } = require('../services/paymentService');
+const subscriptionService = require('../services/subscriptionService');
+const { queryUsage } = require('../services/usageService');
+const { hasPermission, getMembership } = require('../services/organizationService');
+
+const {
+  generateMonthlyInvoice,
+  formatInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../services/invoiceService');
+
+const { SubscriptionError, getPlanFeatures } = subscriptionService;
 
 const router = express.Router();
 
@@ -9,22 +23,26 @@ const router = express.Router();
 router.get('/info', async (req, res) => {
   try {
     const userId = req.user.id;
-    
-    // 这里应该从数据库获取用户的计费信息
-    // 现在返回模拟数据
+    const user = db.findUserById(userId);
+
+    // 本月按服务汇总的用量
+    const monthlyUsage = {};
+    for (const row of db.getMonthlyUsageByService(userId)) {
+      monthlyUsage[row.service] = { calls: row.calls, cost: row.cost };
+    }
+
+    const now = new Date();
+    const lastBillingDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const nextBillingDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
     const billingInfo = {
       userId,
       currentPlan: req.user.plan,
-      balance: 100.00, // 账户余额
-      totalSpent: parseFloat(req.user.totalSpent) || 0,
-      monthlyUsage: {
-        parser: { calls: 150, cost: 15.30 },
-        layout: { calls: 80, cost: 24.50 },
-        renderer: { calls: 45, cost: 38.25 },
-        combo: { calls: 25, cost: 32.00 }
-      },
-      lastBillingDate: '2024-01-01T00:00:00Z',
-      nextBillingDate: '2024-02-01T00:00:00Z'
+      balance: db.getBalance(userId),
+      totalSpent: user ? user.total_spent || 0 : 0,
+      monthlyUsage,
+      lastBillingDate: lastBillingDate.toISOString(),
+      nextBillingDate: nextBillingDate.toISOString()
     };
 
     res.json({
@@ -52,10 +70,12 @@ router.get('/info', async (req, res) => {
 
 /**
  * 充值账户
+ * body.organizationId 非空时充值到组织余额，需要组织的计费权限
  */
 router.post('/recharge', [
   body('amount').isFloat({ min: 10, max: 10000 }).withMessage('Amount must be between 10 and 10000'),
-  body('paymentMethod').isIn(['alipay', 'wechat', 'card']).withMessage('Invalid payment method')
+  body('paymentMethod').isIn(['alipay', 'wechat', 'card']).withMessage('Invalid payment method'),
+  body('organizationId').optional().isString().withMessage('organizationId must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -72,37 +92,69 @@ router.post('/recharge', [
       });
     }
 
-    const { amount, paymentMethod } = req.body;
+    const { amount, paymentMethod, organizationId = null } = req.body;
     const userId = req.user.id;
-    
+
+    if (organizationId) {
+      const membership = getMembership(organizationId, userId);
+      if (!membership || !hasPermission(membership.role, 'manage_billing')) {
+        return res.status(403).json({
+          success: false,
+          code: 403,
+          message: 'Permission denied',
+          error: {
+            type: 'ORG_FORBIDDEN',
+            details: 'You are not allowed to recharge this organization'
+          },
+          requestId: req.id
+        });
+      }
+    }
+
+    const provider = getProviderForMethod(paymentMethod);
+    if (!provider) {
+      return res.status(503).json({
+        success: false,
+        code: 503,
+        message: 'Payment method unavailable',
+        error: {
+          type: 'PAYMENT_UNAVAILABLE',
+          details: `No payment provider is configured for ${paymentMethod}`
+        },
+        requestId: req.id
+      });
+    }
+
     // 生成订单号
     const orderId = `VISURF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // 这里应该集成真实的支付接口
-    // 现在返回模拟的支付信息
-    const paymentInfo = {
-      orderId,
+    const expiresAt = new Date(Date.now() + ORDER_TTL_MS).toISOString();
+
+    const payment = await provider.createPayment({ id: orderId, userId, amount: parseFloat(amount), paymentMethod });
+
+    const order = db.createOrder({
+      id: orderId,
+      userId,
+      orgId: organizationId,
       amount: parseFloat(amount),
-      currency: 'CNY',
       paymentMethod,
-      status: 'pending',
-      qrCode: 'https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=PAYMENT_' + orderId,
-      expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(), // 15分钟过期
-      description: `ViSurf API充值 ¥${amount}`
-    };
+      provider: provider.name,
+      providerTradeNo: payment.providerTradeNo,
+      expiresAt
+    });
 
-    // 保存订单信息到Redis（15分钟）
-    const orderData = {
+    const paymentInfo = {
       orderId,
-      userId,
-      amount,
+      organizationId,
+      amount: order.amount,
+      currency: order.currency,
       paymentMethod,
-      status: 'pending',
-      createdAt: new Date().toISOString()
+      provider: provider.name,
+      status: order.status,
+      qrCode: payment.qrCode,
+      payUrl: payment.payUrl,
+      expiresAt,
+      description: `ViSurf API充值 ¥${amount}`
     };
-    
-    // 这里应该使用Redis保存订单信息
-    // await redisClient.setEx(`order:${orderId}`, 15 * 60, JSON.stringify(orderData));
 
     res.json({
       success: true,
@@ -128,94 +180,121 @@ router.post('/recharge', [
 });
 
 /**
- * 获取使用记录
+ * 查询充值订单状态
  */
-router.get('/usage', async (req, res) => {
+router.get('/orders/:id', (req, res) => {
   try {
-    const userId = req.user.id;
-    const { startDate, endDate, service, limit = 50, offset = 0 } = req.query;
-    
-    // 这里应该从数据库获取使用记录
-    // 现在返回模拟数据
-    const usageRecords = [
-      {
-        id: 'usage_123456789',
-        userId,
-        service: 'parser',
-        requestId: 'req_123456789',
-        cost: 0.15,
-        metadata: {
-          charCount: 150,
-          entityCount: 8,
-          relationCount: 5
-        },
-        timestamp: '2024-01-31T10:30:00Z',
-        status: 'completed'
-      },
-      {
-        id: 'usage_123456790',
-        userId,
-        service: 'renderer',
-        requestId: 'req_123456790',
-        cost: 2.5,
-        metadata: {
-          nodeCount: 50,
-          theme: 'COSMIC',
-          svgSize: 15320
-        },
-        timestamp: '2024-01-31T09:15:00Z',
-        status: 'completed'
+    const order = db.getOrder(req.params.id);
+
+    if (!order || order.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Order not found',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Order retrieved successfully',
+      data: formatOrder(order),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    console.error('查询订单错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve order',
+      error: {
+        type: 'ORDER_ERROR',
+        details: 'An error occurred while retrieving the order'
       },
-      {
-        id: 'usage_123456791',
-        userId,
-        service: 'combo',
-        requestId: 'req_123456791',
-        cost: 4.8,
-        metadata: {
-          charCount: 600,
-          nodeCount: 60,
-          theme: 'TERRA',
-          layoutMode: 'HIERARCHICAL'
-        },
-        timestamp: '2024-01-31T08:45:00Z',
-        status: 'completed'
-      }
-    ];
-
-    const total = 156; // 总记录数
-    const filtered = usageRecords.filter(record => {
-      if (service && record.service !== service) return false;
-      if (startDate && new Date(record.timestamp) < new Date(startDate)) return false;
-      if (endDate && new Date(record.timestamp) > new Date(endDate)) return false;
-      return true;
+      requestId: req.id
     });
+  }
+});
+
+/**
+ * 模拟支付（仅在 PAYMENT_MOCK_ENABLED=true 时挂载，用于本地联调）
+ */
+if (MOCK_PAYMENT_ENABLED) {
+  router.post('/orders/:id/mock-pay', (req, res) => {
+    try {
+      const order = db.getOrder(req.params.id);
+
+      if (!order || order.user_id !== req.user.id || order.provider !== 'mock') {
+        return res.status(404).json({
+          success: false,
+          code: 404,
+          message: 'Order not found',
+          requestId: req.id
+        });
+      }
+
+      // 模拟的是用户付款，超过支付时限的订单不能再支付
+      if (order.status === 'expired' || (order.status === 'pending' && order.expires_at < new Date().toISOString())) {
+        return res.status(409).json({
+          success: false,
+          code: 409,
+          message: 'Order expired',
+          error: {
+            type: 'ORDER_EXPIRED',
+            details: 'The order expired before payment. Please create a new recharge order.'
+          },
+          requestId: req.id
+        });
+      }
+
+      const settled = db.settleOrder(order.id, order.provider_trade_no);
+
+      res.json({
+        success: true,
+        code: 200,
+        message: 'Mock payment processed',
+        data: formatOrder(settled),
+        requestId: req.id
+      });
 
-    const paginated = filtered.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    } catch (error) {
+      console.error('模拟支付错误:', error);
+      res.status(500).json({
+        success: false,
+        code: 500,
+        message: 'Mock payment failed',
+        error: {
+          type: 'PAYMENT_ERROR',
+          details: error.message
+        },
+        requestId: req.id
+      });
+    }
+  });
+}
+
+/**
+ * 获取使用记录
+ */
+router.get('/usage', (req, res) => {
+  try {
+    let result;
+    try {
+      result = queryUsage(req.user.id, req.query);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return sendValidationError(res, req, error);
+      }
+      throw error;
+    }
 
     res.json({
       success: true,
       code: 200,
       message: 'Usage records retrieved successfully',
-      data: {
-        records: paginated,
-        pagination: {
-          total: filtered.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: filtered.length > parseInt(offset) + parseInt(limit)
-        },
-        summary: {
-          totalCost: filtered.reduce((sum, record) => sum + record.cost, 0),
-          totalCalls: filtered.length,
-          byService: {
-            parser: filtered.filter(r => r.service === 'parser').reduce((sum, r) => sum + r.cost, 0),
-            layout: filtered.filter(r => r.service === 'layout').reduce((sum, r) => sum + r.cost, 0),
-            renderer: filtered.filter(r => r.service === 'renderer').reduce((sum, r) => sum + r.cost, 0),
-            combo: filtered.filter(r => r.service === 'combo').reduce((sum, r) => sum + r.cost, 0)
-          }
-        }
-      },
+      data: result,
       requestId: req.id
     });
 
@@ -258,60 +337,39 @@ router.post('/upgrade', [
 
     const { plan, duration } = req.body;
     const userId = req.user.id;
-    const currentPlan = req.user.plan;
-    
-    // 套餐价格配置
-    const planPricing = {
-      basic: { monthly: 29, yearly: 290 },
-      pro: { monthly: 99, yearly: 990 },
-      enterprise: { monthly: 299, yearly: 2990 }
-    };
-    
-    const price = planPricing[plan][duration];
-    
-    // 检查是否已经是更高级套餐
-    const planHierarchy = ['free', 'basic', 'pro', 'enterprise'];
-    const currentIndex = planHierarchy.indexOf(currentPlan);
-    const targetIndex = planHierarchy.indexOf(plan);
-    
-    if (currentIndex >= targetIndex) {
-      return res.status(400).json({
-        success: false,
-        code: 400,
-        message: 'Invalid upgrade',
-        error: {
-          type: 'INVALID_UPGRADE',
-          details: `You are already on ${currentPlan} plan or higher`
-        },
-        requestId: req.id
-      });
+
+    let result;
+    try {
+      result = subscriptionService.upgrade(userId, plan, duration);
+    } catch (error) {
+      if (error instanceof SubscriptionError) {
+        return sendSubscriptionError(res, req, error);
+      }
+      throw error;
     }
 
-    // 生成升级订单
-    const orderId = `UPGRADE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
+    const { subscription } = result;
     const upgradeInfo = {
-      orderId,
+      subscriptionId: subscription.id,
       userId,
-      currentPlan,
+      currentPlan: result.previousPlan,
       targetPlan: plan,
       duration,
-      amount: price,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      features: {
-        rateLimit: plan === 'basic' ? 1000 : plan === 'pro' ? 10000 : 100000,
-        support: plan === 'enterprise' ? '24/7 priority' : plan === 'pro' ? 'email' : 'community',
-        analytics: plan !== 'basic',
-        customThemes: plan === 'enterprise',
-        whiteLabel: plan === 'enterprise'
-      }
+      amount: result.price,
+      proratedCredit: result.proratedCredit,
+      amountCharged: result.amountCharged,
+      transactionId: result.transactionId,
+      status: subscription.status,
+      currentPeriodStart: subscription.current_period_start,
+      currentPeriodEnd: subscription.current_period_end,
+      createdAt: subscription.created_at,
+      features: getPlanFeatures(plan)
     };
 
     res.json({
       success: true,
       code: 200,
-      message: 'Upgrade order created successfully',
+      message: 'Plan upgraded successfully',
       data: upgradeInfo,
       requestId: req.id
     });
@@ -324,7 +382,7 @@ router.post('/upgrade', [
       message: 'Upgrade failed',
       error: {
         type: 'UPGRADE_ERROR',
-        details: 'An error occurred while creating the upgrade order'
+        details: 'An error occurred while upgrading the plan'
       },
       requestId: req.id
     });
@@ -332,78 +390,117 @@ router.post('/upgrade', [
 });
 
 /**
- * 获取发票列表
+ * 降级或取消套餐（当前周期结束时生效）
  */
-router.get('/invoices', async (req, res) => {
+router.post('/downgrade', [
+  body('plan').isIn(['free', 'basic', 'pro']).withMessage('Invalid plan'),
+  body('duration').optional().isIn(['monthly', 'yearly']).withMessage('Invalid duration')
+], (req, res) => {
   try {
-    const userId = req.user.id;
-    const { startDate, endDate, status, limit = 20, offset = 0 } = req.query;
-    
-    // 这里应该从数据库获取发票信息
-    // 现在返回模拟数据
-    const invoices = [
-      {
-        id: 'INV_202401_001',
-        userId,
-        amount: 156.75,
-        currency: 'CNY',
-        status: 'paid',
-        items: [
-          { service: 'parser', quantity: 1500, unitPrice: 0.001, total: 1.50 },
-          { service: 'layout', quantity: 800, unitPrice: 0.01, total: 8.00 },
-          { service: 'renderer', quantity: 450, unitPrice: 0.05, total: 22.50 },
-          { service: 'combo', quantity: 200, unitPrice: 0.08, total: 16.00 }
-        ],
-        period: {
-          start: '2024-01-01',
-          end: '2024-01-31'
-        },
-        createdAt: '2024-01-31T23:59:59Z',
-        paidAt: '2024-02-01T10:30:00Z',
-        downloadUrl: '/api/billing/invoices/INV_202401_001/download'
-      },
-      {
-        id: 'INV_202312_001',
-        userId,
-        amount: 89.20,
-        currency: 'CNY',
-        status: 'paid',
-        items: [
-          { service: 'parser', quantity: 800, unitPrice: 0.001, total: 0.80 },
-          { service: 'renderer', quantity: 300, unitPrice: 0.05, total: 15.00 },
-          { service: 'combo', quantity: 150, unitPrice: 0.08, total: 12.00 }
-        ],
-        period: {
-          start: '2023-12-01',
-          end: '2023-12-31'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Validation error',
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: errors.array()
         },
-        createdAt: '2023-12-31T23:59:59Z',
-        paidAt: '2024-01-01T09:15:00Z',
-        downloadUrl: '/api/billing/invoices/INV_202312_001/download'
+        requestId: req.id
+      });
+    }
+
+    let subscription;
+    try {
+      subscription = subscriptionService.scheduleDowngrade(req.user.id, req.body.plan, req.body.duration);
+    } catch (error) {
+      if (error instanceof SubscriptionError) {
+        return sendSubscriptionError(res, req, error);
       }
-    ];
-
-    const total = 12; // 总发票数
-    const filtered = invoices.filter(invoice => {
-      if (status && invoice.status !== status) return false;
-      if (startDate && new Date(invoice.createdAt) < new Date(startDate)) return false;
-      if (endDate && new Date(invoice.createdAt) > new Date(endDate)) return false;
-      return true;
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Downgrade scheduled successfully',
+      data: formatSubscription(subscription),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    console.error('降级套餐错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Downgrade failed',
+      error: {
+        type: 'DOWNGRADE_ERROR',
+        details: 'An error occurred while scheduling the downgrade'
+      },
+      requestId: req.id
     });
+  }
+});
+
+/**
+ * 获取当前订阅
+ */
+router.get('/subscription', (req, res) => {
+  try {
+    const subscription = db.getActiveSubscription(req.user.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Subscription retrieved successfully',
+      data: {
+        effectivePlan: req.user.plan,
+        subscription: subscription ? formatSubscription(subscription) : null,
+        features: getPlanFeatures(req.user.plan)
+      },
+      requestId: req.id
+    });
+
+  } catch (error) {
+    console.error('获取订阅错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve subscription',
+      error: {
+        type: 'SUBSCRIPTION_ERROR',
+        details: 'An error occurred while retrieving the subscription'
+      },
+      requestId: req.id
+    });
+  }
+});
 
-    const paginated = filtered.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+/**
+ * 获取发票列表
+ */
+router.get('/invoices', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { startDate, endDate, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { invoices, total } = db.listInvoices(userId, { status, startDate, endDate, limit, offset });
 
     res.json({
       success: true,
       code: 200,
       message: 'Invoices retrieved successfully',
       data: {
-        invoices: paginated,
+        invoices: invoices.map(invoice => formatInvoice(invoice)),
         pagination: {
-          total: filtered.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: filtered.length > parseInt(offset) + parseInt(limit)
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + limit
         }
       },
       requestId: req.id
@@ -424,4 +521,187 @@ router.get('/invoices', async (req, res) => {
   }
 });
 
+function formatOrder(order) {
+  return {
+    orderId: order.id,
+    organizationId: order.org_id || null,
+    amount: order.amount,
+    currency: order.currency,
+    paymentMethod: order.payment_method,
+    provider: order.provider,
+    status: order.status,
+    expiresAt: order.expires_at,
+    paidAt: order.paid_at,
+    creditedAt: order.credited_at,
+    createdAt: order.created_at
+  };
+}
+
+/**
+ * 生成指定月份的发票（仅限已结束的月份）
+ */
+router.post('/invoices/generate', [
+  body('year').isInt({ min: 2000, max: 9999 }).withMessage('Invalid year'),
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Invalid month')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Validation error',
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: errors.array()
+        },
+        requestId: req.id
+      });
+    }
+
+    const year = parseInt(req.body.year);
+    const month = parseInt(req.body.month);
+    const now = new Date();
+    if (Date.UTC(year, month, 1) > Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Billing period has not ended yet',
+        error: {
+          type: 'PERIOD_NOT_CLOSED',
+          details: 'Invoices can only be generated for completed months'
+        },
+        requestId: req.id
+      });
+    }
+
+    const invoice = generateMonthlyInvoice(req.user.id, year, month);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'No usage in this billing period',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Invoice generated successfully',
+      data: formatInvoice(invoice),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    console.error('生成发票错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to generate invoice',
+      error: {
+        type: 'INVOICE_ERROR',
+        details: 'An error occurred while generating the invoice'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 下载发票（format=pdf|html，默认 pdf）
+ */
+router.get('/invoices/:id/download', (req, res) => {
+  try {
+    const invoice = db.getInvoiceByNumber(req.params.id);
+
+    // 组织发票通过 /api/v1/orgs/:orgId/invoices 下载
+    if (!invoice || invoice.org_id || invoice.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Invoice not found',
+        requestId: req.id
+      });
+    }
+
+    const format = req.query.format || 'pdf';
+    const user = db.findUserById(invoice.user_id);
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderInvoiceHtml(invoice, user));
+    }
+
+    if (format !== 'pdf') {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'format must be pdf or html',
+        requestId: req.id
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(renderInvoicePdf(invoice, user));
+
+  } catch (error) {
+    console.error('下载发票错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to download invoice',
+      error: {
+        type: 'INVOICE_ERROR',
+        details: 'An error occurred while rendering the invoice'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+function formatSubscription(subscription) {
+  return {
+    subscriptionId: subscription.id,
+    plan: subscription.plan,
+    billingCycle: subscription.billing_cycle,
+    status: subscription.status,
+    currentPeriodStart: subscription.current_period_start,
+    currentPeriodEnd: subscription.current_period_end,
+    autoRenew: subscription.auto_renew === 1,
+    pendingPlan: subscription.pending_plan,
+    pendingCycle: subscription.pending_cycle
+  };
+}
+
+function sendValidationError(res, req, error) {
+  return res.status(400).json({
+    success: false,
+    code: 400,
+    message: 'Validation error',
+    error: {
+      type: 'VALIDATION_ERROR',
+      details: error.message
+    },
+    requestId: req.id
+  });
+}
+
+function sendSubscriptionError(res, req, error) {
+  const code = error.type === 'INSUFFICIENT_BALANCE' ? 402 : 400;
+  return res.status(code).json({
+    success: false,
+    code,
+    message: error.message,
+    error: {
+      type: error.type,
+      details: error.message,
+      ...error.details
+    },
+    requestId: req.id
+  });
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,52 @@
 /**
  * 组合路由 — POST /api/v1/combo
  * 一站式服务: 文本 → parse → render → SVG + JSON
+ * 转发到 combo Worker 节点；没有注册节点时在网关进程内执行（WORKER_LOCAL_FALLBACK）
  */
 const express = require('express');
 const router = express.Router();
 const { extractKnowledgeGraph } = require('../services/parseService');
 const { render } = require('../services/renderService');
-const { updateUserStats, logUsage, getApiConfig } = require('../db/sqlite');
+const { logFailedUsage, getApiConfig } = require('../db/sqlite');
+const { chargeUsage, setQuotaHeaders } = require('../services/quotaService');
+const { getLoadBalancer, WorkerUnavailableError } = require('../services/loadBalancer');
+
+const loadBalancer = getLoadBalancer('weighted-round-robin');
+
+// 组合服务需要调用 Claude API，超时比渲染长
+const WORKER_TIMEOUT_MS = 120000;
+
+/**
+ * 在网关进程内执行，返回与 Worker 相同结构的结果
+ */
+async function runLocally({ text, options }) {
+  // Step 1: 文本 → entities + relations (Claude API)
+  const parseResult = await extractKnowledgeGraph(text, {
+    language: options.language,
+    model: options.model
+  });
+
+  // Step 2: entities + relations → SVG
+  const renderResult = render(parseResult.entities, parseResult.relations, {
+    width: options.width,
+    height: options.height,
+    theme: options.theme,
+    layoutMode: options.layoutMode,
+    displayLanguage: options.displayLanguage
+  });
+
+  return {
+    svg: renderResult.svg,
+    entities: parseResult.entities,
+    relations: parseResult.relations,
+    metadata: {
+      parseTime: parseResult.metadata.processingTime,
+      renderTime: renderResult.metadata.processingTime,
+      theme: renderResult.metadata.theme,
+      layoutMode: renderResult.metadata.layoutMode
+    }
+  };
+}
 
 router.post('/', async (req, res) => {
   const startTime = new Date();
@@ -33,26 +73,59 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Step 1: 文本 → entities + relations (Claude API)
-    const parseResult = await extractKnowledgeGraph(text, {
-      language: options.language,
-      model: options.model
-    });
+    let dispatched;
+    try {
+      dispatched = await loadBalancer.dispatch('combo', '/combo', { text, options },
+        { timeout: WORKER_TIMEOUT_MS, userId: req.user && req.user.id }, runLocally);
+    } catch (error) {
+      if (error instanceof WorkerUnavailableError) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.status,
+          message: 'No available worker nodes for combo service',
+          error: {
+            type: error.type,
+            details: error.message
+          },
+          requestId: req.id
+        });
+      }
 
-    // Step 2: entities + relations → SVG
-    const renderResult = render(parseResult.entities, parseResult.relations, {
-      width: options.width,
-      height: options.height,
-      theme: options.theme,
-      layoutMode: options.layoutMode,
-      displayLanguage: options.displayLanguage
-    });
+      if (!error.attempts) throw error;
 
-    // 计算执行时间
-    const endTime = new Date();
-    const endTimeISO = endTime.toISOString();
-    const durationMs = endTime - startTime;
+      // Worker 失败，记录失败调用（不计费）
+      if (req.user) {
+        logFailedUsage(req.user.id, 'combo', { error: error.message, attempts: error.attempts },
+          startTimeISO, new Date().toISOString(), Date.now() - startTime.getTime(), req.id, req.user.orgId);
+      }
+
+      return res.status(500).json({
+        success: false,
+        code: 500,
+        message: 'Worker request failed',
+        error: {
+          type: 'WORKER_ERROR',
+          details: error.message,
+          attempts: error.attempts.length
+        },
+        requestId: req.id
+      });
+    }
+
+    if (!dispatched) {
+      return res.status(503).json({
+        success: false,
+        code: 503,
+        message: 'No available worker nodes for combo service',
+        requestId: req.id
+      });
+    }
+
+    // 只按成功的那次尝试计时计费
+    const { data: result, worker, attempt, attempts } = dispatched;
+    const durationMs = attempt.durationMs;
     const durationSeconds = durationMs / 1000;
+    const workerMetadata = worker ? { workerId: worker.id, workerName: worker.name, attempts } : {};
 
     // 从数据库读取计费配置
     const apiConfig = getApiConfig('combo');
@@ -71,15 +144,17 @@ router.post('/', async (req, res) => {
     }
     
     if (req.user) {
-      updateUserStats(req.user.id, cost);
-      logUsage(req.user.id, 'combo', cost, {
+      const charge = chargeUsage(req.user, 'combo', cost, {
         charCount: text.length,
-        entityCount: parseResult.entities.length,
-        relationCount: parseResult.relations.length,
+        entityCount: result.entities.length,
+        relationCount: result.relations.length,
         durationMs,
         durationSeconds: durationSeconds.toFixed(3),
-        billingMode: apiConfig?.billing_mode || 'per_call'
-      }, startTimeISO, endTimeISO, durationMs);
+        billingMode: apiConfig?.billing_mode || 'per_call',
+        ...workerMetadata
+      }, attempt.startTime, attempt.endTime, durationMs, req.id);
+      cost = charge.cost;
+      setQuotaHeaders(res, charge.quota);
     }
 
     res.json({
@@ -87,19 +162,20 @@ router.post('/', async (req, res) => {
       code: 200,
       message: 'Combo service processed successfully',
       data: {
-        svg: renderResult.svg,
-        entities: parseResult.entities,
-        relations: parseResult.relations,
+        svg: result.svg,
+        entities: result.entities,
+        relations: result.relations,
         metadata: {
           charCount: text.length,
-          entityCount: parseResult.entities.length,
-          relationCount: parseResult.relations.length,
-          parseTime: parseResult.metadata.processingTime,
-          renderTime: renderResult.metadata.processingTime,
-          totalTime: parseResult.metadata.processingTime + renderResult.metadata.processingTime,
-          theme: renderResult.metadata.theme,
-          layoutMode: renderResult.metadata.layoutMode,
-          cost
+          entityCount: result.entities.length,
+          relationCount: result.relations.length,
+          parseTime: result.metadata.parseTime,
+          renderTime: result.metadata.renderTime,
+          totalTime: result.metadata.parseTime + result.metadata.renderTime,
+          theme: result.metadata.theme,
+          layoutMode: result.metadata.layoutMode,
+          cost,
+          ...(worker && { workerName: worker.name, attempts: attempts.length })
         }
       },
       requestId: req.id
@@ -107,6 +183,13 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     console.error('Combo error:', error);
+
+    // 记录失败调用（不计费）
+    if (req.user) {
+      logFailedUsage(req.user.id, 'combo', { error: error.message },
+        startTimeISO, new Date().toISOString(), Date.now() - startTime.getTime(), req.id, req.user.orgId);
+    }
+
     res.status(500).json({
       success: false,
       code: 500,
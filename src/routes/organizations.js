@@ -0,0 +1,723 @@
+/**
+ * 组织路由 — /api/v1/orgs
+ * 组织、成员、组织密钥、共享余额、用量统计和发票
+ */
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../db/sqlite');
+const { API_KEY_SCOPES, issueApiKey } = require('../middleware/auth');
+const { queryUsage, parseUsageFilters, getTimeseries } = require('../services/usageService');
+const {
+  generateOrganizationInvoice,
+  formatInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../services/invoiceService');
+const {
+  ORG_ROLES,
+  OrganizationError,
+  hasPermission,
+  getMembership,
+  addMember,
+  changeMemberRole,
+  removeMember
+} = require('../services/organizationService');
+
+const router = express.Router();
+
+const sendValidationError = (req, res, details) => {
+  return res.status(400).json({
+    success: false,
+    code: 400,
+    message: 'Validation error',
+    error: {
+      type: 'VALIDATION_ERROR',
+      details
+    },
+    requestId: req.id
+  });
+};
+
+const sendOrganizationError = (req, res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    code: error.status,
+    message: error.message,
+    error: {
+      type: error.type,
+      details: error.message
+    },
+    requestId: req.id
+  });
+};
+
+const sendServerError = (req, res, message, type, details) => {
+  return res.status(500).json({
+    success: false,
+    code: 500,
+    message,
+    error: {
+      type,
+      details
+    },
+    requestId: req.id
+  });
+};
+
+/**
+ * 组织管理需要会话令牌或不受限的个人密钥
+ */
+router.use((req, res, next) => {
+  if (!req.user.apiKeyScopes && !req.user.orgId) return next();
+
+  return res.status(403).json({
+    success: false,
+    code: 403,
+    message: 'Insufficient scope',
+    error: {
+      type: 'INSUFFICIENT_SCOPE',
+      details: 'Restricted and organization API keys cannot manage organizations'
+    },
+    requestId: req.id
+  });
+});
+
+/**
+ * 加载组织并校验调用者的组织角色；非成员一律返回 404，不暴露组织是否存在
+ */
+const requireOrgPermission = (permission) => (req, res, next) => {
+  const organization = db.getOrganization(req.params.orgId);
+  const membership = organization && getMembership(organization.id, req.user.id);
+
+  if (!membership) {
+    return res.status(404).json({
+      success: false,
+      code: 404,
+      message: 'Organization not found',
+      error: {
+        type: 'ORG_NOT_FOUND',
+        details: `Organization ${req.params.orgId} does not exist`
+      },
+      requestId: req.id
+    });
+  }
+
+  if (permission && !hasPermission(membership.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      code: 403,
+      message: 'Permission denied',
+      error: {
+        type: 'ORG_FORBIDDEN',
+        details: `Your organization role (${membership.role}) does not allow this action`,
+        role: membership.role
+      },
+      requestId: req.id
+    });
+  }
+
+  req.organization = organization;
+  req.orgMembership = membership;
+  next();
+};
+
+const formatOrganization = (organization, role) => ({
+  id: organization.id,
+  name: organization.name,
+  plan: organization.plan || 'free',
+  role,
+  createdAt: organization.created_at
+});
+
+const formatMember = (member) => ({
+  userId: member.user_id,
+  email: member.email,
+  name: member.name,
+  role: member.role,
+  joinedAt: member.created_at
+});
+
+const formatOrgApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  keyPreview: `${record.key_prefix}...`,
+  scopes: record.scopes || API_KEY_SCOPES,
+  restricted: !!record.scopes,
+  createdBy: record.user_id,
+  expiresAt: record.expires_at,
+  lastUsedAt: record.last_used_at,
+  createdAt: record.created_at
+});
+
+const roleValidator = body('role').isIn(ORG_ROLES).withMessage(`role must be one of: ${ORG_ROLES.join(', ')}`);
+
+// ============ 组织 ============
+
+/**
+ * 创建组织，创建者成为 owner
+ */
+router.post('/', [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const organization = db.createOrganization(req.body.name, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      code: 201,
+      message: 'Organization created successfully',
+      data: formatOrganization(organization, 'owner'),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('创建组织错误:', error);
+    sendServerError(req, res, 'Failed to create organization', 'ORG_ERROR', 'An error occurred while creating the organization');
+  }
+});
+
+/**
+ * 当前用户所属的组织
+ */
+router.get('/', (req, res) => {
+  try {
+    const organizations = db.listUserOrganizations(req.user.id)
+      .map(organization => formatOrganization(organization, organization.member_role));
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Organizations retrieved successfully',
+      data: {
+        organizations,
+        count: organizations.length
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织列表错误:', error);
+    sendServerError(req, res, 'Failed to retrieve organizations', 'ORG_ERROR', 'An error occurred while retrieving organizations');
+  }
+});
+
+router.get('/:orgId', requireOrgPermission(), (req, res) => {
+  try {
+    const data = formatOrganization(req.organization, req.orgMembership.role);
+    if (hasPermission(req.orgMembership.role, 'manage_billing')) {
+      data.balance = db.getOrganizationBalance(req.organization.id);
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Organization retrieved successfully',
+      data,
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织错误:', error);
+    sendServerError(req, res, 'Failed to retrieve organization', 'ORG_ERROR', 'An error occurred while retrieving the organization');
+  }
+});
+
+/**
+ * 修改组织名称；套餐由管理员分配
+ */
+router.patch('/:orgId', requireOrgPermission('manage_org'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const organization = db.updateOrganization(req.organization.id, { name: req.body.name });
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Organization updated successfully',
+      data: formatOrganization(organization, req.orgMembership.role),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('更新组织错误:', error);
+    sendServerError(req, res, 'Failed to update organization', 'ORG_ERROR', 'An error occurred while updating the organization');
+  }
+});
+
+// ============ 成员 ============
+
+router.get('/:orgId/members', requireOrgPermission(), (req, res) => {
+  try {
+    const members = db.listOrganizationMembers(req.organization.id).map(formatMember);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Members retrieved successfully',
+      data: {
+        members,
+        count: members.length,
+        availableRoles: ORG_ROLES
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织成员错误:', error);
+    sendServerError(req, res, 'Failed to retrieve members', 'ORG_ERROR', 'An error occurred while retrieving members');
+  }
+});
+
+/**
+ * 按邮箱添加已注册用户
+ * body: { email, role }
+ */
+router.post('/:orgId/members', requireOrgPermission('manage_members'), [
+  body('email').isEmail().normalizeEmail(),
+  roleValidator
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    let user;
+    try {
+      user = addMember(req.organization.id, req.body.email, req.body.role, req.orgMembership.role);
+    } catch (error) {
+      if (error instanceof OrganizationError) {
+        return sendOrganizationError(req, res, error);
+      }
+      throw error;
+    }
+
+    const member = db.listOrganizationMembers(req.organization.id).find(m => m.user_id === user.id);
+
+    res.status(201).json({
+      success: true,
+      code: 201,
+      message: 'Member added successfully',
+      data: formatMember(member),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('添加组织成员错误:', error);
+    sendServerError(req, res, 'Failed to add member', 'ORG_ERROR', 'An error occurred while adding the member');
+  }
+});
+
+router.patch('/:orgId/members/:userId', requireOrgPermission('manage_members'), [
+  roleValidator
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    try {
+      changeMemberRole(req.organization.id, req.params.userId, req.body.role, req.orgMembership.role);
+    } catch (error) {
+      if (error instanceof OrganizationError) {
+        return sendOrganizationError(req, res, error);
+      }
+      throw error;
+    }
+
+    const member = db.listOrganizationMembers(req.organization.id).find(m => m.user_id === req.params.userId);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Member role updated successfully',
+      data: formatMember(member),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('修改组织成员角色错误:', error);
+    sendServerError(req, res, 'Failed to update member', 'ORG_ERROR', 'An error occurred while updating the member');
+  }
+});
+
+/**
+ * 移除成员；成员可以移除自己（退出组织）
+ */
+router.delete('/:orgId/members/:userId', requireOrgPermission(), (req, res) => {
+  try {
+    try {
+      removeMember(req.organization.id, req.params.userId, {
+        userId: req.user.id,
+        role: req.orgMembership.role
+      });
+    } catch (error) {
+      if (error instanceof OrganizationError) {
+        return sendOrganizationError(req, res, error);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Member removed successfully',
+      data: {
+        userId: req.params.userId
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('移除组织成员错误:', error);
+    sendServerError(req, res, 'Failed to remove member', 'ORG_ERROR', 'An error occurred while removing the member');
+  }
+});
+
+// ============ 组织密钥 ============
+
+router.get('/:orgId/keys', requireOrgPermission('manage_keys'), (req, res) => {
+  try {
+    const keys = db.listOrganizationApiKeys(req.organization.id).map(formatOrgApiKey);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'API keys retrieved successfully',
+      data: {
+        keys,
+        count: keys.length,
+        availableScopes: API_KEY_SCOPES
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织密钥错误:', error);
+    sendServerError(req, res, 'Failed to retrieve API keys', 'API_KEY_ERROR', 'An error occurred while retrieving API keys');
+  }
+});
+
+/**
+ * 创建组织密钥，调用按组织计费；密钥明文只在创建时返回一次
+ * body: { name, scopes?, expiresAt? }
+ */
+router.post('/:orgId/keys', requireOrgPermission('manage_keys'), [
+  body('name').trim().isLength({ min: 1, max: 64 }).withMessage('Name must be 1-64 characters'),
+  body('scopes')
+    .optional({ nullable: true })
+    .isArray({ min: 1 }).withMessage('scopes must be a non-empty array')
+    .custom(scopes => scopes.every(scope => API_KEY_SCOPES.includes(scope)))
+    .withMessage(`scopes may only contain: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const { name, scopes = null, expiresAt = null } = req.body;
+
+    if (db.findOrganizationApiKeyByName(req.organization.id, name)) {
+      return res.status(409).json({
+        success: false,
+        code: 409,
+        message: 'API key name already exists',
+        error: {
+          type: 'API_KEY_NAME_EXISTS',
+          details: `This organization already has an API key named "${name}"`
+        },
+        requestId: req.id
+      });
+    }
+
+    const { apiKey, record } = issueApiKey(req.user.id, {
+      name,
+      scopes: scopes ? [...new Set(scopes)] : null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      orgId: req.organization.id
+    });
+
+    res.status(201).json({
+      success: true,
+      code: 201,
+      message: 'API key created successfully',
+      data: {
+        ...formatOrgApiKey(record),
+        apiKey
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('创建组织密钥错误:', error);
+    sendServerError(req, res, 'Failed to create API key', 'API_KEY_ERROR', 'An error occurred while creating the API key');
+  }
+});
+
+/**
+ * 撤销组织密钥；developer 只能撤销自己创建的密钥
+ */
+router.delete('/:orgId/keys/:keyId', requireOrgPermission('manage_keys'), (req, res) => {
+  try {
+    const record = db.getOrganizationApiKey(req.organization.id, req.params.keyId);
+    const canRevoke = record &&
+      (record.user_id === req.user.id || hasPermission(req.orgMembership.role, 'manage_members'));
+
+    if (!canRevoke) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'API key not found',
+        error: {
+          type: 'API_KEY_NOT_FOUND',
+          details: `API key ${req.params.keyId} does not exist`
+        },
+        requestId: req.id
+      });
+    }
+
+    db.revokeOrganizationApiKey(req.organization.id, record.id);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'API key revoked successfully',
+      data: {
+        id: record.id,
+        name: record.name
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('撤销组织密钥错误:', error);
+    sendServerError(req, res, 'Failed to revoke API key', 'API_KEY_ERROR', 'An error occurred while revoking the API key');
+  }
+});
+
+// ============ 用量与计费 ============
+
+/**
+ * 组织余额、套餐和本月用量
+ */
+router.get('/:orgId/billing', requireOrgPermission('manage_billing'), (req, res) => {
+  try {
+    const orgId = req.organization.id;
+
+    const monthlyUsage = {};
+    for (const row of db.getMonthlyUsageByService(null, orgId)) {
+      monthlyUsage[row.service] = { calls: row.calls, cost: row.cost };
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Billing information retrieved successfully',
+      data: {
+        orgId,
+        currentPlan: req.organization.plan || 'free',
+        balance: db.getOrganizationBalance(orgId),
+        monthlyUsage
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织计费信息错误:', error);
+    sendServerError(req, res, 'Failed to retrieve billing information', 'BILLING_ERROR', 'An error occurred while retrieving billing information');
+  }
+});
+
+/**
+ * 组织用量记录，汇总中附带按成员的统计
+ * 支持 startDate、endDate、service、status 过滤和 cursor 游标分页
+ */
+router.get('/:orgId/usage', requireOrgPermission('view_usage'), (req, res) => {
+  try {
+    let result;
+    let byMember;
+    try {
+      result = queryUsage(null, req.query, 50, req.organization.id);
+      byMember = db.summarizeOrganizationUsageByMember(req.organization.id, parseUsageFilters(req.query))
+        .map(row => ({ userId: row.user_id, email: row.email, name: row.name, calls: row.calls, cost: row.cost }));
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return sendValidationError(req, res, error.message);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Usage history retrieved successfully',
+      data: {
+        count: result.records.length,
+        usage: result.records,
+        pagination: result.pagination,
+        summary: {
+          ...result.summary,
+          byMember
+        }
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织用量错误:', error);
+    sendServerError(req, res, 'Failed to retrieve usage history', 'USAGE_ERROR', 'An error occurred while retrieving usage history');
+  }
+});
+
+router.get('/:orgId/timeseries', requireOrgPermission('view_usage'), (req, res) => {
+  try {
+    let result;
+    try {
+      result = getTimeseries(null, req.query, req.organization.id);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return sendValidationError(req, res, error.message);
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Usage timeseries retrieved successfully',
+      data: result,
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织用量时间序列错误:', error);
+    sendServerError(req, res, 'Failed to retrieve usage timeseries', 'USAGE_ERROR', 'An error occurred while retrieving usage timeseries');
+  }
+});
+
+// ============ 发票 ============
+
+router.get('/:orgId/invoices', requireOrgPermission('manage_billing'), (req, res) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { invoices, total } = db.listInvoices(null, {
+      orgId: req.organization.id, status, startDate, endDate, limit, offset
+    });
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Invoices retrieved successfully',
+      data: {
+        invoices: invoices.map(invoice => formatInvoice(invoice)),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + limit
+        }
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取组织发票列表错误:', error);
+    sendServerError(req, res, 'Failed to retrieve invoices', 'INVOICE_ERROR', 'An error occurred while retrieving invoices');
+  }
+});
+
+/**
+ * 生成组织指定月份的发票（仅限已结束的月份）
+ */
+router.post('/:orgId/invoices/generate', requireOrgPermission('manage_billing'), [
+  body('year').isInt({ min: 2000, max: 9999 }).withMessage('Invalid year'),
+  body('month').isInt({ min: 1, max: 12 }).withMessage('Invalid month')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(req, res, errors.array());
+    }
+
+    const year = parseInt(req.body.year);
+    const month = parseInt(req.body.month);
+    const now = new Date();
+    if (Date.UTC(year, month, 1) > Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Billing period has not ended yet',
+        error: {
+          type: 'PERIOD_NOT_CLOSED',
+          details: 'Invoices can only be generated for completed months'
+        },
+        requestId: req.id
+      });
+    }
+
+    const invoice = generateOrganizationInvoice(req.organization.id, year, month);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'No usage in this billing period',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Invoice generated successfully',
+      data: formatInvoice(invoice),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('生成组织发票错误:', error);
+    sendServerError(req, res, 'Failed to generate invoice', 'INVOICE_ERROR', 'An error occurred while generating the invoice');
+  }
+});
+
+/**
+ * 下载组织发票（format=pdf|html，默认 pdf）
+ */
+router.get('/:orgId/invoices/:id/download', requireOrgPermission('manage_billing'), (req, res) => {
+  try {
+    const invoice = db.getInvoiceByNumber(req.params.id);
+
+    if (!invoice || invoice.org_id !== req.organization.id) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Invoice not found',
+        requestId: req.id
+      });
+    }
+
+    const format = req.query.format || 'pdf';
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderInvoiceHtml(invoice));
+    }
+
+    if (format !== 'pdf') {
+      return sendValidationError(req, res, 'format must be pdf or html');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error('下载组织发票错误:', error);
+    sendServerError(req, res, 'Failed to download invoice', 'INVOICE_ERROR', 'An error occurred while downloading the invoice');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,19 @@
 /**
  * 语义分析路由 — POST /api/v1/parse
  * 文本 → JSON (entities + relations)
+ * 转发到 parse Worker 节点；没有注册节点时在网关进程内执行（WORKER_LOCAL_FALLBACK）
  */
 const express = require('express');
 const router = express.Router();
 const { extractKnowledgeGraph } = require('../services/parseService');
-const { updateUserStats, logUsage, getApiConfig } = require('../db/sqlite');
+const { logFailedUsage, getApiConfig } = require('../db/sqlite');
+const { chargeUsage, setQuotaHeaders } = require('../services/quotaService');
+const { getLoadBalancer, WorkerUnavailableError } = require('../services/loadBalancer');
+
+const loadBalancer = getLoadBalancer('weighted-round-robin');
+
+// 解析需要调用 Claude API，超时比渲染长
+const WORKER_TIMEOUT_MS = 120000;
 
 router.post('/', async (req, res) => {
   const startTime = new Date();
@@ -33,13 +41,60 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const result = await extractKnowledgeGraph(text, options);
+    let dispatched;
+    try {
+      dispatched = await loadBalancer.dispatch('parse', '/parse', { text, options },
+        { timeout: WORKER_TIMEOUT_MS, userId: req.user && req.user.id },
+        () => extractKnowledgeGraph(text, options));
+    } catch (error) {
+      if (error instanceof WorkerUnavailableError) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.status,
+          message: 'No available worker nodes for parse service',
+          error: {
+            type: error.type,
+            details: error.message
+          },
+          requestId: req.id
+        });
+      }
+
+      if (!error.attempts) throw error;
+
+      // Worker 失败，记录失败调用（不计费）
+      if (req.user) {
+        logFailedUsage(req.user.id, 'parse', { error: error.message, attempts: error.attempts },
+          startTimeISO, new Date().toISOString(), Date.now() - startTime.getTime(), req.id, req.user.orgId);
+      }
+
+      return res.status(500).json({
+        success: false,
+        code: 500,
+        message: 'Worker request failed',
+        error: {
+          type: 'WORKER_ERROR',
+          details: error.message,
+          attempts: error.attempts.length
+        },
+        requestId: req.id
+      });
+    }
+
+    if (!dispatched) {
+      return res.status(503).json({
+        success: false,
+        code: 503,
+        message: 'No available worker nodes for parse service',
+        requestId: req.id
+      });
+    }
 
-    // 计算执行时间
-    const endTime = new Date();
-    const endTimeISO = endTime.toISOString();
-    const durationMs = endTime - startTime;
+    // 只按成功的那次尝试计时计费
+    const { data: result, worker, attempt, attempts } = dispatched;
+    const durationMs = attempt.durationMs;
     const durationSeconds = durationMs / 1000;
+    const workerMetadata = worker ? { workerId: worker.id, workerName: worker.name, attempts } : {};
 
     // 从数据库读取计费配置
     const apiConfig = getApiConfig('parse');
@@ -58,14 +113,16 @@ router.post('/', async (req, res) => {
     }
     
     if (req.user) {
-      updateUserStats(req.user.id, cost);
-      logUsage(req.user.id, 'parse', cost, {
+      const charge = chargeUsage(req.user, 'parse', cost, {
         charCount: text.length,
         entityCount: result.entities.length,
         durationMs,
         durationSeconds: durationSeconds.toFixed(3),
-        billingMode: apiConfig?.billing_mode || 'per_call'
-      }, startTimeISO, endTimeISO, durationMs);
+        billingMode: apiConfig?.billing_mode || 'per_call',
+        ...workerMetadata
+      }, attempt.startTime, attempt.endTime, durationMs, req.id);
+      cost = charge.cost;
+      setQuotaHeaders(res, charge.quota);
     }
 
     res.json({
@@ -77,7 +134,8 @@ router.post('/', async (req, res) => {
         relations: result.relations,
         metadata: {
           ...result.metadata,
-          cost
+          cost,
+          ...(worker && { workerName: worker.name, attempts: attempts.length })
         }
       },
       requestId: req.id
@@ -85,6 +143,13 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     console.error('Parse error:', error);
+
+    // 记录失败调用（不计费）
+    if (req.user) {
+      logFailedUsage(req.user.id, 'parse', { error: error.message },
+        startTimeISO, new Date().toISOString(), Date.now() - startTime.getTime(), req.id, req.user.orgId);
+    }
+
     res.status(500).json({
       success: false,
       code: 500,
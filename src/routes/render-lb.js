@@ -4,9 +4,9 @@
  */
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const { updateUserStats, logUsage, getApiConfig, updateWorkerConnections, updateWorkerStats } = require('../db/sqlite');
-const { getLoadBalancer } = require('../services/loadBalancer');
+const { logFailedUsage, getApiConfig } = require('../db/sqlite');
+const { chargeUsage, setQuotaHeaders } = require('../services/quotaService');
+const { getLoadBalancer, WorkerUnavailableError } = require('../services/loadBalancer');
 
 const loadBalancer = getLoadBalancer('weighted-round-robin');
 
@@ -36,46 +36,34 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // 选择 Worker 节点
-    const worker = loadBalancer.selectWorker('render');
-    
-    if (!worker) {
-      return res.status(503).json({
-        success: false,
-        code: 503,
-        message: 'No available worker nodes for render service',
-        requestId: req.id
-      });
-    }
-
-    console.log(`[负载均衡] 选择节点: ${worker.name} (${worker.host}:${worker.port})`);
-
-    // 增加连接数
-    updateWorkerConnections(worker.id, 1);
-
-    let workerResponse;
-    let workerSuccess = true;
-
+    // 转发到 Worker，连接失败或超时时换节点重试
+    let result;
     try {
-      // 转发请求到 Worker
-      workerResponse = await axios.post(
-        `http://${worker.host}:${worker.port}/render`,
-        { entities, relations, options },
-        { timeout: 30000 }
-      );
-
-      // 记录成功
-      loadBalancer.recordSuccess(worker.id);
-
+      result = await loadBalancer.forward('render', '/render', { entities, relations, options }, {
+        timeout: 30000,
+        userId: req.user && req.user.id
+      });
     } catch (error) {
-      console.error(`[负载均衡] Worker ${worker.name} 请求失败:`, error.message);
-      workerSuccess = false;
-      
-      // 记录失败
-      loadBalancer.recordFailure(worker.id);
-      
-      // 减少连接数
-      updateWorkerConnections(worker.id, -1);
+      if (error instanceof WorkerUnavailableError) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.status,
+          message: 'No available worker nodes for render service',
+          error: {
+            type: error.type,
+            details: error.message
+          },
+          requestId: req.id
+        });
+      }
+
+      // 记录失败调用（不计费）
+      if (req.user) {
+        logFailedUsage(req.user.id, 'render', {
+          error: error.message,
+          attempts: error.attempts
+        }, startTimeISO, new Date().toISOString(), Date.now() - startTime.getTime(), req.id, req.user.orgId);
+      }
 
       return res.status(500).json({
         success: false,
@@ -83,21 +71,26 @@ router.post('/', async (req, res) => {
         message: 'Worker request failed',
         error: {
           type: 'WORKER_ERROR',
-          details: error.message
+          details: error.message,
+          attempts: (error.attempts || []).length
         },
         requestId: req.id
       });
     }
 
-    // 计算执行时间
-    const endTime = new Date();
-    const endTimeISO = endTime.toISOString();
-    const durationMs = endTime - startTime;
-    const durationSeconds = durationMs / 1000;
+    if (!result) {
+      return res.status(503).json({
+        success: false,
+        code: 503,
+        message: 'No available worker nodes for render service',
+        requestId: req.id
+      });
+    }
 
-    // 更新 Worker 统计
-    updateWorkerStats(worker.id, durationMs, workerSuccess);
-    updateWorkerConnections(worker.id, -1);
+    // 只按成功的那次尝试计时计费
+    const { response: workerResponse, worker, attempt, attempts } = result;
+    const durationMs = attempt.durationMs;
+    const durationSeconds = durationMs / 1000;
 
     // 从数据库读取计费配置
     const apiConfig = getApiConfig('render');
@@ -115,16 +108,18 @@ router.post('/', async (req, res) => {
     
     // 记录用量和计费
     if (req.user) {
-      updateUserStats(req.user.id, cost);
-      logUsage(req.user.id, 'render', cost, {
+      const charge = chargeUsage(req.user, 'render', cost, {
         nodeCount: entities.length,
         relationCount: relations.length,
         durationMs,
         durationSeconds: durationSeconds.toFixed(3),
         billingMode: apiConfig?.billing_mode || 'per_call',
         workerId: worker.id,
-        workerName: worker.name
-      }, startTimeISO, endTimeISO, durationMs);
+        workerName: worker.name,
+        attempts
+      }, attempt.startTime, attempt.endTime, durationMs, req.id);
+      cost = charge.cost;
+      setQuotaHeaders(res, charge.quota);
     }
 
     // 返回结果
@@ -137,7 +132,8 @@ router.post('/', async (req, res) => {
         metadata: {
           ...workerResponse.data.data.metadata,
           cost,
-          workerName: worker.name
+          workerName: worker.name,
+          attempts: attempts.length
         }
       },
       requestId: req.id
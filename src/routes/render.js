@@ -5,7 +5,8 @@
 const express = require('express');
 const router = express.Router();
 const { render } = require('../services/renderService');
-const { updateUserStats, logUsage, getApiConfig } = require('../db/sqlite');
+const { logFailedUsage, getApiConfig } = require('../db/sqlite');
+const { chargeUsage, setQuotaHeaders } = require('../services/quotaService');
 
 router.post('/', (req, res) => {
   const startTime = new Date();
@@ -57,14 +58,15 @@ router.post('/', (req, res) => {
     }
     
     if (req.user) {
-      updateUserStats(req.user.id, cost);
-      logUsage(req.user.id, 'render', cost, {
+      const charge = chargeUsage(req.user, 'render', cost, {
         nodeCount: entities.length,
         relationCount: relations.length,
         durationMs,
         durationSeconds: durationSeconds.toFixed(3),
         billingMode: apiConfig?.billing_mode || 'per_call'
-      }, startTimeISO, endTimeISO, durationMs);
+      }, startTimeISO, endTimeISO, durationMs, req.id);
+      cost = charge.cost;
+      setQuotaHeaders(res, charge.quota);
     }
 
     res.json({
@@ -83,6 +85,13 @@ router.post('/', (req, res) => {
 
   } catch (error) {
     console.error('Render error:', error);
+
+    // 记录失败调用（不计费）
+    if (req.user) {
+      logFailedUsage(req.user.id, 'render', { error: error.message },
+        startTimeISO, new Date().toISOString(), Date.now() - startTime.getTime(), req.id, req.user.orgId);
+    }
+
     res.status(500).json({
       success: false,
       code: 500,
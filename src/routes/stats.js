@@ -4,6 +4,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/sqlite');
+const { queryUsage, parseUsageFilters, getTimeseries, exportUsage } = require('../services/usageService');
+const { getAllQuotaStatus } = require('../services/quotaService');
+const { getConcurrencyStatus } = require('../services/concurrencyService');
 
 /**
  * 获取用户统计信息
@@ -47,36 +50,38 @@ router.get('/', (req, res) => {
 
 /**
  * 获取用户用量历史
+ * 支持 startDate、endDate、service、status 过滤和 cursor 游标分页（兼容 offset）
  */
 router.get('/usage', (req, res) => {
   try {
-    const userId = req.user.id;
-    const limit = parseInt(req.query.limit) || 50;
-    
-    if (limit > 500) {
-      return res.status(400).json({
-        success: false,
-        code: 400,
-        message: 'Limit cannot exceed 500',
-        requestId: req.id
-      });
+    let result;
+    try {
+      result = queryUsage(req.user.id, req.query);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          code: 400,
+          message: error.message,
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: error.message
+          },
+          requestId: req.id
+        });
+      }
+      throw error;
     }
 
-    const usage = db.getUserUsage(userId, limit);
-    
-    // 解析 metadata JSON
-    const parsedUsage = usage.map(record => ({
-      ...record,
-      metadata: JSON.parse(record.metadata || '{}')
-    }));
-
     res.json({
       success: true,
       code: 200,
       message: 'Usage history retrieved successfully',
       data: {
-        count: parsedUsage.length,
-        usage: parsedUsage
+        count: result.records.length,
+        usage: result.records,
+        pagination: result.pagination,
+        summary: result.summary
       },
       requestId: req.id
     });
@@ -96,4 +101,178 @@ router.get('/usage', (req, res) => {
   }
 });
 
+/**
+ * 获取用量时间序列 — GET /api/v1/stats/timeseries
+ * interval: hour / day / week / month，支持 startDate、endDate、service、status 过滤
+ */
+router.get('/timeseries', (req, res) => {
+  try {
+    let result;
+    try {
+      result = getTimeseries(req.user.id, req.query);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          code: 400,
+          message: error.message,
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: error.message
+          },
+          requestId: req.id
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Usage timeseries retrieved successfully',
+      data: result,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    console.error('获取用量时间序列错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve usage timeseries',
+      error: {
+        type: 'STATS_ERROR',
+        details: 'An error occurred while retrieving usage timeseries'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 本月免费额度 — GET /api/v1/stats/quota
+ * 组织密钥返回组织的额度
+ */
+router.get('/quota', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Quota status retrieved successfully',
+      data: {
+        plan: req.user.plan,
+        organizationId: req.user.orgId,
+        services: getAllQuotaStatus(req.user)
+      },
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取额度错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve quota status',
+      error: {
+        type: 'STATS_ERROR',
+        details: 'An error occurred while retrieving quota status'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 当前并发占用 — GET /api/v1/stats/concurrency
+ * 账户（或组织）的进行中请求数；API 密钥设置了并发上限时一并返回
+ */
+router.get('/concurrency', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Concurrency status retrieved successfully',
+      data: await getConcurrencyStatus(req.user),
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('获取并发状态错误:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to retrieve concurrency status',
+      error: {
+        type: 'STATS_ERROR',
+        details: 'An error occurred while retrieving concurrency status'
+      },
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * 等待响应缓冲区排空；客户端断开时同样返回
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * 导出用量记录 — GET /api/v1/stats/usage/export?format=csv|jsonl
+ * 支持与 /usage 相同的 startDate、endDate、service、status 过滤，分批流式输出
+ */
+router.get('/usage/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!['csv', 'jsonl'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      code: 400,
+      message: 'format must be csv or jsonl',
+      requestId: req.id
+    });
+  }
+
+  let filters;
+  try {
+    filters = parseUsageFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      code: 400,
+      message: error.message,
+      error: {
+        type: 'VALIDATION_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+
+  const date = new Date().toISOString().substring(0, 10);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="usage-${date}.${format}"`);
+
+  try {
+    for (const chunk of exportUsage(req.user.id, filters, format)) {
+      // 遵循背压，等待缓冲区排空后再读取下一批
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+      if (res.destroyed) return;
+    }
+    res.end();
+  } catch (error) {
+    console.error('导出用量错误:', error);
+    res.destroy(error);
+  }
+});
+
 module.exports = router;
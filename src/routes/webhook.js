@@ -0,0 +1,105 @@
+/**
+ * 支付回调路由 — POST /api/v1/billing/webhook/:provider
+ * 由支付渠道调用，不走用户认证，依靠渠道签名校验
+ */
+const express = require('express');
+const router = express.Router();
+const { getOrder, settleOrder } = require('../db/sqlite');
+const { getProvider } = require('../services/paymentService');
+
+router.post('/:provider', (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Unknown payment provider',
+        requestId: req.id
+      });
+    }
+
+    const notification = provider.verifyWebhook(req.rawBody, req.headers);
+
+    if (!notification) {
+      return res.status(401).json({
+        success: false,
+        code: 401,
+        message: 'Invalid webhook signature',
+        error: {
+          type: 'INVALID_SIGNATURE',
+          details: 'The webhook signature could not be verified'
+        },
+        requestId: req.id
+      });
+    }
+
+    const order = getOrder(notification.orderId);
+
+    if (!order || order.provider !== provider.name) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: 'Order not found',
+        requestId: req.id
+      });
+    }
+
+    if (Math.abs(notification.amount - order.amount) > 0.001) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: 'Amount mismatch',
+        error: {
+          type: 'AMOUNT_MISMATCH',
+          details: `Notified amount ${notification.amount} does not match order amount ${order.amount}`
+        },
+        requestId: req.id
+      });
+    }
+
+    // 非支付成功的通知只做确认，不改变订单状态
+    if (notification.status !== 'paid') {
+      return res.json({
+        success: true,
+        code: 200,
+        message: 'Webhook acknowledged',
+        data: { orderId: order.id, status: order.status },
+        requestId: req.id
+      });
+    }
+
+    // 超过支付时限才确认的付款同样入账，记录下来便于对账
+    if (order.status === 'expired' || (order.status === 'pending' && order.expires_at < new Date().toISOString())) {
+      console.warn(`[Payment] 订单 ${order.id} 超过支付时限后确认付款，照常入账`);
+    }
+
+    const settled = settleOrder(order.id, notification.tradeNo);
+
+    console.log(`[Payment] 订单 ${settled.id} 状态: ${settled.status}`);
+
+    res.json({
+      success: true,
+      code: 200,
+      message: 'Webhook processed',
+      data: { orderId: settled.id, status: settled.status },
+      requestId: req.id
+    });
+
+  } catch (error) {
+    console.error('[Payment] 回调处理失败:', error);
+    res.status(500).json({
+      success: false,
+      code: 500,
+      message: 'Failed to process webhook',
+      error: {
+        type: 'WEBHOOK_ERROR',
+        details: error.message
+      },
+      requestId: req.id
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 /**
  * 工作节点管理路由
- * 处理节点注册、心跳、状态查询等
+ * 处理节点注册、心跳、状态查询等；查询和管理接口需要 operator 角色
+ * 注册需要注册令牌，心跳和下线请求使用节点密钥签名（见 services/workerAuth.js）
+ * 已注册的节点重启后用节点密钥签名重新注册，不需要新的注册令牌
  */
 
 const express = require('express');
@@ -8,19 +10,99 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const {
   registerWorker,
+  reregisterWorker,
   updateWorkerHeartbeat,
   getAllWorkers,
   getWorkerById,
   markWorkerOffline,
   removeWorker,
-  getWorkerStats
+  getWorkerStats,
+  saveWorkerSecret,
+  getWorkerSecret,
+  consumeEnrollmentToken
 } = require('../db/sqlite');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { generateWorkerSecret, hashToken, verifySignature, safeEqual } = require('../services/workerAuth');
+const { getStore } = require('../services/counterStore');
+
+// 节点查询和管理仅限运维人员
+const operatorOnly = requireRole('operator');
+const requireOperator = [authenticateToken, operatorOnly];
+
+/**
+ * 节点签名的 nonce 记在共享计数器存储中，首次出现时计数为 1
+ * RATE_LIMIT_STORE 为 sqlite 或 redis 时，多个网关实例之间、网关重启后都不能重放
+ */
+const rememberWorkerNonce = workerId => async (nonce, expiresAt) => {
+  return await getStore().increment(`worker-nonce:${workerId}:${nonce}`, 1, expiresAt) === 1;
+};
+
+/**
+ * 请求是否由 X-Worker-Id 对应的节点签名；计数器存储不可用时视为未签名
+ */
+const isSignedByWorker = async (req) => {
+  const workerId = req.get('X-Worker-Id');
+  if (!workerId) return false;
+
+  try {
+    return await verifySignature(getWorkerSecret(workerId), {
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody ? req.rawBody.toString('utf8') : '',
+      timestamp: req.get('X-Timestamp'),
+      nonce: req.get('X-Nonce'),
+      signature: req.get('X-Signature')
+    }, rememberWorkerNonce(workerId));
+  } catch (error) {
+    console.error('记录节点签名 nonce 错误:', error);
+    return false;
+  }
+};
+
+/**
+ * 校验节点签名，通过后设置 req.workerId
+ */
+const verifyWorkerSignature = async (req, res, next) => {
+  const workerId = req.get('X-Worker-Id');
+
+  if (!(await isSignedByWorker(req))) {
+    return res.status(401).json({
+      success: false,
+      code: 401,
+      message: 'Invalid worker signature',
+      error: {
+        type: 'INVALID_SIGNATURE',
+        details: 'Worker requests must be signed with the secret issued at registration'
+      },
+      requestId: req.id
+    });
+  }
+
+  req.workerId = workerId;
+  next();
+};
+
+/**
+ * 校验注册令牌：数据库中的注册令牌，或环境变量 WORKER_ENROLLMENT_SECRET 共享密钥
+ * 返回 { tokenId } 或 null
+ */
+const checkEnrollment = (token, serviceType) => {
+  if (!token) return null;
+
+  const sharedSecret = process.env.WORKER_ENROLLMENT_SECRET;
+  if (sharedSecret && safeEqual(token, sharedSecret)) {
+    return { tokenId: null };
+  }
+
+  const record = consumeEnrollmentToken(hashToken(token), serviceType);
+  return record ? { tokenId: record.id } : null;
+};
 
 /**
  * POST /api/v1/worker/register
  * 工作节点注册
  */
-router.post('/register', (req, res) => {
+router.post('/register', async (req, res) => {
   try {
     const { name, host, port, serviceType, weight } = req.body;
 
@@ -45,8 +127,76 @@ router.post('/register', (req, res) => {
       });
     }
 
-    // 生成节点ID
+    // 已注册过的节点（例如重启后）用节点密钥签名重新注册，保留节点 ID 和密钥
+    const existingWorkerId = req.get('X-Worker-Id');
+    if (existingWorkerId) {
+      const existing = getWorkerById(existingWorkerId);
+      if (!existing || !(await isSignedByWorker(req))) {
+        return res.status(401).json({
+          success: false,
+          code: 401,
+          message: 'Invalid worker signature',
+          error: {
+            type: 'INVALID_SIGNATURE',
+            details: 'Re-registration must be signed with the secret issued to this worker. Workers that were removed must register again with an enrollment token.'
+          },
+          requestId: req.id
+        });
+      }
+
+      if (existing.service_type !== serviceType) {
+        return res.status(409).json({
+          success: false,
+          code: 409,
+          message: 'Service type mismatch',
+          error: {
+            type: 'SERVICE_TYPE_MISMATCH',
+            details: `Worker ${existingWorkerId} is registered for ${existing.service_type}. Register a new worker with an enrollment token to serve ${serviceType}.`
+          },
+          requestId: req.id
+        });
+      }
+
+      const worker = reregisterWorker(existingWorkerId, {
+        name,
+        host,
+        port,
+        serviceType,
+        weight: weight || existing.weight
+      });
+
+      console.log(`[Worker] 节点重新注册: ${name} (${serviceType}) at ${host}:${port}`);
+
+      return res.json({
+        success: true,
+        code: 200,
+        message: 'Worker re-registered successfully',
+        data: {
+          workerId: existingWorkerId,
+          heartbeatInterval: 30000,
+          worker
+        },
+        requestId: req.id
+      });
+    }
+
+    const enrollment = checkEnrollment(req.get('X-Enrollment-Token'), serviceType);
+    if (!enrollment) {
+      return res.status(401).json({
+        success: false,
+        code: 401,
+        message: 'Invalid enrollment token',
+        error: {
+          type: 'INVALID_ENROLLMENT_TOKEN',
+          details: 'Provide a valid, unexpired enrollment token in the X-Enrollment-Token header'
+        },
+        requestId: req.id
+      });
+    }
+
+    // 生成节点ID和密钥
     const workerId = uuidv4();
+    const secret = generateWorkerSecret();
 
     // 注册节点
     const worker = registerWorker({
@@ -57,6 +207,7 @@ router.post('/register', (req, res) => {
       serviceType,
       weight: weight || 1
     });
+    saveWorkerSecret(workerId, secret, enrollment.tokenId);
 
     console.log(`[Worker] 节点注册成功: ${name} (${serviceType}) at ${host}:${port}`);
 
@@ -66,6 +217,7 @@ router.post('/register', (req, res) => {
       message: 'Worker registered successfully',
       data: {
         workerId,
+        secret, // 只在注册时返回一次
         heartbeatInterval: 30000, // 30秒心跳间隔
         worker
       },
@@ -91,18 +243,10 @@ router.post('/register', (req, res) => {
  * POST /api/v1/worker/heartbeat
  * 工作节点心跳
  */
-router.post('/heartbeat', (req, res) => {
+router.post('/heartbeat', verifyWorkerSignature, (req, res) => {
   try {
-    const { workerId, status, currentConnections, cpuUsage, memoryUsage } = req.body;
-
-    if (!workerId) {
-      return res.status(400).json({
-        success: false,
-        code: 400,
-        message: 'Missing required field: workerId',
-        requestId: req.id
-      });
-    }
+    const { status, currentConnections, cpuUsage, memoryUsage } = req.body;
+    const workerId = req.workerId;
 
     // 更新心跳
     updateWorkerHeartbeat(workerId, {
@@ -141,7 +285,7 @@ router.post('/heartbeat', (req, res) => {
  * GET /api/v1/worker/list
  * 获取所有工作节点
  */
-router.get('/list', (req, res) => {
+router.get('/list', requireOperator, (req, res) => {
   try {
     const workers = getAllWorkers();
 
@@ -175,7 +319,7 @@ router.get('/list', (req, res) => {
  * GET /api/v1/worker/:id
  * 获取单个工作节点信息
  */
-router.get('/:id', (req, res) => {
+router.get('/:id', requireOperator, (req, res) => {
   try {
     const { id } = req.params;
     const worker = getWorkerById(id);
@@ -216,7 +360,7 @@ router.get('/:id', (req, res) => {
  * GET /api/v1/worker/:id/stats
  * 获取节点统计信息
  */
-router.get('/:id/stats', (req, res) => {
+router.get('/:id/stats', requireOperator, (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 100 } = req.query;
@@ -262,9 +406,28 @@ router.get('/:id/stats', (req, res) => {
 
 /**
  * POST /api/v1/worker/:id/offline
- * 将节点标记为离线
+ * 将节点标记为离线：节点自身（签名请求）或运维人员
  */
-router.post('/:id/offline', (req, res) => {
+router.post('/:id/offline', (req, res, next) => {
+  if (!req.get('X-Signature')) {
+    return authenticateToken(req, res, () => operatorOnly(req, res, next));
+  }
+  verifyWorkerSignature(req, res, () => {
+    if (req.workerId !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        code: 403,
+        message: 'Permission denied',
+        error: {
+          type: 'FORBIDDEN',
+          details: 'A worker can only take itself offline'
+        },
+        requestId: req.id
+      });
+    }
+    next();
+  });
+}, (req, res) => {
   try {
     const { id } = req.params;
 
@@ -309,7 +472,7 @@ router.post('/:id/offline', (req, res) => {
  * DELETE /api/v1/worker/:id
  * 删除工作节点
  */
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireOperator, (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,214 @@
+/**
+ * 账户安全服务
+ * 邮箱验证、密码修改与重置，以及按账户和 IP 的登录失败锁定
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db/sqlite');
+const { isAccountMailEnabled, sendVerificationEmail, sendPasswordResetEmail } = require('./mailService');
+
+const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+  LOGIN_CHALLENGE: 'login_challenge'
+};
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// 锁定策略：达到阈值后锁定，此后每次失败锁定时间翻倍，直至上限；窗口内无失败则清零
+const LOCKOUT_POLICY = {
+  accountThreshold: parseInt(process.env.LOGIN_LOCKOUT_ACCOUNT_THRESHOLD) || 5,
+  ipThreshold: parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD) || 20,
+  baseLockMs: 30 * 1000,
+  maxLockMs: 60 * 60 * 1000,
+  failureWindowMs: 24 * 60 * 60 * 1000
+};
+
+class AccountError extends Error {
+  constructor(type, message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 邮件通道不能发送账户邮件时拒绝签发令牌（见 mailService.isAccountMailEnabled）
+ */
+function assertAccountMailEnabled() {
+  if (!isAccountMailEnabled()) {
+    throw new AccountError('MAIL_UNAVAILABLE', 'Email delivery is not configured on this server. Please contact support.', 503);
+  }
+}
+
+/**
+ * 签发一次性令牌，同类旧令牌作废；明文只用于发信
+ */
+function issueToken(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const issue = db.getDb().transaction(() => {
+    db.invalidateAuthTokens(userId, purpose);
+    db.createAuthToken(hashToken(token), userId, purpose, new Date(Date.now() + ttlMs).toISOString());
+  });
+  issue();
+  return token;
+}
+
+/**
+ * 校验并消费一次性令牌，返回对应用户
+ */
+function consumeToken(token, purpose) {
+  const tokenHash = hashToken(token || '');
+
+  const consume = db.getDb().transaction(() => {
+    const record = db.findAuthToken(tokenHash, purpose);
+    if (!record || record.used_at || !db.markAuthTokenUsed(tokenHash)) {
+      throw new AccountError('INVALID_TOKEN', 'This link is invalid or has already been used');
+    }
+    if (new Date(record.expires_at) <= new Date()) {
+      throw new AccountError('TOKEN_EXPIRED', 'This link has expired. Please request a new one.');
+    }
+    return db.findUserById(record.user_id);
+  });
+
+  return consume.immediate();
+}
+
+// ============ 邮箱验证 ============
+
+async function sendEmailVerification(user) {
+  if (user.email_verified_at) {
+    throw new AccountError('EMAIL_ALREADY_VERIFIED', 'This email address is already verified');
+  }
+  assertAccountMailEnabled();
+  const token = issueToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MS);
+  await sendVerificationEmail(user, token);
+}
+
+function verifyEmail(token) {
+  const user = consumeToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  if (!user.email_verified_at) {
+    db.updateUser(user.id, { email_verified_at: new Date().toISOString() });
+  }
+  return db.findUserById(user.id);
+}
+
+// ============ 密码 ============
+
+/**
+ * 申请重置密码；邮箱未注册时静默返回，不暴露账户是否存在
+ */
+async function requestPasswordReset(email) {
+  // 先于查找用户检查，避免按响应差异判断邮箱是否注册
+  assertAccountMailEnabled();
+  const user = db.findUserByEmail(email);
+  if (!user || user.status !== 'active') return;
+
+  const token = issueToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MS);
+  await sendPasswordResetEmail(user, token);
+}
+
+/**
+ * 重置密码：所有会话失效，账户锁定解除
+ */
+async function resetPassword(token, newPassword) {
+  const hashedPassword = await bcrypt.hash(newPassword, 12);
+  const user = consumeToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+  db.updateUser(user.id, { password: hashedPassword });
+  db.revokeUserSessions(user.id, 'password_reset');
+  db.clearLoginFailures(accountKey(user.email));
+  return user;
+}
+
+/**
+ * 修改密码：校验当前密码，撤销除当前会话外的所有会话
+ */
+async function changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
+  const user = db.findUserById(userId);
+  if (!(await bcrypt.compare(currentPassword || '', user.password))) {
+    throw new AccountError('INVALID_CREDENTIALS', 'Current password is incorrect', 401);
+  }
+
+  db.updateUser(userId, { password: await bcrypt.hash(newPassword, 12) });
+  db.invalidateAuthTokens(userId, TOKEN_PURPOSES.PASSWORD_RESET);
+  return db.revokeUserSessions(userId, 'password_change', currentSessionId);
+}
+
+// ============ 登录锁定 ============
+
+function accountKey(email) {
+  return `account:${String(email).toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+/**
+ * 检查账户和 IP 是否处于锁定期，返回 null 或 { scope, retryAfterSeconds }
+ */
+function getLoginLock(email, ip) {
+  const now = Date.now();
+  for (const [scope, key] of [['account', accountKey(email)], ['ip', ipKey(ip)]]) {
+    const record = db.getLoginFailure(key);
+    const lockedUntil = record && record.locked_until ? new Date(record.locked_until).getTime() : 0;
+    if (lockedUntil > now) {
+      return { scope, retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) };
+    }
+  }
+  return null;
+}
+
+function registerFailure(key, threshold) {
+  const now = Date.now();
+  const record = db.getLoginFailure(key);
+  const recent = record && now - new Date(record.last_failure_at).getTime() < LOCKOUT_POLICY.failureWindowMs;
+  const failures = (recent ? record.failures : 0) + 1;
+
+  let lockedUntil = null;
+  if (failures >= threshold) {
+    const lockMs = Math.min(
+      LOCKOUT_POLICY.baseLockMs * Math.pow(2, failures - threshold),
+      LOCKOUT_POLICY.maxLockMs
+    );
+    lockedUntil = new Date(now + lockMs).toISOString();
+  }
+
+  db.saveLoginFailure(key, failures, new Date(now).toISOString(), lockedUntil);
+}
+
+function recordLoginFailure(email, ip) {
+  registerFailure(accountKey(email), LOCKOUT_POLICY.accountThreshold);
+  registerFailure(ipKey(ip), LOCKOUT_POLICY.ipThreshold);
+}
+
+/**
+ * 登录成功后清零账户计数；IP 计数可能来自其他账户，保留到窗口过期
+ */
+function recordLoginSuccess(email) {
+  db.clearLoginFailures(accountKey(email));
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  LOCKOUT_POLICY,
+  AccountError,
+  hashToken,
+  issueToken,
+  sendEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  getLoginLock,
+  recordLoginFailure,
+  recordLoginSuccess
+};
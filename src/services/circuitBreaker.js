@@ -0,0 +1,279 @@
+/**
+ * 节点熔断器
+ * 每个工作节点一个状态机：closed（正常）→ open（熔断，不参与调度）→ half_open（放行少量试探请求）
+ * closed 状态按滑动窗口统计失败率，超过阈值后熔断；熔断时长结束后进入 half_open，
+ * 试探请求全部成功则恢复，任一失败重新熔断
+ * 阈值按服务配置（system_settings），熔断状态保存在 worker_circuits 表，网关重启后恢复
+ */
+
+const db = require('../db/sqlite');
+
+const CIRCUIT_SERVICES = ['render', 'parse', 'combo'];
+
+const DEFAULT_POLICY = {
+  windowSeconds: 60,          // 统计失败率的滑动窗口
+  minimumRequests: 5,         // 窗口内请求数达到该值才计算失败率
+  failureRateThreshold: 0.5,  // 失败率达到该值时熔断
+  openSeconds: 30,            // 熔断时长
+  halfOpenRequests: 3         // half_open 状态放行的试探请求数
+};
+
+const POLICY_SETTING_KEY = 'circuit_breaker_policies';
+
+// 策略缓存时间；通过管理接口修改后立即失效
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+class CircuitBreakerError extends Error {
+  constructor(type, message, status = 400) {
+    super(message);
+    this.name = 'CircuitBreakerError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+// ============ 策略 ============
+
+let policyCache = null;
+let policyCacheExpiresAt = 0;
+
+/**
+ * 各服务的熔断策略，未配置的字段取默认值
+ */
+function getPolicies() {
+  const now = Date.now();
+  if (!policyCache || policyCacheExpiresAt <= now) {
+    const stored = db.getSetting(POLICY_SETTING_KEY, {});
+    policyCache = {};
+    for (const service of CIRCUIT_SERVICES) {
+      policyCache[service] = { ...DEFAULT_POLICY, ...(stored[service] || {}) };
+    }
+    policyCacheExpiresAt = now + POLICY_CACHE_TTL_MS;
+  }
+  return policyCache;
+}
+
+function getPolicy(service) {
+  return getPolicies()[service] || DEFAULT_POLICY;
+}
+
+function validatePolicy(values) {
+  const integers = ['windowSeconds', 'minimumRequests', 'openSeconds', 'halfOpenRequests'];
+  for (const field of integers) {
+    if (values[field] !== undefined && (!Number.isInteger(values[field]) || values[field] < 1)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+  const rate = values.failureRateThreshold;
+  if (rate !== undefined && (typeof rate !== 'number' || rate <= 0 || rate > 1)) {
+    return 'failureRateThreshold must be a number greater than 0 and at most 1';
+  }
+  return null;
+}
+
+/**
+ * 修改服务的熔断策略，只覆盖传入的字段
+ */
+function setPolicy(service, values, updatedBy) {
+  if (!CIRCUIT_SERVICES.includes(service)) {
+    throw new CircuitBreakerError('INVALID_SERVICE', `Invalid service. Must be one of: ${CIRCUIT_SERVICES.join(', ')}`);
+  }
+
+  const updates = {};
+  for (const field of Object.keys(DEFAULT_POLICY)) {
+    if (values[field] !== undefined) updates[field] = values[field];
+  }
+  const invalid = validatePolicy(updates);
+  if (invalid) {
+    throw new CircuitBreakerError('INVALID_POLICY', invalid);
+  }
+
+  const stored = db.getSetting(POLICY_SETTING_KEY, {});
+  stored[service] = { ...(stored[service] || {}), ...updates };
+  db.setSetting(POLICY_SETTING_KEY, stored, updatedBy);
+  policyCache = null;
+  return getPolicy(service);
+}
+
+// ============ 状态机 ============
+
+class CircuitBreaker {
+  constructor() {
+    this.circuits = null; // workerId -> circuit，首次使用时从数据库恢复
+  }
+
+  load() {
+    this.circuits = new Map();
+    for (const row of db.listWorkerCircuits()) {
+      this.circuits.set(row.worker_id, {
+        ...this.createCircuit(),
+        state: row.state,
+        openedAt: row.opened_at,
+        reason: row.reason
+      });
+    }
+  }
+
+  createCircuit() {
+    return { state: 'closed', openedAt: null, reason: null, buckets: [], trials: 0, trialSuccesses: 0 };
+  }
+
+  getCircuit(workerId) {
+    if (!this.circuits) this.load();
+    let circuit = this.circuits.get(workerId);
+    if (!circuit) {
+      circuit = this.createCircuit();
+      this.circuits.set(workerId, circuit);
+    }
+    return circuit;
+  }
+
+  transition(workerId, circuit, state, reason = null) {
+    circuit.state = state;
+    circuit.reason = reason;
+    circuit.trials = 0;
+    circuit.trialSuccesses = 0;
+    if (state === 'open') {
+      circuit.openedAt = Date.now();
+    }
+    if (state === 'closed') {
+      circuit.openedAt = null;
+      circuit.buckets = [];
+    }
+    db.saveWorkerCircuit(workerId, state, circuit.openedAt, reason);
+    console.log(`[熔断器] Worker ${workerId} → ${state}${reason ? ` (${reason})` : ''}`);
+  }
+
+  /**
+   * 节点当前能否接收请求；熔断时长结束的节点在这里转为 half_open
+   */
+  isAvailable(worker) {
+    const circuit = this.getCircuit(worker.id);
+    const policy = getPolicy(worker.service_type);
+
+    if (circuit.state === 'open') {
+      if (Date.now() - circuit.openedAt < policy.openSeconds * 1000) {
+        return false;
+      }
+      this.transition(worker.id, circuit, 'half_open');
+    }
+    if (circuit.state === 'half_open') {
+      return circuit.trials < policy.halfOpenRequests;
+    }
+    return true;
+  }
+
+  /**
+   * 请求发往节点前调用，half_open 状态下占用一个试探名额
+   */
+  beginAttempt(worker) {
+    const circuit = this.getCircuit(worker.id);
+    if (circuit.state === 'half_open') {
+      circuit.trials++;
+    }
+  }
+
+  /**
+   * 按秒分桶记录结果，只保留窗口内的桶
+   */
+  recordOutcome(circuit, policy, success) {
+    const second = Math.floor(Date.now() / 1000);
+    circuit.buckets = circuit.buckets.filter(bucket => bucket.second > second - policy.windowSeconds);
+
+    let bucket = circuit.buckets[circuit.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, requests: 0, failures: 0 };
+      circuit.buckets.push(bucket);
+    }
+    bucket.requests++;
+    if (!success) bucket.failures++;
+  }
+
+  getWindow(circuit, policy) {
+    const second = Math.floor(Date.now() / 1000);
+    let requests = 0;
+    let failures = 0;
+    for (const bucket of circuit.buckets) {
+      if (bucket.second > second - policy.windowSeconds) {
+        requests += bucket.requests;
+        failures += bucket.failures;
+      }
+    }
+    return { requests, failures, failureRate: requests > 0 ? failures / requests : 0 };
+  }
+
+  recordSuccess(worker) {
+    const circuit = this.getCircuit(worker.id);
+    const policy = getPolicy(worker.service_type);
+
+    if (circuit.state === 'half_open') {
+      circuit.trialSuccesses++;
+      if (circuit.trialSuccesses >= policy.halfOpenRequests) {
+        this.transition(worker.id, circuit, 'closed');
+      }
+      return;
+    }
+    this.recordOutcome(circuit, policy, true);
+  }
+
+  recordFailure(worker, reason) {
+    const circuit = this.getCircuit(worker.id);
+    const policy = getPolicy(worker.service_type);
+
+    if (circuit.state === 'half_open') {
+      this.transition(worker.id, circuit, 'open', `Trial request failed: ${reason}`);
+      return;
+    }
+    if (circuit.state === 'open') return;
+
+    this.recordOutcome(circuit, policy, false);
+    const window = this.getWindow(circuit, policy);
+    if (window.requests >= policy.minimumRequests && window.failureRate >= policy.failureRateThreshold) {
+      this.transition(worker.id, circuit, 'open',
+        `${window.failures}/${window.requests} requests failed in ${policy.windowSeconds}s: ${reason}`);
+    }
+  }
+
+  /**
+   * 手动恢复节点
+   */
+  reset(workerId) {
+    this.transition(workerId, this.getCircuit(workerId), 'closed', null);
+  }
+
+  /**
+   * 节点的熔断状态（用于管理接口）
+   */
+  describe(worker) {
+    const circuit = this.getCircuit(worker.id);
+    const policy = getPolicy(worker.service_type);
+    const state = circuit.state === 'open' && Date.now() - circuit.openedAt >= policy.openSeconds * 1000
+      ? 'half_open'
+      : circuit.state;
+
+    return {
+      workerId: worker.id,
+      workerName: worker.name,
+      service: worker.service_type,
+      status: worker.status,
+      state,
+      reason: circuit.reason,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(circuit.openedAt + policy.openSeconds * 1000).toISOString() : null,
+      window: this.getWindow(circuit, policy),
+      halfOpen: state === 'half_open'
+        ? { trials: circuit.trials, successes: circuit.trialSuccesses, limit: policy.halfOpenRequests }
+        : null
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_SERVICES,
+  DEFAULT_POLICY,
+  CircuitBreakerError,
+  getPolicies,
+  getPolicy,
+  setPolicy,
+  CircuitBreaker
+};
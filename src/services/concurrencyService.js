@@ -0,0 +1,156 @@
+/**
+ * 并发控制服务
+ * 限制计费主体（组织或用户）同时进行中的请求数，上限按套餐配置；API 密钥可以另设更低的上限
+ * render、parse、combo 共用同一个并发额度；超限的请求短暂排队，仍无空位时拒绝
+ * 进行中的计数保存在计数器存储中（见 counterStore.js），多个网关实例可以共享
+ */
+
+const { getStore } = require('./counterStore');
+
+// 各套餐默认的并发上限
+const DEFAULT_CONCURRENCY = {
+  free: 2,
+  basic: 5,
+  pro: 20,
+  enterprise: 50
+};
+
+// 排队等待空位的最长时间和轮询间隔
+const QUEUE_TIMEOUT_MS = parseInt(process.env.CONCURRENCY_QUEUE_TIMEOUT_MS) || 2000;
+const QUEUE_POLL_INTERVAL_MS = 50;
+
+// 进行中计数的续期时长：网关异常退出未能释放的计数在无新请求后自动过期
+const IN_FLIGHT_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * 解析并发上限配置
+ * 格式: CONCURRENCY_LIMITS=free:2,basic:5,pro:20,enterprise:50
+ */
+function parseConcurrencyConfig(value) {
+  const limits = { ...DEFAULT_CONCURRENCY };
+  if (!value) return limits;
+
+  for (const pair of value.split(',')) {
+    const [plan, limit] = pair.split(':').map(part => part && part.trim());
+    const parsed = parseInt(limit, 10);
+    if (plan && !isNaN(parsed) && parsed > 0) {
+      limits[plan] = parsed;
+    }
+  }
+  return limits;
+}
+
+const concurrencyLimits = parseConcurrencyConfig(process.env.CONCURRENCY_LIMITS);
+
+function getPlanConcurrency(plan) {
+  return concurrencyLimits[plan] !== undefined ? concurrencyLimits[plan] : concurrencyLimits.free;
+}
+
+/**
+ * 请求适用的并发槽位：计费主体一个，带上限的 API 密钥再加一个
+ */
+function getSlots(user) {
+  const subject = user.orgId ? `org:${user.orgId}` : `user:${user.id}`;
+  const slots = [{ scope: 'account', key: `concurrency:${subject}`, limit: getPlanConcurrency(user.plan) }];
+  if (user.apiKeyId && user.apiKeyMaxConcurrency) {
+    slots.push({ scope: 'api_key', key: `concurrency:key:${user.apiKeyId}`, limit: user.apiKeyMaxConcurrency });
+  }
+  return slots;
+}
+
+/**
+ * 尝试占用全部槽位；任一槽位已满则回退已占用的部分，返回已满的槽位
+ */
+async function tryAcquire(slots) {
+  const store = getStore();
+  const expiresAt = Date.now() + IN_FLIGHT_TTL_MS;
+  const taken = [];
+
+  for (const slot of slots) {
+    const count = await store.increment(slot.key, 1, expiresAt);
+    taken.push(slot);
+    if (count > slot.limit) {
+      for (const acquired of taken) {
+        await store.increment(acquired.key, -1, expiresAt);
+      }
+      return slot;
+    }
+  }
+  return null;
+}
+
+/**
+ * 释放一个槽位；请求超过续期时长时计数可能已过期，减到负数说明已无可释放的占用，补回到零
+ */
+async function releaseSlot(store, slot, expiresAt) {
+  const count = await store.increment(slot.key, -1, expiresAt);
+  if (count < 0) {
+    await store.increment(slot.key, -count, expiresAt);
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 占用并发槽位，已满时排队等待
+ * 成功返回 { acquired: true, release }，release 只生效一次；
+ * 等待超时返回 { acquired: false, exceeded }；isCancelled() 为 true 时（如客户端已断开）停止等待
+ */
+async function acquire(user, isCancelled = () => false) {
+  const slots = getSlots(user);
+  const deadline = Date.now() + QUEUE_TIMEOUT_MS;
+
+  let exceeded = await tryAcquire(slots);
+  while (exceeded && Date.now() < deadline && !isCancelled()) {
+    await wait(QUEUE_POLL_INTERVAL_MS);
+    exceeded = await tryAcquire(slots);
+  }
+
+  if (exceeded) {
+    return { acquired: false, exceeded: { scope: exceeded.scope, limit: exceeded.limit } };
+  }
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    const store = getStore();
+    const expiresAt = Date.now() + IN_FLIGHT_TTL_MS;
+    for (const slot of slots) {
+      await releaseSlot(store, slot, expiresAt);
+    }
+  };
+  return { acquired: true, release };
+}
+
+/**
+ * 当前并发占用情况（用于统计接口）
+ */
+async function getConcurrencyStatus(user) {
+  const store = getStore();
+  const status = {};
+  for (const slot of getSlots(user)) {
+    const inFlight = Math.max(await store.get(slot.key), 0);
+    status[slot.scope === 'api_key' ? 'apiKey' : 'account'] = {
+      limit: slot.limit,
+      inFlight,
+      available: Math.max(slot.limit - inFlight, 0)
+    };
+  }
+  return {
+    plan: user.plan,
+    organizationId: user.orgId,
+    apiKeyId: user.apiKeyId,
+    queueTimeoutMs: QUEUE_TIMEOUT_MS,
+    ...status
+  };
+}
+
+module.exports = {
+  QUEUE_TIMEOUT_MS,
+  getPlanConcurrency,
+  acquire,
+  getConcurrencyStatus
+};
@@ -0,0 +1,191 @@
+/**
+ * 计数器存储
+ * 限流和并发控制共用的计数后端：memory（单实例）、sqlite（共享数据库文件）、redis（多实例部署）
+ * 由 RATE_LIMIT_STORE 选择，默认 memory
+ */
+
+const db = require('../db/sqlite');
+
+const REDIS_CONNECT_TIMEOUT_MS = 2000;
+
+/**
+ * 计数器存储基类
+ * 新后端需实现 increment(key, amount, expiresAt) 和 get(key)；expiresAt 为毫秒时间戳
+ */
+class CounterStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 计数加 amount（可为负）并返回新值；已过期的计数从零开始
+   * 未过期的计数过期时间延长到 expiresAt（不会缩短），长期存在的计数（如并发数）可借此续期
+   */
+  async increment(key, amount, expiresAt) {
+    throw new Error(`Counter store ${this.name} does not implement increment`);
+  }
+
+  /**
+   * 读取计数，不存在或已过期返回 0
+   */
+  async get(key) {
+    throw new Error(`Counter store ${this.name} does not implement get`);
+  }
+
+  /**
+   * 清理过期计数；自带过期机制的后端无需实现
+   */
+  async cleanup() {}
+}
+
+/**
+ * 内存存储：仅适用于单个网关实例
+ */
+class MemoryCounterStore extends CounterStore {
+  constructor() {
+    super('memory');
+    this.counters = new Map();
+  }
+
+  async increment(key, amount, expiresAt) {
+    const now = Date.now();
+    let record = this.counters.get(key);
+    if (!record || record.expiresAt <= now) {
+      record = { count: 0, expiresAt };
+      this.counters.set(key, record);
+    }
+    record.count += amount;
+    record.expiresAt = Math.max(record.expiresAt, expiresAt);
+    return record.count;
+  }
+
+  async get(key) {
+    const record = this.counters.get(key);
+    return record && record.expiresAt > Date.now() ? record.count : 0;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, record] of this.counters.entries()) {
+      if (record.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * SQLite 存储：多个网关实例挂载同一数据库文件时共享计数
+ */
+class SqliteCounterStore extends CounterStore {
+  constructor() {
+    super('sqlite');
+  }
+
+  async increment(key, amount, expiresAt) {
+    return db.incrementCounter(key, amount, expiresAt);
+  }
+
+  async get(key) {
+    return db.getCounter(key);
+  }
+
+  async cleanup() {
+    db.cleanExpiredCounters();
+  }
+}
+
+/**
+ * Redis 存储：连接 REDIS_URL，依赖 Redis 过期时间清理
+ * 首次使用时建立连接并在后台自动重连；未连接时直接报错，由调用方决定是否放行
+ */
+class RedisCounterStore extends CounterStore {
+  constructor(url) {
+    super('redis');
+    this.url = url;
+    this.client = null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const { createClient } = require('redis');
+      this.client = createClient({
+        url: this.url,
+        socket: {
+          connectTimeout: REDIS_CONNECT_TIMEOUT_MS,
+          reconnectStrategy: retries => Math.min(retries * 200, 5000)
+        }
+      });
+      this.client.on('error', (error) => {
+        console.error('Redis 计数器连接错误:', error.message);
+      });
+      // 连接错误通过 error 事件报告
+      const connecting = this.client.connect().catch(() => {});
+      await Promise.race([
+        connecting,
+        new Promise(resolve => setTimeout(resolve, REDIS_CONNECT_TIMEOUT_MS))
+      ]);
+    }
+    if (!this.client.isReady) {
+      throw new Error('Redis counter store is not connected');
+    }
+    return this.client;
+  }
+
+  async increment(key, amount, expiresAt) {
+    const client = await this.getClient();
+    const [count] = await client.multi()
+      .incrBy(`counter:${key}`, amount)
+      .pExpireAt(`counter:${key}`, expiresAt, 'GT')
+      .pExpireAt(`counter:${key}`, expiresAt, 'NX')
+      .exec();
+    return Number(count);
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    const value = await client.get(`counter:${key}`);
+    return value ? Number(value) : 0;
+  }
+}
+
+// 存储注册表
+const stores = new Map();
+
+function registerStore(store) {
+  stores.set(store.name, store);
+}
+
+/**
+ * 当前存储，由 RATE_LIMIT_STORE 指定，默认 memory
+ */
+function getStore() {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`Counter store ${name} is not registered`);
+  }
+  return store;
+}
+
+registerStore(new MemoryCounterStore());
+registerStore(new SqliteCounterStore());
+registerStore(new RedisCounterStore(process.env.REDIS_URL || 'redis://localhost:6379'));
+
+// 定期清理过期计数
+setInterval(async () => {
+  try {
+    await getStore().cleanup();
+  } catch (error) {
+    console.error('清理过期计数错误:', error);
+  }
+}, 60 * 1000);
+
+module.exports = {
+  CounterStore,
+  MemoryCounterStore,
+  SqliteCounterStore,
+  RedisCounterStore,
+  registerStore,
+  getStore
+};
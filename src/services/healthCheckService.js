@@ -0,0 +1,87 @@
+/**
+ * 工作节点主动健康检查
+ * 网关定期请求节点的 /health，补充心跳检测：心跳定时器仍在运行但 HTTP 服务已无响应的节点同样会被发现
+ * 连续失败时先标记为 degraded，达到阈值后标记为 offline；连续成功达到阈值后恢复为 online
+ */
+
+const axios = require('axios');
+const db = require('../db/sqlite');
+
+const HEALTH_CHECK_POLICY = {
+  intervalMs: parseInt(process.env.WORKER_HEALTH_CHECK_INTERVAL_MS) || 10000,
+  timeoutMs: parseInt(process.env.WORKER_HEALTH_CHECK_TIMEOUT_MS) || 2000,
+  unhealthyThreshold: parseInt(process.env.WORKER_UNHEALTHY_THRESHOLD) || 3,
+  healthyThreshold: parseInt(process.env.WORKER_HEALTHY_THRESHOLD) || 2
+};
+
+/**
+ * 探测单个节点，返回失败原因；健康时返回 null
+ * 响应必须来自同一个节点（workerId 一致），避免端口被其他进程复用时误判
+ */
+async function probe(worker) {
+  try {
+    const response = await axios.get(`http://${worker.host}:${worker.port}/health`, {
+      timeout: HEALTH_CHECK_POLICY.timeoutMs
+    });
+    const body = response.data || {};
+    if (body.workerId && body.workerId !== worker.id) {
+      return `Health endpoint answered as worker ${body.workerId}`;
+    }
+    if (body.status && body.status !== 'healthy') {
+      return `Worker reported status ${body.status}`;
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * 根据探测结果计算节点的新状态
+ */
+function nextHealth(worker, error) {
+  if (error) {
+    const failures = (worker.health_failures || 0) + 1;
+    const unhealthy = failures >= HEALTH_CHECK_POLICY.unhealthyThreshold || worker.status === 'offline';
+    return {
+      status: unhealthy ? 'offline' : 'degraded',
+      state: unhealthy ? 'unhealthy' : 'degraded',
+      failures,
+      successes: 0,
+      error
+    };
+  }
+
+  const successes = (worker.health_successes || 0) + 1;
+  const recovered = worker.status === 'online' || successes >= HEALTH_CHECK_POLICY.healthyThreshold;
+  return {
+    status: recovered ? 'online' : worker.status,
+    state: recovered ? 'healthy' : worker.health_state,
+    failures: 0,
+    successes,
+    error: recovered ? null : worker.health_error
+  };
+}
+
+/**
+ * 探测所有需要检查的节点，返回状态发生变化的节点 [{ worker, from, to, error }]
+ */
+async function runHealthChecks() {
+  const workers = db.getWorkersForHealthCheck();
+  const results = await Promise.all(workers.map(async worker => ({ worker, error: await probe(worker) })));
+
+  const transitions = [];
+  for (const { worker, error } of results) {
+    const health = nextHealth(worker, error);
+    const updated = db.updateWorkerHealth(worker.id, worker.status, health);
+    if (updated && health.status !== worker.status) {
+      transitions.push({ worker, from: worker.status, to: health.status, error });
+    }
+  }
+  return transitions;
+}
+
+module.exports = {
+  HEALTH_CHECK_POLICY,
+  runHealthChecks
+};
@@ -0,0 +1,272 @@
+/**
+ * 发票服务
+ * 按月汇总 usage_log 生成发票，并输出 HTML / PDF
+ */
+
+const db = require('../db/sqlite');
+
+const SERVICE_NAMES = {
+  render: 'SVG Render',
+  parse: 'Text Parse',
+  combo: 'Combo (Parse + Render)'
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * 计算某月的账期（UTC），month 从 1 开始
+ */
+function getMonthPeriod(year, month) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const next = new Date(Date.UTC(year, month, 1));
+  return {
+    periodStart: `${year}-${pad(month)}-01`,
+    periodEnd: `${year}-${pad(month)}-${pad(lastDay)}`,
+    rangeStart: `${year}-${pad(month)}-01 00:00:00`,
+    rangeEnd: `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-01 00:00:00`
+  };
+}
+
+/**
+ * 将用量汇总转换为发票明细
+ * 按时计费的数量为秒数，按次计费的数量为调用次数；单价为实际扣费的平均单价
+ */
+function buildLineItems(summary) {
+  return summary.map(row => {
+    const perTime = row.billing_mode === 'per_time';
+    const quantity = perTime ? Math.round(row.duration_ms) / 1000 : row.calls;
+    const total = roundMoney(row.total);
+    return {
+      service: row.service,
+      billingMode: row.billing_mode,
+      quantity,
+      unit: perTime ? 'second' : 'call',
+      unitPrice: quantity > 0 ? Math.round((row.total / quantity) * 10000) / 10000 : 0,
+      total
+    };
+  });
+}
+
+/**
+ * 生成用户某月的发票，已开具的直接返回；当月无用量时返回 null
+ * orgId 非空时为组织开票，只汇总组织密钥产生的用量，userId 为组织所有者
+ */
+function generateMonthlyInvoice(userId, year, month, orgId = null) {
+  const period = getMonthPeriod(year, month);
+  const summary = db.getUsageSummaryForPeriod(userId, period.rangeStart, period.rangeEnd, orgId);
+  if (summary.length === 0) return null;
+
+  const items = buildLineItems(summary);
+  const amount = roundMoney(items.reduce((sum, item) => sum + item.total, 0));
+
+  return db.createInvoice({
+    userId,
+    orgId,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    amount,
+    numberPrefix: `INV-${year}${pad(month)}`
+  }, items);
+}
+
+function generateOrganizationInvoice(orgId, year, month) {
+  const owner = db.listOrganizationMembers(orgId).find(member => member.role === 'owner');
+  if (!owner) return null;
+  return generateMonthlyInvoice(owner.user_id, year, month, orgId);
+}
+
+/**
+ * 为上个月有用量、尚未开票的用户和组织开具发票，返回本次新开具的发票
+ */
+function generateInvoicesForPreviousMonth(now = new Date()) {
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const year = previous.getUTCFullYear();
+  const month = previous.getUTCMonth() + 1;
+  const period = getMonthPeriod(year, month);
+
+  const userInvoices = db.getUninvoicedUsers(period.rangeStart, period.rangeEnd, period.periodStart)
+    .map(userId => generateMonthlyInvoice(userId, year, month));
+  const orgInvoices = db.getUninvoicedOrganizations(period.rangeStart, period.rangeEnd, period.periodStart)
+    .map(orgId => generateOrganizationInvoice(orgId, year, month));
+
+  return [...userInvoices, ...orgInvoices].filter(Boolean);
+}
+
+function formatInvoice(invoice, items) {
+  return {
+    id: invoice.invoice_number,
+    userId: invoice.user_id,
+    orgId: invoice.org_id || null,
+    amount: invoice.amount,
+    currency: invoice.currency,
+    status: invoice.status,
+    items: (items || db.getInvoiceItems(invoice.id)).map(item => ({
+      service: item.service,
+      billingMode: item.billing_mode,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: item.unit_price,
+      total: item.total
+    })),
+    period: {
+      start: invoice.period_start,
+      end: invoice.period_end
+    },
+    createdAt: invoice.created_at,
+    downloadUrl: invoice.org_id
+      ? `/api/v1/orgs/${invoice.org_id}/invoices/${invoice.invoice_number}/download`
+      : `/api/v1/billing/invoices/${invoice.invoice_number}/download`
+  };
+}
+
+/**
+ * 发票抬头：组织发票开给组织，个人发票开给用户
+ */
+function getBillTo(invoice, user) {
+  if (invoice.org_id) {
+    const organization = db.getOrganization(invoice.org_id);
+    return organization ? organization.name : invoice.org_id;
+  }
+  return user ? `${user.name} <${user.email}>` : invoice.user_id;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderInvoiceHtml(invoice, user) {
+  const data = formatInvoice(invoice);
+  const rows = data.items.map(item => `
+      <tr>
+        <td>${escapeHtml(SERVICE_NAMES[item.service] || item.service)}</td>
+        <td>${escapeHtml(item.billingMode)}</td>
+        <td class="num">${item.quantity} ${escapeHtml(item.unit)}</td>
+        <td class="num">${item.unitPrice.toFixed(4)}</td>
+        <td class="num">${item.total.toFixed(2)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(data.id)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 40px; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+    .num { text-align: right; }
+    .total { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>ViSurf API Invoice</h1>
+  <p>Invoice No: ${escapeHtml(data.id)}<br>
+  Issued: ${escapeHtml(data.createdAt)}<br>
+  Period: ${escapeHtml(data.period.start)} - ${escapeHtml(data.period.end)}</p>
+  <p>Bill to: ${escapeHtml(getBillTo(invoice, user))}</p>
+  <table>
+    <thead>
+      <tr><th>Service</th><th>Billing Mode</th><th class="num">Quantity</th><th class="num">Unit Price</th><th class="num">Total</th></tr>
+    </thead>
+    <tbody>${rows}
+      <tr class="total"><td colspan="4">Total (${escapeHtml(data.currency)})</td><td class="num">${data.amount.toFixed(2)}</td></tr>
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * PDF 文本转义；标准 Courier 字体只支持 ASCII，其余字符替换为 ?
+ */
+function escapePdfText(value) {
+  return String(value)
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * 不依赖第三方库，直接输出单页 PDF 1.4
+ */
+function renderInvoicePdf(invoice, user) {
+  const data = formatInvoice(invoice);
+  const lines = [
+    { size: 18, text: 'ViSurf API Invoice' },
+    { size: 10, text: `Invoice No: ${data.id}` },
+    { size: 10, text: `Issued: ${data.createdAt}` },
+    { size: 10, text: `Period: ${data.period.start} - ${data.period.end}` },
+    { size: 10, text: `Bill to: ${getBillTo(invoice, user)}` },
+    { size: 10, text: '' },
+    { size: 10, text: 'Service                   Mode        Quantity          Unit Price      Total' }
+  ];
+
+  for (const item of data.items) {
+    lines.push({
+      size: 10,
+      text: [
+        (SERVICE_NAMES[item.service] || item.service).padEnd(26),
+        item.billingMode.padEnd(12),
+        `${item.quantity} ${item.unit}`.padEnd(18),
+        item.unitPrice.toFixed(4).padEnd(16),
+        item.total.toFixed(2)
+      ].join('')
+    });
+  }
+
+  lines.push({ size: 10, text: '' });
+  lines.push({ size: 12, text: `Total (${data.currency}): ${data.amount.toFixed(2)}` });
+
+  let y = 800;
+  const content = lines.map(line => {
+    y -= line.size + 8;
+    return `BT /F1 ${line.size} Tf 50 ${y} Td (${escapePdfText(line.text)}) Tj ET`;
+  }).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(Buffer.byteLength(pdf));
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  getMonthPeriod,
+  buildLineItems,
+  generateMonthlyInvoice,
+  generateOrganizationInvoice,
+  generateInvoicesForPreviousMonth,
+  formatInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
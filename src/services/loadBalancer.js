@@ -1,40 +1,101 @@
 /**
  * 负载均衡调度器
- * 支持多种负载均衡策略
+ * 支持多种负载均衡策略，可按服务类型分别设置
  */
 
-const { getWorkersByService, updateWorkerConnections, updateWorkerStats } = require('../db/sqlite');
+const crypto = require('crypto');
+const axios = require('axios');
+const { getWorkersByService, hasRegisteredWorkers, getAllWorkers, updateWorkerConnections, updateWorkerStats, getWorkerSecret, getSetting, setSetting } = require('../db/sqlite');
+const { signRequest } = require('./workerAuth');
+const { CircuitBreaker } = require('./circuitBreaker');
+
+const LOAD_BALANCED_SERVICES = ['render', 'parse', 'combo'];
+
+const LOAD_BALANCER_STRATEGIES = [
+  'round-robin',
+  'least-connections',
+  'weighted-round-robin',
+  'response-time',
+  'consistent-hash',
+  'power-of-two'
+];
+
+// 一致性哈希的请求键：content 为请求内容的哈希（相同内容落到同一节点），user 为用户 ID
+const HASH_KEYS = ['content', 'user'];
+
+const STRATEGY_SETTING_KEY = 'load_balancer_strategies';
+
+// 按服务设置的策略缓存时间；通过 setStrategy 修改后立即失效
+const STRATEGY_CACHE_TTL_MS = 60 * 1000;
+
+// 一致性哈希环上每单位权重的虚拟节点数
+const VIRTUAL_NODES_PER_WEIGHT = 100;
+
+// 单次请求最多尝试的节点数（含首次）
+const WORKER_MAX_ATTEMPTS = parseInt(process.env.WORKER_MAX_ATTEMPTS) || 3;
+
+// 服务没有已注册的节点时允许在网关进程内执行（parse、combo），设为 false 时返回 503；
+// 有节点但全部下线或熔断时不回退，返回 503
+const LOCAL_FALLBACK_ENABLED = process.env.WORKER_LOCAL_FALLBACK !== 'false';
+
+// 请求未被节点处理或处理结果不可用的错误，可以安全地换节点重试
+const RETRYABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+// parse、combo 每次执行都调用 Claude API 并产生费用，只在请求确定没有送达节点时重试：
+// 建立连接或解析地址失败，或节点返回 503（未完成注册，不处理请求）；超时、连接中断和 502/504 时节点可能已经执行
+const SEND_FAILURE_ONLY_SERVICES = ['parse', 'combo'];
+const SEND_FAILURE_SYSCALLS = ['connect', 'getaddrinfo'];
+
+/**
+ * 服务有已注册的节点，但全部下线或熔断
+ */
+class WorkerUnavailableError extends Error {
+  constructor(serviceType) {
+    super(`All ${serviceType} worker nodes are offline or circuit-open`);
+    this.name = 'WorkerUnavailableError';
+    this.type = 'WORKERS_UNAVAILABLE';
+    this.status = 503;
+  }
+}
 
 class LoadBalancer {
   constructor(strategy = 'weighted-round-robin') {
     this.strategy = strategy;
     this.roundRobinIndex = new Map(); // 轮询索引
     this.currentWeights = new Map();  // 加权轮询权重
-    this.circuitBreaker = new Map();  // 熔断器
+    this.hashRings = new Map();       // 一致性哈希环
+    this.circuitBreaker = new CircuitBreaker();  // 熔断器
+    this.serviceStrategies = null;    // 按服务设置的策略
+    this.serviceStrategiesExpiresAt = 0;
   }
 
   /**
    * 选择最优工作节点
+   * excludeIds 为本次请求已经尝试过的节点，routingKey 为一致性哈希的请求键
    */
-  selectWorker(serviceType) {
-    const workers = getWorkersByService(serviceType);
+  selectWorker(serviceType, excludeIds = [], routingKey = null) {
+    const candidates = (getWorkersByService(serviceType) || []).filter(w => !excludeIds.includes(w.id));
+
+    // 健康检查降级的节点只在没有正常节点时使用
+    const online = candidates.filter(w => w.status === 'online');
+    const workers = online.length > 0 ? online : candidates;
     
-    if (!workers || workers.length === 0) {
+    if (workers.length === 0) {
       return null;
     }
 
-    // 过滤掉熔断的节点
-    const availableWorkers = workers.filter(w => !this.isCircuitOpen(w.id));
+    // 过滤掉熔断的节点；全部熔断时不再选择，等待熔断时长结束后试探
+    const availableWorkers = workers.filter(w => this.circuitBreaker.isAvailable(w));
     
     if (availableWorkers.length === 0) {
-      // 如果所有节点都熔断了，尝试重置最老的熔断
-      this.resetOldestCircuit();
-      return this.selectWorker(serviceType);
+      console.log(`[熔断器] ${serviceType} 服务的节点全部熔断`);
+      return null;
     }
 
     let selectedWorker;
     
-    switch (this.strategy) {
+    switch (this.getStrategy(serviceType)) {
       case 'round-robin':
         selectedWorker = this.roundRobin(availableWorkers, serviceType);
         break;
@@ -47,6 +108,14 @@ class LoadBalancer {
       case 'response-time':
         selectedWorker = this.responseTime(availableWorkers);
         break;
+      case 'consistent-hash':
+        selectedWorker = routingKey
+          ? this.consistentHash(availableWorkers, serviceType, routingKey)
+          : this.weightedRoundRobin(availableWorkers, serviceType);
+        break;
+      case 'power-of-two':
+        selectedWorker = this.powerOfTwo(availableWorkers);
+        break;
       default:
         selectedWorker = this.weightedRoundRobin(availableWorkers, serviceType);
     }
@@ -118,102 +187,307 @@ class LoadBalancer {
     });
   }
 
+  /**
+   * 一致性哈希算法
+   * 节点按权重在环上放置虚拟节点，请求键落在环上顺时针方向的第一个虚拟节点；
+   * 节点增减（包括熔断、下线和重试时排除）只影响相邻区间的请求，其余请求仍落在原节点，便于利用节点本地缓存
+   */
+  consistentHash(workers, serviceType, routingKey) {
+    const ring = this.getHashRing(workers, serviceType);
+    const point = hashPoint(routingKey);
+
+    // 二分查找第一个不小于 point 的虚拟节点，超出末尾时回到环首
+    let low = 0;
+    let high = ring.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (ring[mid].point < point) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const workerId = ring[low % ring.length].workerId;
+    return workers.find(w => w.id === workerId);
+  }
+
+  /**
+   * 构建哈希环；节点集合和权重不变时复用
+   */
+  getHashRing(workers, serviceType) {
+    const signature = workers.map(w => `${w.id}:${w.weight}`).sort().join(',');
+    const cached = this.hashRings.get(serviceType);
+    if (cached && cached.signature === signature) {
+      return cached.ring;
+    }
+
+    const ring = [];
+    for (const worker of workers) {
+      const virtualNodes = VIRTUAL_NODES_PER_WEIGHT * Math.max(worker.weight || 1, 1);
+      for (let i = 0; i < virtualNodes; i++) {
+        ring.push({ point: hashPoint(`${worker.id}#${i}`), workerId: worker.id });
+      }
+    }
+    ring.sort((a, b) => a.point - b.point);
+
+    this.hashRings.set(serviceType, { signature, ring });
+    return ring;
+  }
+
+  /**
+   * 两次随机选择算法 (Power of Two Choices)
+   * 随机取两个节点，选择按权重折算后连接数较少的一个，避免所有请求同时涌向同一个最空闲的节点
+   */
+  powerOfTwo(workers) {
+    if (workers.length === 1) return workers[0];
+
+    const first = Math.floor(Math.random() * workers.length);
+    let second = Math.floor(Math.random() * (workers.length - 1));
+    if (second >= first) second++;
+
+    const load = worker => worker.current_connections / Math.max(worker.weight || 1, 1);
+    return load(workers[second]) < load(workers[first]) ? workers[second] : workers[first];
+  }
+
   /**
    * 熔断器：记录失败
    */
-  recordFailure(workerId) {
-    const failure = this.circuitBreaker.get(workerId) || { 
-      count: 0, 
-      timestamp: Date.now() 
-    };
-    
-    failure.count++;
-    failure.timestamp = Date.now();
-    this.circuitBreaker.set(workerId, failure);
-    
-    console.log(`[熔断器] Worker ${workerId} 失败次数: ${failure.count}`);
+  recordFailure(worker, reason) {
+    this.circuitBreaker.recordFailure(worker, reason);
   }
 
   /**
    * 熔断器：记录成功
    */
-  recordSuccess(workerId) {
-    // 成功后重置失败计数
-    this.circuitBreaker.delete(workerId);
+  recordSuccess(worker) {
+    this.circuitBreaker.recordSuccess(worker);
   }
 
   /**
-   * 熔断器：检查是否打开
+   * 熔断器：手动恢复节点
    */
-  isCircuitOpen(workerId, threshold = 5, timeout = 60000) {
-    const failure = this.circuitBreaker.get(workerId);
-    if (!failure) return false;
-    
-    // 如果失败次数超过阈值
-    if (failure.count >= threshold) {
-      // 检查是否超过超时时间
-      if (Date.now() - failure.timestamp < timeout) {
-        return true; // 熔断打开
-      } else {
-        // 超时后重置
-        this.circuitBreaker.delete(workerId);
-        return false;
+  resetCircuit(workerId) {
+    this.circuitBreaker.reset(workerId);
+  }
+
+  /**
+   * 转发请求到工作节点，可重试的失败换一个未尝试过的节点，最多 WORKER_MAX_ATTEMPTS 次
+   * options.userId 用于按用户的一致性哈希，其余选项传给 axios
+   * 成功返回 { response, worker, attempt, attempts }，attempt 为成功的那次尝试；
+   * 全部失败时抛出最后一次的错误，error.attempts 为尝试记录；
+   * 服务没有已注册的节点时返回 null，有节点但全部下线或熔断时抛出 WorkerUnavailableError
+   */
+  async forward(serviceType, path, payload, options = {}) {
+    const { userId, ...requestOptions } = options;
+    const routingKey = this.getRoutingKey(serviceType, payload, userId);
+    const attempts = [];
+    let lastError = null;
+
+    while (attempts.length < WORKER_MAX_ATTEMPTS) {
+      const worker = this.selectWorker(serviceType, attempts.map(a => a.workerId), routingKey);
+      if (!worker) {
+        if (attempts.length === 0 && hasRegisteredWorkers(serviceType)) {
+          throw new WorkerUnavailableError(serviceType);
+        }
+        break;
+      }
+
+      console.log(`[负载均衡] 选择节点: ${worker.name} (${worker.host}:${worker.port})`);
+      this.circuitBreaker.beginAttempt(worker);
+      updateWorkerConnections(worker.id, 1);
+      const startTime = new Date();
+
+      try {
+        const response = await postToWorker(worker, path, payload, requestOptions);
+        const endTime = new Date();
+        const attempt = {
+          workerId: worker.id,
+          workerName: worker.name,
+          startTime: startTime.toISOString(),
+          endTime: endTime.toISOString(),
+          durationMs: endTime - startTime
+        };
+        attempts.push(attempt);
+
+        this.recordSuccess(worker);
+        updateWorkerStats(worker.id, attempt.durationMs, true);
+        return { response, worker, attempt, attempts };
+      } catch (error) {
+        const durationMs = Date.now() - startTime.getTime();
+        const retryable = isRetryableError(error, serviceType);
+        attempts.push({
+          workerId: worker.id,
+          workerName: worker.name,
+          startTime: startTime.toISOString(),
+          durationMs,
+          error: error.message,
+          retryable
+        });
+        console.error(`[负载均衡] Worker ${worker.name} 请求失败:`, error.message);
+
+        // 节点返回的 4xx 说明节点本身可用，不计入熔断
+        if (error.response && error.response.status < 500) {
+          this.recordSuccess(worker);
+        } else {
+          this.recordFailure(worker, error.message);
+        }
+        updateWorkerStats(worker.id, durationMs, false);
+        lastError = error;
+        if (!retryable) break;
+      } finally {
+        updateWorkerConnections(worker.id, -1);
       }
     }
-    
-    return false;
+
+    if (!lastError) return null;
+    lastError.attempts = attempts;
+    throw lastError;
   }
 
   /**
-   * 重置最老的熔断
+   * 转发到工作节点；服务没有已注册的节点且允许本地执行时改为调用 runLocally(payload)
+   * 返回 { data, worker, attempt, attempts }，data 为节点响应的 data 字段，本地执行时 worker 为 null；
+   * 既没有节点也不能本地执行时返回 null；节点全部不可用或失败时抛出 forward 的错误
    */
-  resetOldestCircuit() {
-    let oldestKey = null;
-    let oldestTime = Infinity;
-    
-    for (const [key, value] of this.circuitBreaker.entries()) {
-      if (value.timestamp < oldestTime) {
-        oldestTime = value.timestamp;
-        oldestKey = key;
-      }
+  async dispatch(serviceType, path, payload, options, runLocally) {
+    const result = await this.forward(serviceType, path, payload, options);
+    if (result) {
+      return { ...result, data: result.response.data.data };
     }
-    
-    if (oldestKey) {
-      console.log(`[熔断器] 重置最老的熔断节点: ${oldestKey}`);
-      this.circuitBreaker.delete(oldestKey);
+    if (!runLocally || !LOCAL_FALLBACK_ENABLED) return null;
+
+    const startTime = new Date();
+    const data = await runLocally(payload);
+    const endTime = new Date();
+    const attempt = {
+      workerId: null,
+      workerName: null,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      durationMs: endTime - startTime
+    };
+    return { data, worker: null, attempt, attempts: [] };
+  }
+
+  /**
+   * 按服务设置的策略 { render: { strategy, hashKey }, ... }
+   */
+  getServiceStrategies() {
+    const now = Date.now();
+    if (!this.serviceStrategies || this.serviceStrategiesExpiresAt <= now) {
+      this.serviceStrategies = getSetting(STRATEGY_SETTING_KEY, {});
+      this.serviceStrategiesExpiresAt = now + STRATEGY_CACHE_TTL_MS;
     }
+    return this.serviceStrategies;
   }
 
   /**
-   * 获取策略名称
+   * 获取策略名称；服务没有单独设置时使用全局策略
    */
-  getStrategy() {
-    return this.strategy;
+  getStrategy(serviceType = null) {
+    const configured = serviceType && this.getServiceStrategies()[serviceType];
+    return configured ? configured.strategy : this.strategy;
   }
 
   /**
-   * 设置策略
+   * 一致性哈希的请求键；其他策略不需要
    */
-  setStrategy(strategy) {
-    this.strategy = strategy;
-    console.log(`[负载均衡] 切换策略为: ${strategy}`);
+  getRoutingKey(serviceType, payload, userId) {
+    if (this.getStrategy(serviceType) !== 'consistent-hash') return null;
+
+    const configured = this.getServiceStrategies()[serviceType] || {};
+    if (configured.hashKey === 'user' && userId) {
+      return `user:${userId}`;
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  /**
+   * 设置策略；指定 serviceType 时只作用于该服务并保存到数据库，否则修改全局策略
+   * hashKey 只对 consistent-hash 有效
+   */
+  setStrategy(strategy, serviceType = null, { hashKey = 'content', updatedBy = null } = {}) {
+    if (!LOAD_BALANCER_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown load balancing strategy: ${strategy}`);
+    }
+
+    if (!serviceType) {
+      this.strategy = strategy;
+      console.log(`[负载均衡] 切换策略为: ${strategy}`);
+      return;
+    }
+
+    const strategies = { ...getSetting(STRATEGY_SETTING_KEY, {}) };
+    strategies[serviceType] = strategy === 'consistent-hash' ? { strategy, hashKey } : { strategy };
+    setSetting(STRATEGY_SETTING_KEY, strategies, updatedBy);
+    this.serviceStrategies = null;
+    console.log(`[负载均衡] ${serviceType} 服务切换策略为: ${strategy}`);
   }
 
   /**
    * 获取统计信息
    */
   getStats() {
+    const strategies = {};
+    for (const serviceType of LOAD_BALANCED_SERVICES) {
+      const configured = this.getServiceStrategies()[serviceType];
+      strategies[serviceType] = configured
+        ? { strategy: configured.strategy, hashKey: configured.hashKey || null, inherited: false }
+        : { strategy: this.strategy, hashKey: null, inherited: true };
+    }
     return {
       strategy: this.strategy,
-      circuitBreakers: Array.from(this.circuitBreaker.entries()).map(([id, data]) => ({
-        workerId: id,
-        failures: data.count,
-        timestamp: data.timestamp
-      }))
+      strategies,
+      circuitBreakers: getAllWorkers().map(worker => this.circuitBreaker.describe(worker))
     };
   }
 }
 
+/**
+ * 向工作节点发送签名的 POST 请求，节点据此拒绝非网关来源的流量
+ */
+function postToWorker(worker, path, payload, options = {}) {
+  const secret = getWorkerSecret(worker.id);
+  if (!secret) {
+    return Promise.reject(new Error(`Worker ${worker.name} has no credentials, please re-register it`));
+  }
+
+  const body = JSON.stringify(payload);
+  return axios.post(`http://${worker.host}:${worker.port}${path}`, body, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...signRequest(worker.id, secret, 'POST', path, body)
+    }
+  });
+}
+
+/**
+ * 连接失败、超时和节点暂时不可用（502/503/504）可以重试；节点返回的其他错误换节点也不会成功
+ * parse、combo 只重试请求未送达节点的失败（见 SEND_FAILURE_ONLY_SERVICES）
+ */
+function isRetryableError(error, serviceType) {
+  if (SEND_FAILURE_ONLY_SERVICES.includes(serviceType)) {
+    if (error.response) {
+      return error.response.status === 503;
+    }
+    return !!error.cause && SEND_FAILURE_SYSCALLS.includes(error.cause.syscall);
+  }
+
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * 将任意字符串映射到 32 位无符号整数，作为哈希环上的位置
+ */
+function hashPoint(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
 // 单例模式
 let instance = null;
 
@@ -225,6 +499,12 @@ function getLoadBalancer(strategy) {
 }
 
 module.exports = {
+  LOAD_BALANCED_SERVICES,
+  LOAD_BALANCER_STRATEGIES,
+  HASH_KEYS,
   LoadBalancer,
-  getLoadBalancer
+  WorkerUnavailableError,
+  getLoadBalancer,
+  postToWorker,
+  isRetryableError
 };
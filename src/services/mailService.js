@@ -0,0 +1,132 @@
+/**
+ * 邮件服务
+ * 邮件通道抽象；本地开发使用 console（打印到日志）或 file（写入目录）代替真实发信
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 本地调试通道：邮件内容（含令牌）只会落在日志或磁盘上
+const DEV_TRANSPORTS = ['console', 'file'];
+
+/**
+ * 邮件通道基类
+ * 新通道需实现 send({ to, subject, text })
+ */
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  send(message) {
+    throw new Error(`Mail transport ${this.name} does not implement send`);
+  }
+}
+
+/**
+ * 控制台通道：邮件内容直接打印
+ */
+class ConsoleMailTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { transport: this.name };
+  }
+}
+
+/**
+ * 文件通道：每封邮件写入一个 JSON 文件，便于本地调试和联调时取出链接
+ */
+class FileMailTransport extends MailTransport {
+  constructor(directory) {
+    super('file');
+    this.directory = directory;
+  }
+
+  async send(message) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { transport: this.name, file };
+  }
+}
+
+// 通道注册表
+const transports = new Map();
+
+function registerTransport(transport) {
+  transports.set(transport.name, transport);
+}
+
+function getTransportName() {
+  return process.env.MAIL_TRANSPORT || 'console';
+}
+
+/**
+ * 当前通道，由 MAIL_TRANSPORT 指定，默认 console
+ */
+function getTransport() {
+  const name = getTransportName();
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Mail transport ${name} is not registered`);
+  }
+  return transport;
+}
+
+/**
+ * 能否发送含令牌的账户邮件（邮箱验证、重置密码）；生产环境使用本地调试通道时不发送，避免令牌写入日志或磁盘
+ */
+function isAccountMailEnabled() {
+  return process.env.NODE_ENV !== 'production' || !DEV_TRANSPORTS.includes(getTransportName());
+}
+
+function getAppBaseUrl() {
+  return process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+async function sendMail(message) {
+  return getTransport().send({ from: process.env.MAIL_FROM || 'no-reply@visurf.local', ...message });
+}
+
+function sendVerificationEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your ViSurf API email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address with the token below or by opening the link.\n\n` +
+      `Token: ${token}\nLink: ${getAppBaseUrl()}/verify-email?token=${encodeURIComponent(token)}\n\n` +
+      'The token expires in 24 hours.'
+  });
+}
+
+function sendPasswordResetEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your ViSurf API password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Use the token below or open the link.\n\n` +
+      `Token: ${token}\nLink: ${getAppBaseUrl()}/reset-password?token=${encodeURIComponent(token)}\n\n` +
+      'The token expires in 1 hour. If you did not request a reset, you can ignore this email.'
+  });
+}
+
+registerTransport(new ConsoleMailTransport());
+registerTransport(new FileMailTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'data', 'mail')));
+
+if (!isAccountMailEnabled()) {
+  console.warn(`⚠️  MAIL_TRANSPORT=${getTransportName()} 仅用于本地开发，生产环境不会发送邮箱验证和重置密码邮件`);
+}
+
+module.exports = {
+  MailTransport,
+  ConsoleMailTransport,
+  FileMailTransport,
+  registerTransport,
+  getTransport,
+  isAccountMailEnabled,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,117 @@
+/**
+ * 组织服务
+ * 团队共用余额、套餐和发票；成员按组织角色授权
+ */
+
+const db = require('../db/sqlite');
+
+// 组织角色：owner 拥有全部权限，admin 管理成员和密钥，developer 使用和管理密钥，billing 处理充值和发票
+const ORG_ROLES = ['owner', 'admin', 'developer', 'billing'];
+
+const ORG_PERMISSIONS = {
+  manage_org: ['owner', 'admin'],
+  manage_members: ['owner', 'admin'],
+  manage_keys: ['owner', 'admin', 'developer'],
+  view_usage: ['owner', 'admin', 'developer', 'billing'],
+  manage_billing: ['owner', 'admin', 'billing']
+};
+
+class OrganizationError extends Error {
+  constructor(type, message, status = 400) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+function hasPermission(role, permission) {
+  return !!role && (ORG_PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * 用户在组织中的成员记录；不是成员时返回 null
+ */
+function getMembership(orgId, userId) {
+  return db.getOrganizationMember(orgId, userId) || null;
+}
+
+/**
+ * 添加成员：只有 owner 可以授予 owner
+ */
+function addMember(orgId, email, role, actorRole) {
+  if (role === 'owner' && actorRole !== 'owner') {
+    throw new OrganizationError('ORG_FORBIDDEN', 'Only owners can add owners', 403);
+  }
+
+  const user = db.findUserByEmail(email);
+  if (!user) {
+    throw new OrganizationError('USER_NOT_FOUND', `No user is registered with ${email}`, 404);
+  }
+  if (db.getOrganizationMember(orgId, user.id)) {
+    throw new OrganizationError('ALREADY_MEMBER', `${email} is already a member of this organization`, 409);
+  }
+
+  db.addOrganizationMember(orgId, user.id, role);
+  return user;
+}
+
+/**
+ * 修改成员角色：涉及 owner 的变更只能由 owner 执行，且组织至少保留一个 owner
+ */
+function changeMemberRole(orgId, userId, role, actorRole) {
+  const member = db.getOrganizationMember(orgId, userId);
+  if (!member) {
+    throw new OrganizationError('MEMBER_NOT_FOUND', 'Member not found', 404);
+  }
+  if ((role === 'owner' || member.role === 'owner') && actorRole !== 'owner') {
+    throw new OrganizationError('ORG_FORBIDDEN', 'Only owners can grant or revoke the owner role', 403);
+  }
+
+  const change = db.getDb().transaction(() => {
+    if (member.role === 'owner' && role !== 'owner' && db.countOrganizationOwners(orgId) <= 1) {
+      throw new OrganizationError('LAST_OWNER', 'An organization must have at least one owner');
+    }
+    return db.updateOrganizationMemberRole(orgId, userId, role);
+  });
+
+  return change.immediate();
+}
+
+/**
+ * 移除成员（成员也可以自行退出）；被移除成员创建的组织密钥同时撤销
+ */
+function removeMember(orgId, userId, actor) {
+  const member = db.getOrganizationMember(orgId, userId);
+  if (!member) {
+    throw new OrganizationError('MEMBER_NOT_FOUND', 'Member not found', 404);
+  }
+
+  const leaving = actor.userId === userId;
+  if (!leaving && !hasPermission(actor.role, 'manage_members')) {
+    throw new OrganizationError('ORG_FORBIDDEN', 'You are not allowed to remove members', 403);
+  }
+  if (!leaving && member.role === 'owner' && actor.role !== 'owner') {
+    throw new OrganizationError('ORG_FORBIDDEN', 'Only owners can remove owners', 403);
+  }
+
+  const remove = db.getDb().transaction(() => {
+    if (member.role === 'owner' && db.countOrganizationOwners(orgId) <= 1) {
+      throw new OrganizationError('LAST_OWNER', 'An organization must have at least one owner');
+    }
+    return db.removeOrganizationMember(orgId, userId);
+  });
+
+  return remove.immediate();
+}
+
+module.exports = {
+  ORG_ROLES,
+  ORG_PERMISSIONS,
+  OrganizationError,
+  hasPermission,
+  getMembership,
+  addMember,
+  changeMemberRole,
+  removeMember
+};
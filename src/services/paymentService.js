@@ -0,0 +1,117 @@
+/**
+ * 支付服务
+ * 支付渠道抽象（alipay / wechat / card）和本地模拟网关
+ */
+
+const crypto = require('crypto');
+
+// 订单支付时限：15 分钟
+const ORDER_TTL_MS = 15 * 60 * 1000;
+
+// 模拟渠道可以伪造到账，只在显式开启时注册，且必须配置回调签名密钥
+const MOCK_PAYMENT_ENABLED = process.env.PAYMENT_MOCK_ENABLED === 'true';
+if (MOCK_PAYMENT_ENABLED && !process.env.PAYMENT_MOCK_SECRET) {
+  throw new Error('PAYMENT_MOCK_ENABLED=true requires PAYMENT_MOCK_SECRET to be set');
+}
+
+/**
+ * 支付渠道基类
+ * 新渠道需实现 createPayment 和 verifyWebhook
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 向支付渠道下单，返回 { providerTradeNo, qrCode, payUrl }
+   */
+  createPayment(order) {
+    throw new Error(`Payment provider ${this.name} does not implement createPayment`);
+  }
+
+  /**
+   * 校验回调签名并解析通知，返回 { orderId, tradeNo, amount, status }
+   * 签名无效时返回 null
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`Payment provider ${this.name} does not implement verifyWebhook`);
+  }
+}
+
+/**
+ * 模拟支付网关
+ * 回调使用 HMAC-SHA256 对原始请求体签名，签名放在 X-Mock-Signature 头中
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor(secret) {
+    super('mock');
+    this.secret = secret;
+  }
+
+  createPayment(order) {
+    const providerTradeNo = `MOCK_${crypto.randomBytes(8).toString('hex')}`;
+    return {
+      providerTradeNo,
+      qrCode: 'https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=PAYMENT_' + order.id,
+      payUrl: `mock://pay/${order.id}`
+    };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    if (!rawBody || typeof signature !== 'string') return null;
+
+    const expected = Buffer.from(this.sign(rawBody), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      orderId: payload.orderId,
+      tradeNo: payload.tradeNo,
+      amount: parseFloat(payload.amount),
+      status: payload.status
+    };
+  }
+}
+
+// 渠道注册表
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * 根据支付方式选择渠道，例如 PAYMENT_PROVIDER_ALIPAY=mock
+ * 未配置或渠道未注册时返回 null
+ */
+function getProviderForMethod(paymentMethod) {
+  const name = process.env[`PAYMENT_PROVIDER_${paymentMethod.toUpperCase()}`];
+  return name ? getProvider(name) : null;
+}
+
+if (MOCK_PAYMENT_ENABLED) {
+  registerProvider(new MockPaymentProvider(process.env.PAYMENT_MOCK_SECRET));
+}
+
+module.exports = {
+  ORDER_TTL_MS,
+  MOCK_PAYMENT_ENABLED,
+  PaymentProvider,
+  MockPaymentProvider,
+  registerProvider,
+  getProvider,
+  getProviderForMethod
+};
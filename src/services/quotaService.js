@@ -0,0 +1,178 @@
+/**
+ * 免费额度服务
+ * 各套餐每月的免费额度和注册试用额度，在付费计费之前抵扣；render 按次，parse / combo 按执行秒数
+ */
+
+const db = require('../db/sqlite');
+
+const QUOTA_UNITS = {
+  render: 'calls',
+  parse: 'seconds',
+  combo: 'seconds'
+};
+
+// 注册试用：有效天数和各服务额度
+const TRIAL_DURATION_DAYS = parseInt(process.env.TRIAL_DURATION_DAYS) || 14;
+const TRIAL_ALLOWANCES = {
+  render: 100,
+  parse: 300,
+  combo: 120
+};
+
+// 额度以 0.001 为最小单位，避免浮点误差累积
+const roundUnits = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * 计费主体：组织密钥按组织，其余按用户；试用额度只属于个人
+ */
+function getOwnerKey(user) {
+  return user.orgId ? `org:${user.orgId}` : `user:${user.id}`;
+}
+
+/**
+ * 当前计费周期（UTC 自然月）及重置时间
+ */
+function getPeriod(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  return {
+    period: `${year}-${String(month + 1).padStart(2, '0')}`,
+    resetAt: new Date(Date.UTC(year, month + 1, 1))
+  };
+}
+
+function toUnits(service, durationMs) {
+  return QUOTA_UNITS[service] === 'seconds' ? roundUnits(durationMs / 1000) : 1;
+}
+
+/**
+ * 预估一次调用消耗的额度单位：render 为 1 次；parse / combo 用最近调用的平均时长，没有历史或不足 1 秒时按 1 秒
+ */
+function estimateUnits(service) {
+  if (QUOTA_UNITS[service] !== 'seconds') return 1;
+  const avgMs = db.getAverageDuration(service);
+  return avgMs !== null ? Math.max(toUnits(service, avgMs), 1) : 1;
+}
+
+/**
+ * 某服务的额度状态
+ * user: req.user（id、orgId、plan）
+ */
+function getQuotaStatus(user, service, now = new Date()) {
+  const { period, resetAt } = getPeriod(now);
+  const allowance = db.getPlanAllowance(user.plan, service);
+  const used = db.getQuotaUsage(getOwnerKey(user), service, period);
+  const grants = user.orgId ? [] : db.getActiveQuotaGrants(user.id, service);
+  const grantAmount = grants.reduce((sum, grant) => sum + grant.amount, 0);
+  const grantRemaining = grants.reduce((sum, grant) => sum + grant.amount - grant.used, 0);
+  const planRemaining = Math.max(0, allowance - used);
+
+  return {
+    service,
+    unit: QUOTA_UNITS[service],
+    period,
+    resetAt: resetAt.toISOString(),
+    plan: {
+      allowance,
+      used: roundUnits(used),
+      remaining: roundUnits(planRemaining)
+    },
+    grants: grants.map(grant => ({
+      source: grant.source,
+      amount: grant.amount,
+      remaining: roundUnits(grant.amount - grant.used),
+      expiresAt: grant.expires_at
+    })),
+    limit: roundUnits(allowance + grantAmount),
+    remaining: roundUnits(planRemaining + grantRemaining)
+  };
+}
+
+function getAllQuotaStatus(user, now = new Date()) {
+  return Object.keys(QUOTA_UNITS).map(service => getQuotaStatus(user, service, now));
+}
+
+/**
+ * 抵扣免费额度并记账：先用套餐额度，再用先到期的试用额度，剩余部分按比例付费
+ * 返回 { usageId, cost, quota }，cost 为实际扣费
+ */
+function chargeUsage(user, service, cost, metadata, startTime, endTime, durationMs, requestId) {
+  const units = toUnits(service, durationMs);
+
+  const charge = db.getDb().transaction(() => {
+    const { period } = getPeriod();
+    const ownerKey = getOwnerKey(user);
+    let uncovered = units;
+
+    const planRemaining = Math.max(0, db.getPlanAllowance(user.plan, service) - db.getQuotaUsage(ownerKey, service, period));
+    const fromPlan = roundUnits(Math.min(uncovered, planRemaining));
+    if (fromPlan > 0) {
+      db.addQuotaUsage(ownerKey, service, period, fromPlan);
+      uncovered = roundUnits(uncovered - fromPlan);
+    }
+
+    if (!user.orgId) {
+      for (const grant of db.getActiveQuotaGrants(user.id, service)) {
+        if (uncovered <= 0) break;
+        const fromGrant = roundUnits(Math.min(uncovered, grant.amount - grant.used));
+        if (fromGrant <= 0) continue;
+        db.useQuotaGrant(grant.id, fromGrant);
+        uncovered = roundUnits(uncovered - fromGrant);
+      }
+    }
+
+    const covered = roundUnits(units - uncovered);
+    const charged = units > 0 ? cost * (uncovered / units) : cost;
+    const usageId = db.recordUsageCharge(user.id, service, charged, {
+      ...metadata,
+      listCost: cost,
+      quota: { unit: QUOTA_UNITS[service], units, covered }
+    }, startTime, endTime, durationMs, requestId, user.orgId);
+
+    return { usageId, cost: charged };
+  });
+
+  const result = charge.immediate();
+  return { ...result, quota: getQuotaStatus(user, service) };
+}
+
+/**
+ * 响应头返回额度状态
+ */
+function setQuotaHeaders(res, quota) {
+  res.setHeader('X-Quota-Unit', quota.unit);
+  res.setHeader('X-Quota-Limit', quota.limit);
+  res.setHeader('X-Quota-Remaining', quota.remaining);
+  res.setHeader('X-Quota-Reset', Math.floor(new Date(quota.resetAt).getTime() / 1000));
+}
+
+/**
+ * 注册时发放试用额度；每个用户只发放一次
+ */
+function grantTrial(userId, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + TRIAL_DURATION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const grant = db.getDb().transaction(() => {
+    const user = db.findUserById(userId);
+    if (!user || user.trial_used === 1) return null;
+
+    for (const [service, amount] of Object.entries(TRIAL_ALLOWANCES)) {
+      db.createQuotaGrant(userId, { source: 'trial', service, amount, expiresAt });
+    }
+    db.markTrialUsed(userId);
+    return { expiresAt, allowances: { ...TRIAL_ALLOWANCES } };
+  });
+
+  return grant();
+}
+
+module.exports = {
+  QUOTA_UNITS,
+  TRIAL_DURATION_DAYS,
+  estimateUnits,
+  getQuotaStatus,
+  getAllQuotaStatus,
+  chargeUsage,
+  setQuotaHeaders,
+  grantTrial
+};
@@ -0,0 +1,176 @@
+/**
+ * 限流服务
+ * 策略保存在 rate_limit_policies 表，按套餐、服务、API 密钥逐级覆盖；
+ * 每个窗口长度（如每秒突发、每小时、每天）按滑动窗口独立计数，每个服务单独计数
+ * 计数保存在可替换的计数器存储中（见 counterStore.js），多个网关实例可以共享
+ */
+
+const db = require('../db/sqlite');
+const { getStore } = require('./counterStore');
+
+// 受限流保护的服务
+const RATE_LIMITED_SERVICES = ['render', 'parse', 'combo'];
+
+// 策略缓存时间；通过管理接口修改后立即失效
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+let policyCache = null;
+let policyCacheExpiresAt = 0;
+
+function getPolicies() {
+  const now = Date.now();
+  if (!policyCache || policyCacheExpiresAt <= now) {
+    policyCache = db.getActiveRateLimitPolicies();
+    policyCacheExpiresAt = now + POLICY_CACHE_TTL_MS;
+  }
+  return policyCache;
+}
+
+function invalidatePolicies() {
+  policyCache = null;
+}
+
+// 越具体的策略优先：密钥 > 服务 > 套餐
+function specificity(policy) {
+  return (policy.api_key_id ? 4 : 0) + (policy.service ? 2 : 0) + (policy.plan ? 1 : 0);
+}
+
+/**
+ * 解析请求适用的策略，每个窗口长度取最具体的一条
+ * context: { plan, service, apiKeyId }
+ */
+function resolvePolicies(context) {
+  const byWindow = new Map();
+  for (const policy of getPolicies()) {
+    if (policy.plan && policy.plan !== context.plan) continue;
+    if (policy.service && policy.service !== context.service) continue;
+    if (policy.api_key_id && policy.api_key_id !== context.apiKeyId) continue;
+
+    const current = byWindow.get(policy.window_seconds);
+    if (!current || specificity(policy) > specificity(current)) {
+      byWindow.set(policy.window_seconds, policy);
+    }
+  }
+  return [...byWindow.values()].sort((a, b) => a.window_seconds - b.window_seconds);
+}
+
+// ============ 滑动窗口计数 ============
+
+/**
+ * 密钥级策略按密钥计数，其余按计费主体（组织或用户）计数
+ */
+function counterKey(policy, context) {
+  const subject = policy.api_key_id
+    ? `key:${policy.api_key_id}`
+    : context.orgId ? `org:${context.orgId}` : `user:${context.userId}`;
+  return `ratelimit:${subject}:${context.service}:${policy.window_seconds}`;
+}
+
+/**
+ * 滑动窗口估算：上一窗口的计数按与当前时刻重叠的比例折算，加上当前窗口的计数
+ */
+function estimate(window, now) {
+  const overlap = 1 - (now - window.windowStart) / window.windowMs;
+  return window.previous * overlap + window.current;
+}
+
+/**
+ * 被拒绝后距离下一次可以放行的秒数（按回退后的计数推算）
+ */
+function retryAfterSeconds(window, now) {
+  const limit = window.policy.max_requests;
+  const current = window.current - 1;
+  let allowedAt;
+
+  if (limit === 0) {
+    allowedAt = window.windowStart + window.windowMs * 2;
+  } else if (current + 1 <= limit) {
+    // 当前窗口内等上一窗口的折算计数衰减
+    allowedAt = window.windowStart + window.windowMs * (1 - (limit - current - 1) / window.previous);
+  } else {
+    // 等到下一窗口，当前计数成为上一窗口后衰减
+    allowedAt = window.windowStart + window.windowMs * (2 - (limit - 1) / current);
+  }
+
+  return Math.max(1, Math.ceil((allowedAt - now) / 1000));
+}
+
+function describeWindow(window, now) {
+  return {
+    policyId: window.policy.id,
+    windowSeconds: window.policy.window_seconds,
+    limit: window.policy.max_requests,
+    remaining: Math.max(0, Math.floor(window.policy.max_requests - estimate(window, now))),
+    resetAt: window.windowStart + window.windowMs
+  };
+}
+
+/**
+ * 记录一次调用；任一窗口超限则拒绝，被拒绝的调用不计数
+ * 先计数再判断、超限回退，多个网关实例并发时不会多放行
+ * context: { userId, orgId, plan, service, apiKeyId }
+ * 返回 { allowed, binding, exceeded }：binding 为剩余最少的窗口（用于响应头），exceeded 为等待最久的超限窗口
+ */
+async function consume(context, now = Date.now()) {
+  const store = getStore();
+  const windows = resolvePolicies(context).map(policy => {
+    const windowMs = policy.window_seconds * 1000;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const key = counterKey(policy, context);
+    return {
+      policy,
+      windowMs,
+      windowStart,
+      currentKey: `${key}:${windowStart}`,
+      previousKey: `${key}:${windowStart - windowMs}`,
+      // 当前窗口的计数在下一窗口中仍作为上一窗口使用
+      expiresAt: windowStart + windowMs * 2
+    };
+  });
+
+  await Promise.all(windows.map(async (window) => {
+    [window.current, window.previous] = await Promise.all([
+      store.increment(window.currentKey, 1, window.expiresAt),
+      store.get(window.previousKey)
+    ]);
+  }));
+
+  const exceeded = windows
+    .filter(window => estimate(window, now) > window.policy.max_requests)
+    .map(window => ({ ...describeWindow(window, now), remaining: 0, retryAfter: retryAfterSeconds(window, now) }))
+    .sort((a, b) => b.retryAfter - a.retryAfter);
+
+  if (exceeded.length > 0) {
+    await Promise.all(windows.map(window => store.increment(window.currentKey, -1, window.expiresAt)));
+    return { allowed: false, binding: exceeded[0], exceeded: exceeded[0] };
+  }
+
+  const described = windows
+    .map(window => describeWindow(window, now))
+    .sort((a, b) => a.remaining - b.remaining || a.resetAt - b.resetAt);
+
+  return { allowed: true, binding: described[0] || null, exceeded: null };
+}
+
+function formatPolicy(policy) {
+  return {
+    id: policy.id,
+    plan: policy.plan,
+    service: policy.service,
+    apiKeyId: policy.api_key_id,
+    windowSeconds: policy.window_seconds,
+    maxRequests: policy.max_requests,
+    description: policy.description,
+    enabled: policy.enabled === 1,
+    createdAt: policy.created_at,
+    updatedAt: policy.updated_at
+  };
+}
+
+module.exports = {
+  RATE_LIMITED_SERVICES,
+  resolvePolicies,
+  invalidatePolicies,
+  consume,
+  formatPolicy
+};
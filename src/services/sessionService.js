@@ -0,0 +1,145 @@
+/**
+ * 登录会话服务
+ * 网页控制台登录后使用短期访问令牌 + 轮换刷新令牌，不再下发长期 API 密钥
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db/sqlite');
+
+const SESSION_TOKEN_TYPE = 'session';
+const REFRESH_TOKEN_PREFIX = 'vsr_';
+
+// 访问令牌有效期（秒），刷新令牌有效期（天）
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.type = type;
+  }
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sid: sessionId, type: SESSION_TOKEN_TYPE },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * 为会话签发新的访问令牌和刷新令牌，刷新令牌只保存哈希
+ */
+function issueTokens(userId, sessionId) {
+  const refreshToken = REFRESH_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+  db.saveRefreshToken(hashRefreshToken(refreshToken), sessionId, refreshTokenExpiresAt);
+  db.extendSession(sessionId, refreshTokenExpiresAt);
+
+  return {
+    accessToken: signAccessToken(userId, sessionId),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+    refreshTokenExpiresAt
+  };
+}
+
+/**
+ * 登录时创建会话
+ * meta: { userAgent, ip }
+ */
+function createSession(userId, meta = {}) {
+  const create = db.getDb().transaction(() => {
+    const sessionId = uuidv4();
+    db.createSession({ id: sessionId, userId, userAgent: meta.userAgent, ip: meta.ip });
+    return issueTokens(userId, sessionId);
+  });
+
+  return create();
+}
+
+/**
+ * 用刷新令牌换取新令牌，旧刷新令牌立即失效
+ * 已使用过的刷新令牌再次出现视为泄露，整个会话（令牌家族）一并撤销
+ */
+function refreshSession(refreshToken) {
+  const tokenHash = hashRefreshToken(refreshToken || '');
+
+  const rotate = db.getDb().transaction(() => {
+    const record = db.findRefreshToken(tokenHash);
+    if (!record) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid');
+    }
+
+    const session = db.getSession(record.session_id);
+    if (session.revoked_at) {
+      throw new SessionError('SESSION_REVOKED', 'This session has been signed out');
+    }
+
+    if (record.used_at || !db.markRefreshTokenUsed(tokenHash)) {
+      db.revokeSession(session.id, 'refresh_token_reuse');
+      return { reused: true };
+    }
+
+    if (new Date(record.expires_at) <= new Date()) {
+      throw new SessionError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired. Please log in again.');
+    }
+
+    const user = db.findUserById(session.user_id);
+    if (!user || user.status !== 'active') {
+      db.revokeSession(session.id, 'account_inactive');
+      throw new SessionError('ACCOUNT_SUSPENDED', 'Your account has been suspended. Please contact support.');
+    }
+
+    return { userId: user.id, ...issueTokens(user.id, session.id) };
+  });
+
+  // 撤销需要提交，不能随异常一起回滚
+  const result = rotate();
+  if (result.reused) {
+    throw new SessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used. The session has been revoked.');
+  }
+  return result;
+}
+
+/**
+ * 退出登录：撤销刷新令牌所属的会话，会话下的访问令牌同时失效
+ */
+function revokeSessionByRefreshToken(refreshToken) {
+  const record = db.findRefreshToken(hashRefreshToken(refreshToken || ''));
+  if (!record) return false;
+
+  db.revokeSession(record.session_id, 'logout');
+  return true;
+}
+
+/**
+ * 校验访问令牌所属会话是否仍有效
+ */
+function isSessionActive(decoded) {
+  const session = db.getSession(decoded.sid);
+  return !!session &&
+    session.user_id === decoded.userId &&
+    !session.revoked_at &&
+    new Date(session.expires_at) > new Date();
+}
+
+module.exports = {
+  SESSION_TOKEN_TYPE,
+  ACCESS_TOKEN_TTL_SECONDS,
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSessionByRefreshToken,
+  isSessionActive
+};
@@ -0,0 +1,238 @@
+/**
+ * 套餐订阅服务
+ * 升级（按剩余周期折算）、周期末降级、自动续费与到期回退
+ */
+
+const db = require('../db/sqlite');
+const { resolvePolicies } = require('./rateLimitService');
+const { QUOTA_UNITS } = require('./quotaService');
+
+// 套餐价格配置
+const PLAN_PRICING = {
+  basic: { monthly: 29, yearly: 290 },
+  pro: { monthly: 99, yearly: 990 },
+  enterprise: { monthly: 299, yearly: 2990 }
+};
+
+const PLAN_HIERARCHY = ['free', 'basic', 'pro', 'enterprise'];
+
+class SubscriptionError extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+function getPlanFeatures(plan) {
+  // 限流以 rate_limit_policies 中套餐级（不限定服务）的策略为准，rateLimit 为每小时次数
+  const rateLimits = resolvePolicies({ plan }).map(policy => ({
+    windowSeconds: policy.window_seconds,
+    maxRequests: policy.max_requests
+  }));
+  const hourly = rateLimits.find(limit => limit.windowSeconds === 3600);
+
+  return {
+    rateLimit: hourly ? hourly.maxRequests : null,
+    rateLimits,
+    // 每月免费额度：render 为次数，parse / combo 为秒数
+    allowances: Object.keys(QUOTA_UNITS).map(service => ({
+      service,
+      unit: QUOTA_UNITS[service],
+      amount: db.getPlanAllowance(plan, service)
+    })),
+    support: plan === 'enterprise' ? '24/7 priority' : plan === 'pro' ? 'email' : 'community',
+    analytics: plan === 'pro' || plan === 'enterprise',
+    customThemes: plan === 'enterprise',
+    whiteLabel: plan === 'enterprise'
+  };
+}
+
+function getPlanPrice(plan, cycle) {
+  return PLAN_PRICING[plan] ? PLAN_PRICING[plan][cycle] : 0;
+}
+
+/**
+ * 周期结束时间：按月或按年顺延到 anchorDay（订阅开始的日期），目标月份没有这一天时取该月最后一天
+ * 始终按 anchorDay 计算，1 月 31 日开始的订阅依次在 2 月 28（29）日、3 月 31 日续费，不会逐月漂移
+ */
+function addCycle(date, cycle, anchorDay = date.getUTCDate()) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + (cycle === 'yearly' ? 12 : 1);
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const result = new Date(date.getTime());
+  result.setUTCFullYear(year, month, Math.min(anchorDay, lastDay));
+  return result;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * 当前订阅未使用部分折算的金额
+ */
+function calculateProratedCredit(subscription, now = new Date()) {
+  const start = new Date(subscription.current_period_start).getTime();
+  const end = new Date(subscription.current_period_end).getTime();
+  const total = end - start;
+  const remaining = end - now.getTime();
+  if (total <= 0 || remaining <= 0) return 0;
+
+  const price = getPlanPrice(subscription.plan, subscription.billing_cycle);
+  return roundMoney(price * (remaining / total));
+}
+
+/**
+ * 升级套餐：立即生效，从余额中扣除新周期费用减去当前周期剩余折算
+ * 余额检查与扣款在同一事务中，并发升级不会透支余额
+ */
+function upgrade(userId, plan, cycle) {
+  const now = new Date();
+  const price = getPlanPrice(plan, cycle);
+
+  const apply = db.getDb().transaction(() => {
+    const currentPlan = db.getEffectivePlan(userId);
+    if (PLAN_HIERARCHY.indexOf(currentPlan) >= PLAN_HIERARCHY.indexOf(plan)) {
+      throw new SubscriptionError('INVALID_UPGRADE', `You are already on ${currentPlan} plan or higher`);
+    }
+
+    const current = db.getActiveSubscription(userId);
+    const proratedCredit = current ? calculateProratedCredit(current, now) : 0;
+    const amountDue = roundMoney(Math.max(0, price - proratedCredit));
+
+    const balance = db.getBalance(userId);
+    if (balance < amountDue) {
+      throw new SubscriptionError('INSUFFICIENT_BALANCE', 'Insufficient balance for this upgrade', {
+        balance,
+        amountDue
+      });
+    }
+
+    if (current) {
+      db.updateSubscription(current.id, { status: 'replaced', pending_plan: null, pending_cycle: null });
+    }
+
+    const subscription = db.createSubscription({
+      userId,
+      plan,
+      billingCycle: cycle,
+      periodStart: now.toISOString(),
+      periodEnd: addCycle(now, cycle).toISOString(),
+      anchorDay: now.getUTCDate()
+    });
+
+    let transactionId = null;
+    if (amountDue > 0) {
+      transactionId = db.postLedgerTransaction(userId, 'subscription', -amountDue, {
+        counterAccount: db.LEDGER_ACCOUNTS.REVENUE,
+        reference: `subscription:${subscription.id}`,
+        description: `升级套餐 ${plan} (${cycle})`
+      });
+    }
+
+    db.updateUser(userId, { plan });
+    return { subscription, transactionId, currentPlan, proratedCredit, amountDue };
+  });
+
+  // IMMEDIATE 事务提前获取写锁，检查余额到扣款之间不会有其他扣款插入
+  const { subscription, transactionId, currentPlan, proratedCredit, amountDue } = apply.immediate();
+
+  return {
+    subscription,
+    previousPlan: currentPlan,
+    price,
+    proratedCredit,
+    amountCharged: amountDue,
+    transactionId
+  };
+}
+
+/**
+ * 降级或取消：在当前周期结束时生效
+ */
+function scheduleDowngrade(userId, plan, cycle) {
+  const current = db.getActiveSubscription(userId);
+  if (!current) {
+    throw new SubscriptionError('NO_SUBSCRIPTION', 'You do not have an active subscription');
+  }
+
+  if (PLAN_HIERARCHY.indexOf(plan) >= PLAN_HIERARCHY.indexOf(current.plan)) {
+    throw new SubscriptionError('INVALID_DOWNGRADE', `Cannot downgrade from ${current.plan} to ${plan}`);
+  }
+
+  db.updateSubscription(current.id, {
+    pending_plan: plan,
+    pending_cycle: plan === 'free' ? null : (cycle || current.billing_cycle)
+  });
+
+  return db.getSubscription(current.id);
+}
+
+/**
+ * 处理到期订阅：按计划降级、自动续费，余额不足或已取消的回退到 free
+ */
+function processDueSubscriptions(now = new Date()) {
+  const results = [];
+
+  for (const subscription of db.getDueSubscriptions(now.toISOString())) {
+    const plan = subscription.pending_plan || subscription.plan;
+    const cycle = subscription.pending_cycle || subscription.billing_cycle;
+    const price = getPlanPrice(plan, cycle);
+
+    const settle = db.getDb().transaction(() => {
+      if (plan === 'free' || !subscription.auto_renew || db.getBalance(subscription.user_id) < price) {
+        db.updateSubscription(subscription.id, { status: 'expired' });
+        db.updateUser(subscription.user_id, { plan: 'free' });
+        return { userId: subscription.user_id, from: subscription.plan, to: 'free', action: 'expired' };
+      }
+
+      // 续费周期与上一周期首尾相接；网关长时间停机导致错过整个周期时从当前时间开始
+      let periodStart = new Date(subscription.current_period_end);
+      let anchorDay = subscription.anchor_day || new Date(subscription.current_period_start).getUTCDate();
+      if (addCycle(periodStart, cycle, anchorDay) <= now) {
+        periodStart = now;
+        anchorDay = now.getUTCDate();
+      }
+
+      db.updateSubscription(subscription.id, {
+        plan,
+        billing_cycle: cycle,
+        current_period_start: periodStart.toISOString(),
+        current_period_end: addCycle(periodStart, cycle, anchorDay).toISOString(),
+        anchor_day: anchorDay,
+        pending_plan: null,
+        pending_cycle: null
+      });
+
+      if (price > 0) {
+        db.postLedgerTransaction(subscription.user_id, 'subscription', -price, {
+          counterAccount: db.LEDGER_ACCOUNTS.REVENUE,
+          reference: `subscription:${subscription.id}`,
+          description: `套餐续费 ${plan} (${cycle})`
+        });
+      }
+
+      db.updateUser(subscription.user_id, { plan });
+      return { userId: subscription.user_id, from: subscription.plan, to: plan, action: 'renewed' };
+    });
+
+    results.push(settle());
+  }
+
+  return results;
+}
+
+module.exports = {
+  PLAN_PRICING,
+  PLAN_HIERARCHY,
+  SubscriptionError,
+  getPlanFeatures,
+  getPlanPrice,
+  calculateProratedCredit,
+  upgrade,
+  scheduleDowngrade,
+  processDueSubscriptions
+};
@@ -0,0 +1,318 @@
+/**
+ * 两步验证服务
+ * 控制台登录的 TOTP（RFC 6238）第二步验证、一次性恢复码，以及按角色强制启用的策略
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db/sqlite');
+const { TOKEN_PURPOSES, hashToken, issueToken } = require('./accountService');
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// 允许前后各一个时间步的时钟偏差
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ViSurf API';
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// 可以被策略要求启用两步验证的角色
+const ELEVATED_ROLES = ['operator', 'admin', 'finance'];
+const POLICY_SETTING_KEY = 'two_factor_required_roles';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorError extends Error {
+  constructor(type, message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+// ============ TOTP ============
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 计算指定时间步的验证码（HMAC-SHA1，动态截断）
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * 在允许的偏差内查找与验证码匹配的时间步，不匹配返回 null
+ */
+function findTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = Buffer.from(generateTotp(secret, step + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成认证器 App 扫码用的 otpauth URI
+ */
+function buildOtpauthUri(email, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ============ 恢复码 ============
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * 生成新的恢复码，只保存哈希，明文只返回一次
+ */
+function generateRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  db.replaceRecoveryCodes(userId, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+  return codes;
+}
+
+// ============ 策略 ============
+
+function getRequiredRoles() {
+  return db.getSetting(POLICY_SETTING_KEY, []);
+}
+
+function setRequiredRoles(roles, updatedBy) {
+  const invalid = roles.filter(role => !ELEVATED_ROLES.includes(role));
+  if (invalid.length > 0) {
+    throw new TwoFactorError(
+      'INVALID_ROLE',
+      `Two-factor authentication can only be required for: ${ELEVATED_ROLES.join(', ')}`
+    );
+  }
+  const unique = [...new Set(roles)];
+  db.setSetting(POLICY_SETTING_KEY, unique, updatedBy);
+  return unique;
+}
+
+function isTwoFactorRequired(role) {
+  return getRequiredRoles().includes(role);
+}
+
+// ============ 启用与停用 ============
+
+function getStatus(user) {
+  const enabled = !!user.totp_enabled_at;
+  return {
+    enabled,
+    enabledAt: user.totp_enabled_at || null,
+    pendingSetup: !enabled && !!user.totp_secret,
+    recoveryCodesRemaining: enabled ? db.countRecoveryCodes(user.id) : 0,
+    required: isTwoFactorRequired(user.role)
+  };
+}
+
+/**
+ * 开始启用：生成新密钥，确认验证码之前不生效
+ */
+function beginSetup(user) {
+  if (user.totp_enabled_at) {
+    throw new TwoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled', 409);
+  }
+  const secret = generateSecret();
+  db.setPendingTotpSecret(user.id, secret);
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(user.email, secret)
+  };
+}
+
+/**
+ * 确认启用：校验认证器生成的验证码，签发恢复码并撤销其他会话
+ */
+function confirmSetup(user, code, currentSessionId = null) {
+  if (user.totp_enabled_at) {
+    throw new TwoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled', 409);
+  }
+  if (!user.totp_secret) {
+    throw new TwoFactorError('TWO_FACTOR_NOT_SET_UP', 'Start two-factor setup before confirming it');
+  }
+
+  const step = findTotpStep(user.totp_secret, code);
+  if (step === null) {
+    throw new TwoFactorError('INVALID_CODE', 'The verification code is incorrect', 401);
+  }
+
+  const confirm = db.getDb().transaction(() => {
+    db.enableTotp(user.id, step);
+    const recoveryCodes = generateRecoveryCodes(user.id);
+    const revokedSessions = db.revokeUserSessions(user.id, 'two_factor_enabled', currentSessionId);
+    return { recoveryCodes, revokedSessions };
+  });
+
+  return confirm();
+}
+
+/**
+ * 校验第二因素：factor 为 { code } 或 { recoveryCode }，验证码和恢复码都只能使用一次
+ */
+function verifySecondFactor(user, factor = {}) {
+  if (!user.totp_enabled_at) return false;
+
+  if (factor.code) {
+    const step = findTotpStep(user.totp_secret, factor.code);
+    return step !== null && db.advanceTotpStep(user.id, step);
+  }
+  if (factor.recoveryCode) {
+    return db.useRecoveryCode(user.id, hashToken(normalizeRecoveryCode(factor.recoveryCode)));
+  }
+  return false;
+}
+
+function regenerateRecoveryCodes(user, code) {
+  if (!user.totp_enabled_at) {
+    throw new TwoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+  }
+  if (!verifySecondFactor(user, { code })) {
+    throw new TwoFactorError('INVALID_CODE', 'The verification code is incorrect', 401);
+  }
+  return generateRecoveryCodes(user.id);
+}
+
+/**
+ * 停用：需要密码和第二因素；策略要求的角色不能停用
+ */
+async function disable(user, password, factor) {
+  if (!user.totp_enabled_at) {
+    throw new TwoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+  }
+  if (isTwoFactorRequired(user.role)) {
+    throw new TwoFactorError(
+      'TWO_FACTOR_REQUIRED',
+      `Two-factor authentication is required for the ${user.role} role and cannot be disabled`,
+      403
+    );
+  }
+  if (!(await bcrypt.compare(password || '', user.password))) {
+    throw new TwoFactorError('INVALID_CREDENTIALS', 'Password is incorrect', 401);
+  }
+  if (!verifySecondFactor(user, factor)) {
+    throw new TwoFactorError('INVALID_CODE', 'The verification code is incorrect', 401);
+  }
+  db.disableTotp(user.id);
+}
+
+// ============ 两步登录 ============
+
+/**
+ * 密码验证通过后签发登录挑战令牌，凭此令牌和第二因素完成登录
+ */
+function startLoginChallenge(userId) {
+  return {
+    challengeToken: issueToken(userId, TOKEN_PURPOSES.LOGIN_CHALLENGE, LOGIN_CHALLENGE_TTL_MS),
+    expiresIn: LOGIN_CHALLENGE_TTL_MS / 1000
+  };
+}
+
+/**
+ * 查找未使用且未过期的登录挑战，返回对应用户；验证码输错时挑战仍可继续使用
+ */
+function getLoginChallengeUser(challengeToken) {
+  const record = db.findAuthToken(hashToken(challengeToken || ''), TOKEN_PURPOSES.LOGIN_CHALLENGE);
+  if (!record || record.used_at) {
+    throw new TwoFactorError('INVALID_CHALLENGE', 'This login challenge is invalid or has already been used', 401);
+  }
+  if (new Date(record.expires_at) <= new Date()) {
+    throw new TwoFactorError('CHALLENGE_EXPIRED', 'This login challenge has expired. Please log in again.', 401);
+  }
+  return db.findUserById(record.user_id);
+}
+
+function finishLoginChallenge(challengeToken) {
+  if (!db.markAuthTokenUsed(hashToken(challengeToken))) {
+    throw new TwoFactorError('INVALID_CHALLENGE', 'This login challenge is invalid or has already been used', 401);
+  }
+}
+
+module.exports = {
+  ELEVATED_ROLES,
+  TwoFactorError,
+  generateTotp,
+  currentStep,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  getStatus,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  startLoginChallenge,
+  getLoginChallengeUser,
+  finishLoginChallenge
+};
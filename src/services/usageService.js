@@ -0,0 +1,293 @@
+/**
+ * 用量查询服务
+ * 统一解析查询参数，提供游标分页和汇总统计
+ */
+
+const db = require('../db/sqlite');
+
+const MAX_LIMIT = 500;
+const VALID_SERVICES = ['render', 'parse', 'combo'];
+const VALID_STATUSES = ['completed', 'failed'];
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * 转换为 SQLite datetime 格式（UTC）
+ */
+function toSqliteTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * 解析日期参数；只有日期部分（YYYY-MM-DD）的结束时间包含当天
+ */
+function parseDate(value, name, isEnd) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw validationError(`${name} must be a valid date`);
+  }
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return toSqliteTime(date);
+}
+
+function encodeCursor(id) {
+  return Buffer.from(String(id)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const id = parseInt(Buffer.from(cursor, 'base64url').toString(), 10);
+  if (isNaN(id) || id <= 0) {
+    throw validationError('Invalid cursor');
+  }
+  return id;
+}
+
+/**
+ * 解析查询参数：startDate、endDate、service、status
+ */
+function parseUsageFilters(query) {
+  const { startDate, endDate, service, status } = query;
+  const filters = {};
+
+  if (startDate) filters.startTime = parseDate(startDate, 'startDate', false);
+  if (endDate) filters.endTime = parseDate(endDate, 'endDate', true);
+
+  if (service) {
+    if (!VALID_SERVICES.includes(service)) {
+      throw validationError(`service must be one of: ${VALID_SERVICES.join(', ')}`);
+    }
+    filters.service = service;
+  }
+
+  if (status) {
+    if (!VALID_STATUSES.includes(status)) {
+      throw validationError(`status must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+    filters.status = status;
+  }
+
+  return filters;
+}
+
+function formatUsageRecord(record) {
+  return {
+    ...record,
+    metadata: JSON.parse(record.metadata || '{}')
+  };
+}
+
+/**
+ * 查询用量记录，返回当前页、分页信息和汇总
+ * query: { startDate, endDate, service, status, limit, cursor, offset }
+ * offset 分页保留给旧客户端，不能与 cursor 同时使用；返回的 nextCursor 同样可用于翻页
+ * orgId 非空时只查询该组织的用量，userId 可为 null（整个组织）
+ */
+function queryUsage(userId, query = {}, defaultLimit = 50, orgId = null) {
+  const filters = parseUsageFilters(query);
+  if (orgId) filters.orgId = orgId;
+
+  const limit = query.limit !== undefined ? parseInt(query.limit) : defaultLimit;
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw validationError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const afterId = query.cursor ? decodeCursor(query.cursor) : null;
+
+  const offset = query.offset !== undefined ? parseInt(query.offset) : null;
+  if (offset !== null && (isNaN(offset) || offset < 0)) {
+    throw validationError('offset must be a non-negative integer');
+  }
+  if (offset !== null && afterId) {
+    throw validationError('Use either cursor or offset, not both. Prefer cursor: pass pagination.nextCursor from the previous page.');
+  }
+
+  // 多取一条用于判断是否还有下一页
+  const rows = db.queryUsage(userId, filters, limit + 1, afterId, offset || 0);
+  const hasMore = rows.length > limit;
+  const records = rows.slice(0, limit).map(formatUsageRecord);
+
+  return {
+    records,
+    pagination: {
+      limit,
+      ...(offset !== null && { offset }),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(records[records.length - 1].id) : null
+    },
+    summary: db.summarizeUsage(userId, filters)
+  };
+}
+
+// ============ 时间序列 ============
+
+// 各时间粒度未指定 startDate 时的默认查询范围
+const TIMESERIES_DEFAULT_RANGE_MS = {
+  hour: 24 * 60 * 60 * 1000,
+  day: 30 * 24 * 60 * 60 * 1000,
+  week: 12 * 7 * 24 * 60 * 60 * 1000,
+  month: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 按时间桶汇总用量，结果按服务分组
+ * userId 为 null 时统计所有用户；orgId 非空时只统计该组织
+ * query: { interval, startDate, endDate, service, status }
+ */
+function getTimeseries(userId, query = {}, orgId = null) {
+  const interval = query.interval || 'day';
+  if (!TIMESERIES_DEFAULT_RANGE_MS[interval]) {
+    throw validationError(`interval must be one of: ${Object.keys(TIMESERIES_DEFAULT_RANGE_MS).join(', ')}`);
+  }
+
+  const filters = parseUsageFilters(query);
+  if (orgId) filters.orgId = orgId;
+  if (!filters.startTime) {
+    filters.startTime = toSqliteTime(new Date(Date.now() - TIMESERIES_DEFAULT_RANGE_MS[interval]));
+  }
+
+  const series = {};
+  for (const row of db.getUsageTimeseries(userId, filters, interval)) {
+    if (!series[row.service]) series[row.service] = [];
+    series[row.service].push({
+      bucket: row.bucket,
+      calls: row.calls,
+      cost: row.cost,
+      errors: row.errors,
+      avgDurationMs: row.avg_duration,
+      p50DurationMs: row.p50_duration,
+      p95DurationMs: row.p95_duration
+    });
+  }
+
+  return {
+    interval,
+    startTime: filters.startTime,
+    endTime: filters.endTime || null,
+    series
+  };
+}
+
+// ============ 导出 ============
+
+const EXPORT_BATCH_SIZE = 500;
+
+// 固定列；billingMode / workerName 从 metadata 中提升为独立列
+const EXPORT_COLUMNS = [
+  'id',
+  'request_id',
+  'created_at',
+  'start_time',
+  'end_time',
+  'service',
+  'status',
+  'billing_mode',
+  'worker_name',
+  'duration_ms',
+  'cost'
+];
+const PROMOTED_METADATA = ['billingMode', 'workerName'];
+
+/**
+ * 将嵌套的 metadata 展开为 metadata.a.b 形式的列，数组保留为 JSON 字符串
+ */
+function flattenMetadata(value, prefix = 'metadata', result = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (prefix === 'metadata' && PROMOTED_METADATA.includes(key)) continue;
+    const column = `${prefix}.${key}`;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenMetadata(child, column, result);
+    } else {
+      result[column] = Array.isArray(child) ? JSON.stringify(child) : child;
+    }
+  }
+  return result;
+}
+
+function toExportRow(record) {
+  const metadata = JSON.parse(record.metadata || '{}');
+  return {
+    id: record.id,
+    request_id: record.request_id,
+    created_at: record.created_at,
+    start_time: record.start_time,
+    end_time: record.end_time,
+    service: record.service,
+    status: record.status,
+    billing_mode: metadata.billingMode || null,
+    worker_name: metadata.workerName || null,
+    duration_ms: record.duration_ms,
+    cost: record.cost,
+    ...flattenMetadata(metadata)
+  };
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 分批遍历用量记录，每批一个数组
+ */
+function* usageBatches(userId, filters) {
+  let afterId = 0;
+  while (true) {
+    const batch = db.getUsageBatch(userId, filters, afterId, EXPORT_BATCH_SIZE);
+    if (batch.length === 0) return;
+    yield batch;
+    afterId = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * 流式导出用量记录，逐批产出文本块（csv 或 jsonl）
+ * filters 为 parseUsageFilters 的结果
+ * CSV 需要先扫描一遍确定 metadata 列，两次扫描都按批读取，不会一次性载入内存
+ */
+function* exportUsage(userId, filters, format) {
+  if (format === 'jsonl') {
+    for (const batch of usageBatches(userId, filters)) {
+      yield batch.map(record => JSON.stringify(toExportRow(record))).join('\n') + '\n';
+    }
+    return;
+  }
+
+  const metadataColumns = new Set();
+  let lastId = 0;
+  for (const batch of usageBatches(userId, filters)) {
+    for (const record of batch) {
+      Object.keys(flattenMetadata(JSON.parse(record.metadata || '{}'))).forEach(column => metadataColumns.add(column));
+    }
+    lastId = batch[batch.length - 1].id;
+  }
+
+  const columns = [...EXPORT_COLUMNS, ...[...metadataColumns].sort()];
+  yield columns.join(',') + '\r\n';
+
+  // 第二遍只输出第一遍扫描过的记录，保证列集合完整
+  for (const batch of usageBatches(userId, filters)) {
+    const records = batch.filter(record => record.id <= lastId);
+    if (records.length === 0) return;
+    yield records.map(record => {
+      const row = toExportRow(record);
+      return columns.map(column => escapeCsv(row[column])).join(',');
+    }).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = {
+  MAX_LIMIT,
+  toSqliteTime,
+  parseUsageFilters,
+  formatUsageRecord,
+  queryUsage,
+  getTimeseries,
+  exportUsage
+};
@@ -0,0 +1,112 @@
+/**
+ * 网关与工作节点之间的请求签名
+ * 网关和 worker-server.js 共用，不依赖数据库
+ *
+ * 签名内容：`${timestamp}.${nonce}.${METHOD}.${path}.${body}`，使用节点密钥做 HMAC-SHA256
+ * 请求头：X-Worker-Id、X-Timestamp（毫秒）、X-Nonce（每个请求随机生成）、X-Signature（hex）
+ * 校验方在时间戳容差内记住已用过的 nonce，截获的签名请求不能重放；
+ * 网关把 nonce 记在共享计数器存储中（见 routes/worker.js），worker-server.js 记在进程内
+ */
+
+const crypto = require('crypto');
+
+// 时间戳允许的偏差，超出视为重放
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const ENROLLMENT_TOKEN_PREFIX = 'vwe_';
+
+// 已使用的 nonce 及其失效时间（进程内，供单进程的 worker-server.js 使用）；
+// 时间戳超出容差的请求本就会被拒绝，nonce 只需保留到那时
+const usedNonces = new Map();
+const NONCE_PRUNE_INTERVAL_MS = 60 * 1000;
+let noncesPrunedAt = 0;
+
+function generateWorkerSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function generateEnrollmentToken() {
+  return ENROLLMENT_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function computeSignature(secret, timestamp, nonce, method, path, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body || ''}`)
+    .digest('hex');
+}
+
+/**
+ * 生成签名请求头；body 必须是实际发送的字符串
+ */
+function signRequest(workerId, secret, method, path, body = '') {
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'X-Worker-Id': workerId,
+    'X-Timestamp': timestamp,
+    'X-Nonce': nonce,
+    'X-Signature': computeSignature(secret, timestamp, nonce, method, path, body)
+  };
+}
+
+/**
+ * 在进程内记录 nonce，已使用过时返回 false
+ */
+function rememberLocalNonce(nonce, expiresAt) {
+  const now = Date.now();
+  if (now - noncesPrunedAt >= NONCE_PRUNE_INTERVAL_MS) {
+    for (const [key, expiresAt] of usedNonces) {
+      if (expiresAt <= now) usedNonces.delete(key);
+    }
+    noncesPrunedAt = now;
+  }
+
+  if (usedNonces.has(nonce)) return false;
+  usedNonces.set(nonce, expiresAt);
+  return true;
+}
+
+/**
+ * 校验签名、时间戳和 nonce；签名有效的请求只接受一次
+ * request: { method, path, body, timestamp, nonce, signature }
+ * rememberNonce(nonce, expiresAt) 记录 nonce 并在已使用过时返回 false（可返回 Promise），默认记在进程内
+ */
+async function verifySignature(secret, request, rememberNonce = rememberLocalNonce) {
+  const { method, path, body, timestamp, nonce, signature } = request;
+  if (!secret || !timestamp || !signature) return false;
+  if (typeof nonce !== 'string' || nonce.length < 16 || nonce.length > 128) return false;
+
+  const sentAt = parseInt(timestamp, 10);
+  const age = Math.abs(Date.now() - sentAt);
+  if (isNaN(age) || age > SIGNATURE_TOLERANCE_MS) return false;
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, nonce, method, path, body));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+  return rememberNonce(nonce, sentAt + SIGNATURE_TOLERANCE_MS);
+}
+
+/**
+ * 常量时间比较两个字符串（用于共享注册密钥）
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  SIGNATURE_TOLERANCE_MS,
+  generateWorkerSecret,
+  generateEnrollmentToken,
+  hashToken,
+  signRequest,
+  verifySignature,
+  safeEqual
+};
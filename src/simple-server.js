@@ -11,12 +11,21 @@ const bcrypt = require('bcryptjs');
 // 数据库、中间件和路由
 const db = require('./db/sqlite');
 const { authenticateToken } = require('./middleware/auth');
+const { checkBalance } = require('./middleware/billing');
+const { checkRateLimit } = require('./middleware/rateLimit');
+const { limitConcurrency } = require('./middleware/concurrency');
+const { processDueSubscriptions } = require('./services/subscriptionService');
+const { generateInvoicesForPreviousMonth } = require('./services/invoiceService');
+const { HEALTH_CHECK_POLICY, runHealthChecks } = require('./services/healthCheckService');
 const { errorHandler, notFoundHandler } = require('./middleware/error');
 const authRouter = require('./routes/auth');
 const renderRouter = require('./routes/render-lb'); // 使用负载均衡版本
 const parseRouter = require('./routes/parse');
 const comboRouter = require('./routes/combo');
 const statsRouter = require('./routes/stats');
+const billingRouter = require('./routes/billing');
+const organizationsRouter = require('./routes/organizations');
+const webhookRouter = require('./routes/webhook');
 const adminRouter = require('./routes/admin');
 const workerRouter = require('./routes/worker');
 
@@ -29,6 +38,7 @@ db.initDatabase();
 // 日志
 const logger = {
   info: (msg) => console.log(`[INFO] ${new Date().toISOString()} - ${msg}`),
+  warn: (msg) => console.warn(`[WARN] ${new Date().toISOString()} - ${msg}`),
   error: (msg) => console.error(`[ERROR] ${new Date().toISOString()} - ${msg}`)
 };
 
@@ -39,6 +49,14 @@ if (!JWT_SECRET || JWT_SECRET === 'change-this-to-a-random-secret-string') {
 }
 const jwtSecret = JWT_SECRET || 'dev-only-fallback-secret';
 
+// ADMIN_EMAILS 中已注册且已验证邮箱的用户设为管理员
+if (process.env.ADMIN_EMAILS) {
+  const promoted = db.promoteAdmins(process.env.ADMIN_EMAILS.split(',').map(email => email.trim()).filter(Boolean));
+  if (promoted.length > 0) {
+    logger.info(`已设为管理员: ${promoted.join(', ')}`);
+  }
+}
+
 // ============ 中间件配置 ============
 
 app.use(helmet({ contentSecurityPolicy: false }));
@@ -69,7 +87,13 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // 保留原始请求体，供支付回调验签使用
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // ============ 健康检查 ============
 
@@ -94,10 +118,13 @@ app.use('/api/v1/auth', authRouter);
 
 // ============ 核心 API 路由 ============
 
-app.use('/api/v1/render', authenticateToken, renderRouter);
-app.use('/api/v1/parse', authenticateToken, parseRouter);
-app.use('/api/v1/combo', authenticateToken, comboRouter);
+app.use('/api/v1/render', authenticateToken, checkRateLimit('render'), checkBalance('render'), limitConcurrency('render'), renderRouter);
+app.use('/api/v1/parse', authenticateToken, checkRateLimit('parse'), checkBalance('parse'), limitConcurrency('parse'), parseRouter);
+app.use('/api/v1/combo', authenticateToken, checkRateLimit('combo'), checkBalance('combo'), limitConcurrency('combo'), comboRouter);
 app.use('/api/v1/stats', authenticateToken, statsRouter);
+app.use('/api/v1/billing/webhook', webhookRouter);
+app.use('/api/v1/billing', authenticateToken, billingRouter);
+app.use('/api/v1/orgs', authenticateToken, organizationsRouter);
 app.use('/api/v1/admin', adminRouter);
 app.use('/api/v1/worker', workerRouter);
 
@@ -116,6 +143,60 @@ setInterval(() => {
   }
 }, 10000);
 
+// 主动探测节点的 /health，上一轮未完成时跳过
+let healthCheckRunning = false;
+setInterval(async () => {
+  if (healthCheckRunning) return;
+  healthCheckRunning = true;
+  try {
+    const transitions = await runHealthChecks();
+    for (const { worker, from, to, error } of transitions) {
+      const message = `节点健康状态变化: ${worker.name} (${worker.host}:${worker.port}) ${from} -> ${to}${error ? `，原因: ${error}` : ''}`;
+      if (to === 'online') {
+        logger.info(message);
+      } else {
+        logger.warn(message);
+      }
+    }
+  } catch (error) {
+    logger.error(`节点健康检查失败: ${error.message}`);
+  } finally {
+    healthCheckRunning = false;
+  }
+}, HEALTH_CHECK_POLICY.intervalMs);
+
+// 每分钟将超时未支付的充值订单标记为过期
+setInterval(() => {
+  const expiredOrders = db.expirePendingOrders();
+  if (expiredOrders.length > 0) {
+    logger.info(`${expiredOrders.length} 个充值订单已过期: ${expiredOrders.map(o => o.id).join(', ')}`);
+  }
+}, 60000);
+
+// 每5分钟处理到期订阅（续费、降级或回退到 free）
+setInterval(() => {
+  try {
+    const results = processDueSubscriptions();
+    for (const result of results) {
+      logger.info(`订阅${result.action === 'renewed' ? '续费' : '到期'}: 用户 ${result.userId} ${result.from} -> ${result.to}`);
+    }
+  } catch (error) {
+    logger.error(`处理到期订阅失败: ${error.message}`);
+  }
+}, 5 * 60 * 1000);
+
+// 每小时为上个月有用量的用户和组织开具发票（已开具的会跳过）
+setInterval(() => {
+  try {
+    const invoices = generateInvoicesForPreviousMonth();
+    if (invoices.length > 0) {
+      logger.info(`已开具 ${invoices.length} 张月度发票`);
+    }
+  } catch (error) {
+    logger.error(`生成月度发票失败: ${error.message}`);
+  }
+}, 60 * 60 * 1000);
+
 // ============ 启动服务器 ============
 
 app.listen(PORT, () => {
@@ -128,11 +209,17 @@ app.listen(PORT, () => {
   logger.info(`  POST /api/v1/parse               (Text -> JSON)`);
   logger.info(`  POST /api/v1/combo               (Text -> SVG)`);
   logger.info(`  POST /api/v1/auth/register       (User registration)`);
-  logger.info(`  POST /api/v1/auth/login          (User login)`);
+  logger.info(`  POST /api/v1/auth/login          (User login, session tokens)`);
+  logger.info(`  POST /api/v1/auth/refresh        (Rotate session tokens)`);
+  logger.info(`  POST /api/v1/auth/logout         (Revoke session)`);
+  logger.info(`  *    /api/v1/auth/keys           (Manage API keys)`);
   logger.info(`  GET  /api/v1/auth/profile        (Get user profile)`);
   logger.info(`  POST /api/v1/auth/refresh-apikey (Refresh API key)`);
   logger.info(`  GET  /api/v1/stats               (User statistics)`);
   logger.info(`  GET  /api/v1/stats/usage         (Usage history)`);
+  logger.info(`  GET  /api/v1/billing/info        (Balance and monthly usage)`);
+  logger.info(`  POST /api/v1/billing/recharge    (Create recharge order)`);
+  logger.info(`  *    /api/v1/orgs                (Organizations and team billing)`);
   logger.info(`  POST /api/v1/worker/register     (Worker registration)`);
   logger.info(`  POST /api/v1/worker/heartbeat    (Worker heartbeat)`);
   logger.info(`  GET  /api/v1/worker/list         (List all workers)`);
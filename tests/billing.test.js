@@ -0,0 +1,68 @@
+/**
+ * 余额预检测试：免费额度覆盖不了预估用量时，按未覆盖的部分检查余额和透支额度
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const db = require('../src/db/sqlite');
+const { checkBalance } = require('../src/middleware/billing');
+
+let seq = 0;
+
+// parse 最近调用平均 20 秒，按时计费 ¥0.02/秒，预估 20 个单位、¥0.4
+function createUser({ quotaUsed = 0, balance = 0 } = {}) {
+  const userId = db.createUser(`billing${++seq}@t.io`, 'Billing', 'x');
+  const now = new Date();
+  const period = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  if (quotaUsed > 0) db.addQuotaUsage(`user:${userId}`, 'parse', period, quotaUsed);
+  if (balance !== 0) db.recordAdjustment(userId, balance, 'test', null);
+  return { id: userId, orgId: null, plan: 'free' };
+}
+
+function runCheck(user) {
+  const req = { id: 'test', user };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = jest.fn();
+  checkBalance('parse')(req, res, next);
+  return { res, next };
+}
+
+beforeAll(() => {
+  db.initDatabase();
+  db.logUsage(createUser().id, 'parse', 0.4, {}, null, null, 20000, null, null);
+});
+
+afterAll(() => {
+  db.getDb().close();
+});
+
+describe('checkBalance', () => {
+  test('passes without checking the balance when quota covers the estimated usage', () => {
+    const { next } = runCheck(createUser({ quotaUsed: 40 }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('rejects a zero-balance account whose remaining quota is only a fraction of the estimate', () => {
+    const { res, next } = runCheck(createUser({ quotaUsed: 59.5 }));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(402);
+    expect(res.body.error).toMatchObject({ type: 'INSUFFICIENT_BALANCE', balance: 0, quotaRemaining: 0.5, overdraftLimit: 0 });
+    expect(res.body.error.estimatedCost).toBeCloseTo(0.39);
+  });
+
+  test('only the part not covered by quota has to be funded', () => {
+    expect(runCheck(createUser({ quotaUsed: 50, balance: 0.2 })).next).toHaveBeenCalled();
+    expect(runCheck(createUser({ quotaUsed: 50, balance: 0.19 })).res.statusCode).toBe(402);
+  });
+
+  test('charges the full estimate once quota is used up', () => {
+    const { res } = runCheck(createUser({ quotaUsed: 60, balance: 0.3 }));
+    expect(res.statusCode).toBe(402);
+    expect(res.body.error.estimatedCost).toBeCloseTo(0.4);
+  });
+});
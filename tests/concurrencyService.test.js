@@ -0,0 +1,51 @@
+/**
+ * 并发控制测试：占用、超限和超过续期时长后的释放
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.CONCURRENCY_QUEUE_TIMEOUT_MS = '1';
+// 排队等待依赖真实时间，只替换计数器存储的定期清理
+jest.useFakeTimers({ doNotFake: ['Date', 'setTimeout'] });
+
+const { getStore } = require('../src/services/counterStore');
+const { acquire } = require('../src/services/concurrencyService');
+
+let seq = 0;
+
+function createUser(extra = {}) {
+  return { id: ++seq, plan: 'free', orgId: null, apiKeyId: null, apiKeyMaxConcurrency: null, ...extra };
+}
+
+describe('acquire', () => {
+  test('rejects once the plan limit is in use and frees the slot on release', async () => {
+    const user = createUser();
+    const first = await acquire(user);
+    const second = await acquire(user);
+    expect(first.acquired && second.acquired).toBe(true);
+
+    const rejected = await acquire(user);
+    expect(rejected).toEqual({ acquired: false, exceeded: { scope: 'account', limit: 2 } });
+
+    await first.release();
+    await first.release();
+    expect(await getStore().get(`concurrency:user:${user.id}`)).toBe(1);
+    expect((await acquire(user)).acquired).toBe(true);
+  });
+
+  test('releasing after the in-flight counter expired does not go below zero', async () => {
+    const user = createUser({ apiKeyId: 42, apiKeyMaxConcurrency: 1 });
+    const slot = await acquire(user);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 11 * 60 * 1000);
+
+    await slot.release();
+    expect(await getStore().get(`concurrency:user:${user.id}`)).toBe(0);
+    expect(await getStore().get('concurrency:key:42')).toBe(0);
+    Date.now.mockRestore();
+
+    // 计数未变成负数，上限仍然有效
+    expect((await acquire(user)).acquired).toBe(true);
+    expect((await acquire(user)).exceeded).toEqual({ scope: 'api_key', limit: 1 });
+  });
+});
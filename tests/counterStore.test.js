@@ -0,0 +1,77 @@
+/**
+ * 计数器存储测试：memory 与 sqlite 后端行为一致
+ */
+
+process.env.DB_PATH = ':memory:';
+jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+const db = require('../src/db/sqlite');
+const { MemoryCounterStore, SqliteCounterStore } = require('../src/services/counterStore');
+
+beforeAll(() => {
+  db.initDatabase();
+});
+
+afterAll(() => {
+  db.getDb().close();
+});
+
+describe.each([
+  ['memory', () => new MemoryCounterStore()],
+  ['sqlite', () => new SqliteCounterStore()]
+])('%s counter store', (name, createStore) => {
+  let store;
+  let key;
+  let seq = 0;
+
+  beforeEach(() => {
+    store = createStore();
+    key = `test:${name}:${++seq}`;
+  });
+
+  test('increment returns the new count and get reads it back', async () => {
+    const expiresAt = Date.now() + 1000;
+    expect(await store.get(key)).toBe(0);
+    expect(await store.increment(key, 1, expiresAt)).toBe(1);
+    expect(await store.increment(key, 2, expiresAt)).toBe(3);
+    expect(await store.get(key)).toBe(3);
+  });
+
+  test('expired counters read as zero and restart from the new amount', async () => {
+    await store.increment(key, 5, Date.now() + 1000);
+    jest.advanceTimersByTime(1000);
+    expect(await store.get(key)).toBe(0);
+    expect(await store.increment(key, 1, Date.now() + 1000)).toBe(1);
+  });
+
+  test('a later expiry extends the counter but an earlier one does not shorten it', async () => {
+    await store.increment(key, 1, Date.now() + 1000);
+    await store.increment(key, 1, Date.now() + 5000);
+    await store.increment(key, 1, Date.now() + 500);
+    jest.advanceTimersByTime(4999);
+    expect(await store.get(key)).toBe(3);
+    jest.advanceTimersByTime(1);
+    expect(await store.get(key)).toBe(0);
+  });
+
+  test('negative amounts decrement the counter', async () => {
+    const expiresAt = Date.now() + 1000;
+    await store.increment(key, 5, expiresAt);
+    expect(await store.increment(key, -2, expiresAt)).toBe(3);
+    expect(await store.get(key)).toBe(3);
+  });
+
+  test('a negative amount on a missing counter starts below zero', async () => {
+    expect(await store.increment(key, -1, Date.now() + 1000)).toBe(-1);
+  });
+
+  test('cleanup removes only expired counters', async () => {
+    const other = `${key}:other`;
+    await store.increment(key, 1, Date.now() + 1000);
+    await store.increment(other, 1, Date.now() + 5000);
+    jest.advanceTimersByTime(1000);
+    await store.cleanup();
+    expect(await store.get(key)).toBe(0);
+    expect(await store.get(other)).toBe(1);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * 转发重试判断：parse、combo 只重试请求未送达节点的失败
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { isRetryableError } = require('../src/services/loadBalancer');
+
+// 与 axios 抛出的错误结构一致：底层网络错误在 cause 中，节点响应在 response 中
+const networkError = (code, syscall) => ({ code, cause: syscall ? { code, syscall } : undefined });
+const statusError = status => ({ response: { status } });
+
+describe('isRetryableError', () => {
+  test('render retries connection failures, timeouts and 502/503/504', () => {
+    expect(isRetryableError(networkError('ECONNREFUSED', 'connect'), 'render')).toBe(true);
+    expect(isRetryableError(networkError('ECONNRESET', 'read'), 'render')).toBe(true);
+    expect(isRetryableError(networkError('ECONNABORTED'), 'render')).toBe(true);
+    expect([502, 503, 504, 500].map(status => isRetryableError(statusError(status), 'render'))).toEqual([true, true, true, false]);
+  });
+
+  test.each(['parse', 'combo'])('%s retries only failures before the request reached a worker', (service) => {
+    expect(isRetryableError(networkError('ECONNREFUSED', 'connect'), service)).toBe(true);
+    expect(isRetryableError(networkError('ETIMEDOUT', 'connect'), service)).toBe(true);
+    expect(isRetryableError(networkError('ENOTFOUND', 'getaddrinfo'), service)).toBe(true);
+    expect(isRetryableError(networkError('ECONNRESET', 'read'), service)).toBe(false);
+    expect(isRetryableError(networkError('ETIMEDOUT', 'read'), service)).toBe(false);
+    expect(isRetryableError(networkError('ECONNABORTED'), service)).toBe(false);
+    expect([502, 503, 504, 500].map(status => isRetryableError(statusError(status), service))).toEqual([false, true, false, false]);
+  });
+});
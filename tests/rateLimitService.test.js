@@ -0,0 +1,124 @@
+/**
+ * 滑动窗口限流测试：放行、拒绝、超限回退和 Retry-After
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+// 对齐到分钟边界，便于推算窗口
+const WINDOW_START = Date.parse('2026-01-01T00:00:00Z');
+jest.useFakeTimers({ now: WINDOW_START });
+
+const db = require('../src/db/sqlite');
+const { getStore } = require('../src/services/counterStore');
+const { consume, invalidatePolicies } = require('../src/services/rateLimitService');
+
+let seq = 0;
+let context;
+
+// 每个用例使用独立的套餐和用户，计数互不影响
+function useLimits(...limits) {
+  const plan = `test-${++seq}`;
+  for (const [windowSeconds, maxRequests] of limits) {
+    db.createRateLimitPolicy({ plan, windowSeconds, maxRequests });
+  }
+  invalidatePolicies();
+  context = { userId: seq, orgId: null, plan, service: 'render', apiKeyId: null };
+}
+
+function currentCount(windowSeconds, now) {
+  const windowStart = Math.floor(now / (windowSeconds * 1000)) * windowSeconds * 1000;
+  return getStore().get(`ratelimit:user:${context.userId}:render:${windowSeconds}:${windowStart}`);
+}
+
+async function consumeAt(now) {
+  jest.setSystemTime(now);
+  return consume(context, now);
+}
+
+beforeAll(() => {
+  db.initDatabase();
+});
+
+afterAll(() => {
+  db.getDb().close();
+});
+
+describe('consume', () => {
+  test('allows requests within the limit and reports the remaining count', async () => {
+    useLimits([60, 2]);
+
+    const first = await consumeAt(WINDOW_START);
+    expect(first.allowed).toBe(true);
+    expect(first.binding).toMatchObject({ windowSeconds: 60, limit: 2, remaining: 1, resetAt: WINDOW_START + 60000 });
+
+    const second = await consumeAt(WINDOW_START);
+    expect(second.allowed).toBe(true);
+    expect(second.binding.remaining).toBe(0);
+  });
+
+  test('allows everything when no policy applies', async () => {
+    context = { userId: 0, orgId: null, plan: 'no-such-plan', service: 'render', apiKeyId: null };
+    const result = await consumeAt(WINDOW_START);
+    expect(result).toEqual({ allowed: true, binding: null, exceeded: null });
+  });
+
+  test('rejects once the limit is reached and does not count the rejected request', async () => {
+    useLimits([60, 2]);
+    await consumeAt(WINDOW_START);
+    await consumeAt(WINDOW_START);
+
+    const rejected = await consumeAt(WINDOW_START);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.exceeded).toMatchObject({ windowSeconds: 60, limit: 2, remaining: 0 });
+    expect(rejected.binding).toBe(rejected.exceeded);
+    expect(await currentCount(60, WINDOW_START)).toBe(2);
+  });
+
+  test('rolls back every window when any window rejects', async () => {
+    useLimits([1, 100], [60, 1]);
+    await consumeAt(WINDOW_START);
+
+    const rejected = await consumeAt(WINDOW_START);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.exceeded.windowSeconds).toBe(60);
+    expect(await currentCount(1, WINDOW_START)).toBe(1);
+    expect(await currentCount(60, WINDOW_START)).toBe(1);
+  });
+
+  test('Retry-After points at the first moment the sliding window allows a request', async () => {
+    useLimits([60, 2]);
+    await consumeAt(WINDOW_START);
+    await consumeAt(WINDOW_START);
+
+    const rejected = await consumeAt(WINDOW_START);
+    // 下一窗口中上一窗口的 2 次按重叠比例衰减到 1 次以下才能放行：60s + 30s
+    expect(rejected.exceeded.retryAfter).toBe(90);
+
+    expect((await consumeAt(WINDOW_START + 89 * 1000)).allowed).toBe(false);
+    expect((await consumeAt(WINDOW_START + 90 * 1000)).allowed).toBe(true);
+  });
+
+  test('Retry-After within the window waits for the previous window to decay', async () => {
+    useLimits([60, 3]);
+    await consumeAt(WINDOW_START);
+    await consumeAt(WINDOW_START);
+    expect((await consumeAt(WINDOW_START + 60 * 1000)).allowed).toBe(true);
+
+    // 上一窗口 2 次、当前窗口 1 次，上一窗口折算到 1 次以下才能放行第二次
+    const rejected = await consumeAt(WINDOW_START + 60 * 1000);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.exceeded.retryAfter).toBe(30);
+
+    expect((await consumeAt(WINDOW_START + 89 * 1000)).allowed).toBe(false);
+    expect((await consumeAt(WINDOW_START + 90 * 1000)).allowed).toBe(true);
+  });
+
+  test('a zero limit rejects until two full windows have passed', async () => {
+    useLimits([60, 0]);
+    const rejected = await consumeAt(WINDOW_START + 15 * 1000);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.exceeded.retryAfter).toBe(105);
+    expect(await currentCount(60, WINDOW_START)).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Worker 请求体大小：网关允许的最长文本（50000 个多字节字符）必须能转发到 parse / combo 节点
+ */
+
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// 50000 个汉字，UTF-8 约 150 kB，超过 express.json 默认的 100 kB
+const MAX_MULTIBYTE_TEXT = '知'.repeat(50000);
+
+async function startWorker(serviceType, port) {
+  // Master 地址不可达，节点保持未注册状态；请求体解析在签名校验之前完成
+  const child = spawn(process.execPath, [
+    'worker-server.js', '--type', serviceType, '--port', String(port),
+    '--master', 'http://127.0.0.1:9',
+    '--credentials', path.join(os.tmpdir(), `visurf-test-worker-${process.pid}-${port}.json`)
+  ], { cwd: path.join(__dirname, '..'), stdio: 'ignore' });
+
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    try {
+      await axios.get(`http://127.0.0.1:${port}/health`, { timeout: 500 });
+      return child;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  throw new Error(`Worker on port ${port} did not start`);
+}
+
+describe.each([
+  ['parse', 5600 + (process.pid % 200)],
+  ['combo', 5800 + (process.pid % 200)]
+])('%s worker', (serviceType, port) => {
+  let worker;
+
+  beforeAll(async () => {
+    worker = await startWorker(serviceType, port);
+  }, 15000);
+
+  afterAll(() => {
+    worker.kill();
+  });
+
+  test('accepts a maximum-length multibyte text instead of returning 413', async () => {
+    const body = JSON.stringify({ text: MAX_MULTIBYTE_TEXT });
+    expect(Buffer.byteLength(body)).toBeGreaterThan(100 * 1024);
+
+    const response = await axios.post(`http://127.0.0.1:${port}/${serviceType}`, body, {
+      headers: { 'Content-Type': 'application/json' },
+      validateStatus: () => true
+    });
+
+    // 未注册的节点在签名校验处返回 503，说明请求体已经解析成功
+    expect(response.status).toBe(503);
+  });
+});
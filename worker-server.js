@@ -6,7 +6,9 @@
 const express = require('express');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
 
 // 从命令行参数获取配置
 const args = process.argv.slice(2);
@@ -15,7 +17,9 @@ const config = {
   port: parseInt(getArg('--port')) || 5001,
   name: getArg('--name') || `worker-${Date.now()}`,
   masterUrl: getArg('--master') || 'http://localhost:4000',
-  weight: parseInt(getArg('--weight')) || 1
+  weight: parseInt(getArg('--weight')) || 1,
+  enrollmentToken: getArg('--enrollment-token') || process.env.WORKER_ENROLLMENT_TOKEN,
+  credentialsFile: getArg('--credentials') || process.env.WORKER_CREDENTIALS_FILE
 };
 
 function getArg(name) {
@@ -23,15 +27,101 @@ function getArg(name) {
   return index !== -1 && args[index + 1] ? args[index + 1] : null;
 }
 
+// 注册后签发的节点凭据保存在本地，重启后用它重新注册，不再需要注册令牌
+if (!config.credentialsFile) {
+  config.credentialsFile = path.join(__dirname, 'data', `worker-${config.serviceType}-${config.port}.json`);
+}
+
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  // 与网关一致；parse / combo 最长 50000 字符的文本按 UTF-8 可达 150 kB 以上
+  limit: '10mb',
+  // 保留原始请求体用于校验签名
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 let workerId = null;
+let workerSecret = null; // 注册时由 Master 签发
 let currentConnections = 0;
+let heartbeatTimer = null;
+
+/**
+ * 读取上次注册保存的凭据
+ */
+function loadCredentials() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(config.credentialsFile, 'utf8'));
+    if (saved.workerId && saved.secret) {
+      workerId = saved.workerId;
+      workerSecret = saved.secret;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ 读取节点凭据失败:', error.message);
+    }
+  }
+}
+
+function saveCredentials() {
+  fs.mkdirSync(path.dirname(config.credentialsFile), { recursive: true });
+  fs.writeFileSync(config.credentialsFile, JSON.stringify({ workerId, secret: workerSecret }), { mode: 0o600 });
+}
+
+function clearCredentials() {
+  workerId = null;
+  workerSecret = null;
+  fs.rmSync(config.credentialsFile, { force: true });
+}
 
 // 导入服务模块
 const { render } = require('./src/services/renderService');
 const { extractKnowledgeGraph } = require('./src/services/parseService');
+const { signRequest, verifySignature } = require('./src/services/workerAuth');
+
+/**
+ * 只接受 Master 签名的业务请求
+ */
+async function verifyMaster(req, res, next) {
+  if (!workerSecret) {
+    return res.status(503).json({
+      success: false,
+      message: 'Worker is not registered yet'
+    });
+  }
+
+  const valid = req.get('X-Worker-Id') === workerId && await verifySignature(workerSecret, {
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString('utf8') : '',
+    timestamp: req.get('X-Timestamp'),
+    nonce: req.get('X-Nonce'),
+    signature: req.get('X-Signature')
+  });
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  next();
+}
+
+/**
+ * 向 Master 发送签名请求
+ */
+function postToMaster(path, payload = {}) {
+  const body = JSON.stringify(payload);
+  return axios.post(`${config.masterUrl}${path}`, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...signRequest(workerId, workerSecret, 'POST', path, body)
+    }
+  });
+}
 
 /**
  * 健康检查
@@ -50,7 +140,7 @@ app.get('/health', (req, res) => {
 /**
  * Render 服务
  */
-app.post('/render', async (req, res) => {
+app.post('/render', verifyMaster, async (req, res) => {
   if (config.serviceType !== 'render') {
     return res.status(400).json({
       success: false,
@@ -93,7 +183,7 @@ app.post('/render', async (req, res) => {
 /**
  * Parse 服务
  */
-app.post('/parse', async (req, res) => {
+app.post('/parse', verifyMaster, async (req, res) => {
   if (config.serviceType !== 'parse') {
     return res.status(400).json({
       success: false,
@@ -116,6 +206,7 @@ app.post('/parse', async (req, res) => {
         entities: result.entities,
         relations: result.relations,
         metadata: {
+          ...result.metadata,
           workerId,
           processingTime: duration
         }
@@ -136,7 +227,7 @@ app.post('/parse', async (req, res) => {
 /**
  * Combo 服务
  */
-app.post('/combo', async (req, res) => {
+app.post('/combo', verifyMaster, async (req, res) => {
   if (config.serviceType !== 'combo') {
     return res.status(400).json({
       success: false,
@@ -166,6 +257,10 @@ app.post('/combo', async (req, res) => {
         relations: parseResult.relations,
         metadata: {
           workerId,
+          parseTime: parseResult.metadata.processingTime,
+          renderTime: renderResult.metadata.processingTime,
+          theme: renderResult.metadata.theme,
+          layoutMode: renderResult.metadata.layoutMode,
           processingTime: duration
         }
       }
@@ -184,19 +279,42 @@ app.post('/combo', async (req, res) => {
 
 /**
  * 向 Master 注册
+ * 已有凭据时用节点密钥签名重新注册；凭据失效（节点已被移除）时改用注册令牌
  */
 async function registerToMaster() {
+  const payload = {
+    name: config.name,
+    host: getLocalIP(),
+    port: config.port,
+    serviceType: config.serviceType,
+    weight: config.weight
+  };
+
   try {
-    const response = await axios.post(`${config.masterUrl}/api/v1/worker/register`, {
-      name: config.name,
-      host: getLocalIP(),
-      port: config.port,
-      serviceType: config.serviceType,
-      weight: config.weight
-    });
+    let response = null;
+
+    if (workerId && workerSecret) {
+      try {
+        response = await postToMaster('/api/v1/worker/register', payload);
+      } catch (error) {
+        if (!error.response || error.response.status !== 401) throw error;
+        console.log('⚠️  已保存的节点凭据无效，使用注册令牌重新注册');
+        clearCredentials();
+      }
+    }
+
+    if (!response) {
+      response = await axios.post(`${config.masterUrl}/api/v1/worker/register`, payload, {
+        headers: { 'X-Enrollment-Token': config.enrollmentToken || '' }
+      });
+    }
 
     if (response.data.success) {
       workerId = response.data.data.workerId;
+      if (response.data.data.secret) {
+        workerSecret = response.data.data.secret;
+        saveCredentials();
+      }
       console.log(`✅ 已注册到 Master: ${workerId}`);
       
       // 开始发送心跳
@@ -216,8 +334,7 @@ async function sendHeartbeat() {
   if (!workerId) return;
 
   try {
-    await axios.post(`${config.masterUrl}/api/v1/worker/heartbeat`, {
-      workerId,
+    await postToMaster('/api/v1/worker/heartbeat', {
       status: 'online',
       currentConnections,
       cpuUsage: getCPUUsage(),
@@ -232,7 +349,8 @@ async function sendHeartbeat() {
  * 开始心跳循环
  */
 function startHeartbeat(interval = 30000) {
-  setInterval(sendHeartbeat, interval);
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(sendHeartbeat, interval);
 }
 
 /**
@@ -285,7 +403,7 @@ process.on('SIGINT', async () => {
   
   if (workerId) {
     try {
-      await axios.post(`${config.masterUrl}/api/v1/worker/${workerId}/offline`);
+      await postToMaster(`/api/v1/worker/${workerId}/offline`);
       console.log('✅ 已通知 Master 下线');
     } catch (error) {
       console.error('❌ 通知下线失败:', error.message);
@@ -305,6 +423,12 @@ app.listen(config.port, () => {
   console.log(`名称: ${config.name}`);
   console.log(`权重: ${config.weight}`);
   console.log(`Master: ${config.masterUrl}`);
+  loadCredentials();
+  if (workerId) {
+    console.log(`节点凭据: ${config.credentialsFile} (${workerId})`);
+  } else if (!config.enrollmentToken) {
+    console.log('⚠️  未设置注册令牌 (--enrollment-token 或 WORKER_ENROLLMENT_TOKEN)，注册将被拒绝');
+  }
   console.log('========================================\n');
 
   // 延迟2秒后注册到 Master